@@ -0,0 +1,155 @@
+// Computer opponents for the Ludo-style game.
+// A strategy picks one of the legal `{ tokenId, dieValue }` moves from getLegalMoves;
+// the built-in bots (services/bots) wrap one strategy per difficulty level.
+
+import {
+  TRACK_LENGTH,
+  SAFE_SQUARE_INDICES,
+  getLegalMoves,
+  moveToken,
+  countThreats,
+  cloneGameState
+} from './gameLogic.js';
+
+export const AI_LEVELS = ['easy', 'medium', 'hard'];
+export const DEFAULT_AI_LEVEL = 'medium';
+
+// Heuristic weights used to score a board from one seat's point of view
+const WEIGHTS = {
+  inPlay: 10,        // A token out of the base
+  onHomePath: 10,    // Out of reach for good
+  safeSquare: 5,     // Cannot be captured where it stands
+  completed: 100,    // Token reached the center
+  riskFactor: 0.25   // Share of a token's value lost when opponents can reach it with one roll
+};
+
+/**
+ * Scores how good a board is for a seat: its own token values minus its opponents'.
+ * Capturing lowers an opponent's value, so captures are rewarded implicitly.
+ * @param {Object} game - The game state to score.
+ * @param {Object} seat - The seat (player) to score for.
+ * @param {boolean} withRisk - Whether to discount own tokens that opponents can hit next turn.
+ * @returns {number} Higher is better for the seat.
+ */
+function scoreBoard(game, seat, withRisk) {
+  return game.tokens.reduce((score, token) => {
+    const owner = game.players.find(p => p.colors.includes(token.color.toLowerCase()));
+    if (!owner) return score; // Color nobody plays
+    const own = owner.playerIndex === seat.playerIndex; // Seats are copied in simulations: compare by index
+
+    let value;
+    if (token.completed) {
+      value = WEIGHTS.completed;
+    } else if (token.position === -1) {
+      value = 0;
+    } else {
+      value = WEIGHTS.inPlay + token.steps;
+      if (token.steps >= TRACK_LENGTH) value += WEIGHTS.onHomePath;
+      else if (SAFE_SQUARE_INDICES.includes(token.position)) value += WEIGHTS.safeSquare;
+      if (withRisk && own && countThreats(game, token) > 0) value *= 1 - WEIGHTS.riskFactor;
+    }
+
+    return own ? score + value : score - value;
+  }, 0);
+}
+
+/**
+ * Plays a move on a copy of the game.
+ * @param {Object} game - The game state.
+ * @param {Object} move - `{ tokenId, dieValue }`.
+ * @returns {Object} The copy after the move, with the die spent.
+ */
+function simulate(game, { tokenId, dieValue }) {
+  const copy = cloneGameState(game);
+  copy.diceValue = dieValue;
+  moveToken(copy, copy.tokens.find(t => t.id === tokenId));
+  copy.currentRolls.splice(copy.currentRolls.indexOf(dieValue), 1);
+  return copy;
+}
+
+/**
+ * Best score reachable by spending the remaining dice in any order.
+ * @param {Object} game - The game state (after earlier moves of the plan).
+ * @param {Object} seat - The seat being planned for.
+ * @returns {number} The best final board score.
+ */
+function bestPlanScore(game, seat) {
+  const moves = getLegalMoves(game);
+  if (!moves.length) return scoreBoard(game, seat, true);
+  return Math.max(...moves.map(move => bestPlanScore(simulate(game, move), seat)));
+}
+
+/**
+ * Picks the highest scoring move, keeping the first one on ties.
+ * @param {Object[]} moves - Candidate moves.
+ * @param {function(Object): number} score - Scores a move.
+ * @returns {Object} The chosen move.
+ */
+function pickBest(moves, score) {
+  let best = moves[0];
+  let bestScore = -Infinity;
+  moves.forEach(move => {
+    const value = score(move);
+    if (value > bestScore) {
+      best = move;
+      bestScore = value;
+    }
+  });
+  return best;
+}
+
+/**
+ * Easy: leaves the base when it can, otherwise moves a random token.
+ * @param {Object} [options]
+ * @param {function(): number} [options.random=Math.random] - Source of randomness in [0, 1).
+ * @returns {function(Object, Object[]): Object} The strategy.
+ */
+function easyStrategy({ random = Math.random } = {}) {
+  return (game, moves) => {
+    const inBase = moves.find(m => game.tokens.find(t => t.id === m.tokenId).position === -1);
+    return inBase || moves[Math.floor(random() * moves.length)];
+  };
+}
+
+/**
+ * Medium: greedy, plays the single move that leaves the best board (captures, progress,
+ * safe squares) without looking at the other die or at threats.
+ * @returns {function(Object, Object[]): Object} The strategy.
+ */
+function mediumStrategy() {
+  return (game, moves) => {
+    const seat = game.players[game.currentPlayer];
+    return pickBest(moves, move => scoreBoard(simulate(game, move), seat, false));
+  };
+}
+
+/**
+ * Hard: searches every order of the remaining dice and every token for each die, and scores
+ * the final boards with capture, safety, progress toward home and risk from opponents
+ * within six squares.
+ * @returns {function(Object, Object[]): Object} The strategy.
+ */
+function hardStrategy() {
+  return (game, moves) => {
+    const seat = game.players[game.currentPlayer];
+    return pickBest(moves, move => bestPlanScore(simulate(game, move), seat));
+  };
+}
+
+const STRATEGIES = {
+  easy: easyStrategy,
+  medium: mediumStrategy,
+  hard: hardStrategy
+};
+
+/**
+ * Returns the move picker for a difficulty level.
+ * @param {string} [level=DEFAULT_AI_LEVEL] - One of AI_LEVELS.
+ * @param {Object} [options] - Strategy options (e.g. `random` for Easy).
+ * @returns {function(Object, Object[]): Object} `(game, moves) => move`.
+ * @throws {Error} If the level is unknown.
+ */
+export function getStrategy(level = DEFAULT_AI_LEVEL, options = {}) {
+  if (!STRATEGIES[level]) throw new Error(`Unknown AI level: ${level}`);
+  return STRATEGIES[level](options);
+}
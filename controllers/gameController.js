@@ -1,4 +1,6 @@
 const GameService = require('../services/gameService')
+const { GameError, ERROR_CODES } = require('../services/gameErrors')
+const { issueToken } = require('../services/sessionService')
 
 
 class GameController {
@@ -11,30 +13,56 @@ class GameController {
     registerHandlers() {
         this.socket.on("createGame", (opts, cb) => this.createGame(opts, cb));
         this.socket.on("joinGame", (data, cb) => this.joinGame(data, cb));
+        this.socket.on("findMatch", (data, cb) => this.findMatch(data, cb));
+        this.socket.on("cancelMatch", (cb) => this.cancelMatch(cb));
+        this.socket.on("listOpenGames", (cb) => this.listOpenGames(cb));
         this.socket.on("rejoinGame", (data, cb) => this.rejoinGame(data, cb));
         this.socket.on("getBoardPaths", (cb) => this.generateBoardPaths(cb));
+        this.socket.on("listBots", (cb) => this.listBots(cb));
+        this.socket.on("addBot", (data, cb) => this.addBot(data, cb));
+        this.socket.on("kickPlayer", (data, cb) => this.kickPlayer(data, cb));
+        this.socket.on("swapSeats", (data, cb) => this.swapSeats(data, cb));
+        this.socket.on("lockRoom", (data, cb) => this.lockRoom(data, cb));
+        this.socket.on("startGame", (data, cb) => this.startGame(data, cb));
+        this.socket.on("setReady", (data, cb) => this.setReady(data, cb));
+        this.socket.on("chooseColors", (data, cb) => this.chooseColors(data, cb));
+        this.socket.on("createInvite", (data, cb) => this.createInvite(data, cb));
+        this.socket.on("getReplay", (data, cb) => this.getReplay(data, cb));
+        this.socket.on("spectateGame", (data, cb) => this.spectateGame(data, cb));
+        this.socket.on("stopSpectating", (cb) => this.stopSpectating(cb));
+        this.socket.on("getLegalMoves", (data, cb) => this.getLegalMoves(data, cb));
+        this.socket.on("previewMove", (data, cb) => this.previewMove(data, cb));
         this.socket.on("rollDice", (data) => this.rollDice(data));
         this.socket.on("playRoll", (data) => this.playRoll(data));
         this.socket.on("skipTurn", (data) => this.skipTurn(data));
+        this.socket.on("resign", (data, cb) => this.resign(data, cb));
+        this.socket.on("requestUndo", (data) => this.requestUndo(data));
+        this.socket.on("respondUndo", (data) => this.respondUndo(data));
+        this.socket.on("sendChat", (data, cb) => this.sendChat(data, cb));
+        this.socket.on("sendReaction", (data, cb) => this.sendReaction(data, cb));
+        this.socket.on("getChatHistory", (data, cb) => this.getChatHistory(data, cb));
         this.socket.on("disconnect", () => this.disconnect());
 
         console.log(`Socket connected: ${this.socket.id}`);
         return this;
     }
 
-    createGame({ vsComputer, playerId }, cb) {
+    async createGame({ vsComputer, maxPlayers, rules, allowUndo, aiLevel, bot, isPublic, privateRoom, password, readyCheck, startCountdown, turnTimer } = {}, cb) {
         try {
-            setInterval(() => this.service.cleanupOldGames(), 3600000);
-            const game = this.service.createGame(this.socket.id, vsComputer, playerId);
+            const playerId = this.authenticatedPlayerId();
+            const game = await this.service.createGame(this.socket.id, vsComputer, playerId, { maxPlayers, rules, allowUndo, aiLevel, bot, isPublic, privateRoom, password, readyCheck, startCountdown, turnTimer });
+            this.service.cancelMatch(this.socket.id); // Playing here now
             this.socket.join(game.id);
-            cb({ gameId: game.id, playerId, colors: game.players[0].colors });
+            if (typeof cb === 'function') {
+                cb({ gameId: game.id, playerId, token: issueToken(playerId), playerIndex: 0, maxPlayers: game.maxPlayers, rules: game.rules, aiLevel: game.settings.aiLevel, colors: game.players[0].colors, diceCommitment: game.rng.commitment, isPrivate: game.room.isPrivate, invite: game.room.invites[0] });
+            }
             if (vsComputer) {
                 // Immediately broadcast initial state for AI games
                 this.broadcastState(game);
             }
         } catch (error) {
             console.error("Error creating game:", error);
-            cb({ error: error.message || "Could not create game" });
+            if (typeof cb === 'function') cb({ error: error.message || "Could not create game", code: error.code });
         }
     }
 
@@ -55,77 +83,317 @@ class GameController {
         }
     }
 
-    joinGame({ gameId, playerId }, cb) {
+    listBots(cb) {
+        if (typeof cb === 'function') cb({ bots: this.service.bots.names() });
+    }
+
+    /**
+     * Seat a bot in an open seat (host only)
+     */
+    addBot({ gameId, bot } = {}, cb) {
         try {
-            const game = this.service.joinGame(this.socket.id, gameId, playerId);
-            this.socket.join(game.id);
-            const p = game.players.find((p) => p.id === this.socket.id || p.playerId === playerId);
+            this.rejectSpectator(gameId);
+            const game = this.service.addBot(gameId, this.authenticatedPlayerId(), bot);
+            const seat = game.players[game.players.length - 1];
+            if (typeof cb === 'function') cb({ success: true, playerIndex: seat.playerIndex, colors: seat.colors, bot: seat.bot });
+            this.broadcastState(game);
+        } catch (e) {
+            console.error("Error adding bot:", e);
+            if (typeof cb === 'function') cb({ error: e.message, code: e.code, phase: e.details && e.details.phase });
+        }
+    }
 
-            // If reconnecting, update socket ID
-            if (p.playerId === playerId && p.id !== this.socket.id) {
-                p.id = this.socket.id; // Update to new socket ID
-                this.playerSockets[this.socket.id] = gameId; // Update mapping
+    /**
+     * Host only, before the start: free a seat. The kicked player leaves the room and gets `kicked`.
+     */
+    kickPlayer({ gameId, playerIndex } = {}, cb) {
+        try {
+            const { game, kicked } = this.service.kickPlayer(gameId, this.authenticatedPlayerId(), playerIndex);
+            if (kicked.id !== 'AI') {
+                this.io.to(kicked.id).emit("kicked", { gameId: game.id });
+                this.io.in(kicked.id).socketsLeave(game.id);
             }
+            if (typeof cb === 'function') cb({ success: true });
+            this.broadcastState(game);
+        } catch (e) {
+            if (typeof cb === 'function') cb({ error: e.message, code: e.code, phase: e.details && e.details.phase });
+        }
+    }
+
+    /**
+     * Host only, before the start: exchange two seats and their colors
+     */
+    swapSeats({ gameId, a, b } = {}, cb) {
+        this.roomAction(() => this.service.swapSeats(gameId, this.authenticatedPlayerId(), a, b), cb);
+    }
+
+    /**
+     * Host only, before the start: close or reopen the room to newcomers
+     */
+    lockRoom({ gameId, locked = true } = {}, cb) {
+        this.roomAction(() => this.service.lockRoom(gameId, this.authenticatedPlayerId(), locked), cb);
+    }
+
+    /**
+     * Host only: start once everyone is ready; the room then receives `countdown` until the first roll
+     */
+    startGame({ gameId } = {}, cb) {
+        this.roomAction(() => this.service.startGame(gameId, this.authenticatedPlayerId()), cb);
+    }
+
+    /**
+     * Confirm (or withdraw) readiness before the start
+     */
+    setReady({ gameId, ready = true } = {}, cb) {
+        this.roomAction(() => this.service.setReady(gameId, this.authenticatedPlayerId(), ready), cb);
+    }
+
+    /**
+     * Take the free color set that holds `color`
+     */
+    chooseColors({ gameId, color } = {}, cb) {
+        this.roomAction(() => this.service.chooseColors(gameId, this.authenticatedPlayerId(), color), cb);
+    }
+
+    /**
+     * Host only: a new invite code for a private room
+     */
+    createInvite({ gameId, ttlMs } = {}, cb) {
+        if (typeof cb !== 'function') return;
+        try {
+            cb({ success: true, ...this.service.createInvite(gameId, this.authenticatedPlayerId(), ttlMs) });
+        } catch (e) {
+            cb({ error: e.message, code: e.code, phase: e.details && e.details.phase });
+        }
+    }
 
-            cb({ gameId: game.id, playerId, id: p.id, colors: p.colors });
+    /**
+     * Run a change to the room or a seat, answer the sender and show everyone the new state
+     */
+    roomAction(action, cb) {
+        try {
+            const game = action();
+            if (typeof cb === 'function') cb({ success: true });
+            this.broadcastState(game);
+        } catch (e) {
+            if (typeof cb === 'function') {
+                cb({ error: e.message, code: e.code, phase: e.details && e.details.phase, notReady: e.details && e.details.notReady });
+            }
+        }
+    }
+
+    async joinGame({ gameId, password, inviteCode } = {}, cb) {
+        try {
+            this.rejectSpectator(gameId);
+            const playerId = this.authenticatedPlayerId();
+            const game = await this.service.joinGame(this.socket.id, gameId, playerId, { password, inviteCode });
+            this.service.cancelMatch(this.socket.id); // Playing here now
+            this.socket.join(game.id);
+            const p = game.players.find((p) => p.playerId === playerId);
+
+            if (typeof cb === 'function') {
+                cb({ gameId: game.id, playerId, token: issueToken(playerId), id: p.id, playerIndex: p.playerIndex, maxPlayers: game.maxPlayers, rules: game.rules, colors: p.colors });
+            }
             this.broadcastState(game);
         } catch (e) {
             console.error("Error joining game:", e);
-            cb({ error: e.message });
+            if (typeof cb === 'function') cb({ error: e.message, code: e.code, phase: e.details && e.details.phase, retryInMs: e.details && e.details.retryInMs });
         }
     }
 
 
-    rejoinGame({ gameId, playerId }, cb) {
+    /**
+     * Wait for opponents who want the same table. Every matched socket joins the new
+     * game's room and receives `matchFound`; the callback only says whether it is queued.
+     */
+    findMatch({ maxPlayers, rules, ranked } = {}, cb) {
         try {
-            const game = this.service.rejoinGame(this.socket.id, gameId, playerId);
-            this.socket.join(game.id);
+            const result = this.service.findMatch(this.socket.id, this.authenticatedPlayerId(), { maxPlayers, rules, ranked: !!ranked });
+            if (!result.matched) {
+                if (typeof cb === 'function') cb({ queued: true, maxPlayers: result.maxPlayers, rules: result.rules, ranked: result.ranked, waiting: result.waiting });
+                return;
+            }
 
+            const { game, seats } = result;
+            if (typeof cb === 'function') cb({ queued: false, gameId: game.id });
+            this.announceMatch(game, seats);
+        } catch (e) {
+            console.error("Error finding match:", e);
+            if (typeof cb === 'function') cb({ error: e.message, code: e.code });
+        }
+    }
 
-            cb({
-                success: true,
-                gameId: game.id,
-                playerId,
-                playerIndex: game.playerIndex,
-                colors: game.colors,
-                tokens: game.tokens,
-                dice: game.dice,
-                currentPlayer: game.currentPlayer,
-                gameOver: game.gameOver,
+    /**
+     * Move every matched socket into the new game's room and send it `matchFound`
+     * @param {Object} game - The game created for the match
+     * @param {Object[]} seats - `{ socketId, playerId, playerIndex, colors }` per seat
+     */
+    announceMatch(game, seats) {
+        seats.forEach(({ socketId, playerId, playerIndex, colors }) => {
+            this.io.in(socketId).socketsJoin(game.id);
+            this.io.to(socketId).emit("matchFound", {
+                gameId: game.id, playerId, token: issueToken(playerId), playerIndex, colors,
+                maxPlayers: game.maxPlayers, rules: game.rules, ranked: !!game.settings.ranked
             });
+        });
+        this.broadcastState(game);
+    }
+
+    cancelMatch(cb) {
+        const cancelled = this.service.cancelMatch(this.socket.id);
+        if (typeof cb === 'function') cb({ success: cancelled });
+    }
+
+    listOpenGames(cb) {
+        if (typeof cb === 'function') cb({ games: this.service.listOpenGames() });
+    }
+
+    async rejoinGame({ gameId } = {}, cb) {
+        try {
+            this.rejectSpectator(gameId);
+            const playerId = this.authenticatedPlayerId();
+            const game = await this.service.rejoinGame(this.socket.id, gameId, playerId);
+            this.socket.join(game.id);
+
+
+            if (typeof cb === 'function') {
+                cb({
+                    success: true,
+                    gameId: game.id,
+                    playerId,
+                    playerIndex: game.playerIndex,
+                    colors: game.colors,
+                    tokens: game.tokens,
+                    dice: game.dice,
+                    currentPlayer: game.currentPlayer,
+                    phase: game.phase,
+                    gameOver: game.gameOver,
+                });
+            }
 
             this.broadcastState(game);
         } catch (e) {
-            cb({
-                success: false,
-                error: e.message
-            });
+            if (typeof cb === 'function') {
+                cb({
+                    success: false,
+                    error: e.message,
+                    code: e.code
+                });
+            }
+        }
+    }
+
+    /**
+     * Send a game's event log, and the rebuilt state after event `seq` when one is given.
+     * Private rooms need the same invite code or password as spectating.
+     */
+    async getReplay({ gameId, seq, password, inviteCode } = {}, cb) {
+        if (typeof cb !== 'function') return;
+        try {
+            cb(await this.service.getReplay(gameId, seq, { playerId: this.authenticatedPlayerId(), password, inviteCode }));
+        } catch (e) {
+            cb({ error: e.message, code: e.code });
+        }
+    }
+
+    /**
+     * Watch a game read-only: the socket joins the game room and receives spectator state updates
+     */
+    async spectateGame({ gameId, password, inviteCode } = {}, cb) {
+        try {
+            const { game, previousGameId } = await this.service.spectateGame(this.socket.id, gameId,
+                { playerId: this.socket.data.playerId, password, inviteCode });
+            if (previousGameId && previousGameId !== game.id) {
+                this.socket.leave(previousGameId);
+                this.broadcastViewers(previousGameId);
+            }
+            this.socket.join(game.id);
+
+            if (typeof cb === 'function') {
+                cb({
+                    success: true,
+                    gameId: game.id,
+                    maxPlayers: game.maxPlayers,
+                    rules: game.rules,
+                    players: game.players.map(p => ({ playerIndex: p.playerIndex, colors: p.colors, bot: p.bot })),
+                    ...this.composeSpectatorPayload(game)
+                });
+            }
+            this.broadcastViewers(game.id);
+        } catch (e) {
+            if (typeof cb === 'function') cb({ error: e.message, code: e.code });
         }
     }
 
+    stopSpectating(cb) {
+        const gameId = this.service.stopSpectating(this.socket.id);
+        if (gameId) {
+            this.socket.leave(gameId);
+            this.broadcastViewers(gameId);
+        }
+        if (typeof cb === 'function') cb({ success: !!gameId });
+    }
 
+    /**
+     * Spectators may only watch: reject any state-changing action on the game they watch
+     * @throws {GameError} SPECTATOR_READ_ONLY
+     */
+    rejectSpectator(gameId) {
+        if (this.service.isSpectating(this.socket.id, gameId)) {
+            throw new GameError(ERROR_CODES.SPECTATOR_READ_ONLY, "Spectators cannot act in the game they watch");
+        }
+    }
 
+    /**
+     * Send the moves the player to act can make: token, die value, destination and capture
+     */
+    async getLegalMoves({ gameId, password, inviteCode } = {}, cb) {
+        if (typeof cb !== 'function') return;
+        try {
+            cb(await this.service.getLegalMoves(gameId,
+                { playerId: this.socket.data.playerId, socketId: this.socket.id, password, inviteCode }));
+        } catch (e) {
+            cb({ error: e.message, code: e.code });
+        }
+    }
 
-    rollDice({ gameId }) {
+    /**
+     * Answer what a move would do (landing square, capture, threats) without playing it
+     */
+    previewMove({ gameId, tokenId, rolledValue } = {}, cb) {
+        if (typeof cb !== 'function') return;
         try {
-            const playerId = this.socket.handshake.auth.playerId; // Make sure this is set on connection
-            // console.log(this.socket.handshake)
+            this.rejectSpectator(gameId);
+            cb(this.service.previewMove(gameId, this.authenticatedPlayerId(), tokenId, rolledValue));
+        } catch (e) {
+            cb({ error: e.message, code: e.code, phase: e.details && e.details.phase });
+        }
+    }
 
-            if (!playerId) {
-                throw new Error("Player authentication missing");
-            }
 
+    /**
+     * The playerId verified by the handshake middleware (from a signed session token).
+     * State-changing actions are authorized against this ID, never against the socket ID.
+     */
+    authenticatedPlayerId() {
+        const playerId = this.socket.data.playerId; // Set by the middleware in socketHandler
+        if (!playerId) {
+            throw new GameError(ERROR_CODES.UNAUTHENTICATED, "Player authentication missing");
+        }
+        return playerId;
+    }
+
+    rollDice({ gameId } = {}) {
+        try {
+            this.rejectSpectator(gameId);
+            const playerId = this.authenticatedPlayerId();
             const game = this.service.rollDice(gameId, playerId);
             this.broadcastDice(game);
             this.broadcastState(game);
 
         } catch (error) {
             console.error("Roll dice error:", error);
-            this.socket.emit("game_error", {
-                action: "roll_dice",
-                message: error.message,
-                isTurnError: error.message.includes("Not your turn")
-            });
+            this.emitGameError("roll_dice", error);
 
             // Special case: If player not found, force reconnect
             if (error.message.includes("Player not found")) {
@@ -134,29 +402,136 @@ class GameController {
         }
     }
 
-    playRoll({ tokenId, rolledValue, gameId }) {
+    playRoll({ tokenId, rolledValue, gameId } = {}) {
         try {
-            const game = this.service.playRoll(gameId, this.socket.id, tokenId, rolledValue);
+            this.rejectSpectator(gameId);
+            const game = this.service.playRoll(gameId, this.authenticatedPlayerId(), tokenId, rolledValue);
             this.broadcastState(game);
         } catch (error) {
             console.error("Error playing roll:", error);
-            this.socket.emit("error", { message: error.message });
+            this.emitGameError("play_roll", error);
         }
     }
 
-    skipTurn({ gameId }) {
+    skipTurn({ gameId } = {}) {
         try {
-            const game = this.service.skipTurn(gameId, this.socket.id);
+            this.rejectSpectator(gameId);
+            const game = this.service.skipTurn(gameId, this.authenticatedPlayerId());
             this.broadcastState(game);
         } catch (error) {
             console.error("Error skipping turn:", error);
-            this.socket.emit("error", { message: error.message });
+            this.emitGameError("skip_turn", error);
         }
     }
 
+    /**
+     * Leave a game in progress for good: the seat is skipped from now on, and the room
+     * receives `gameEnded` if that decides the game
+     */
+    resign({ gameId } = {}, cb) {
+        this.roomAction(() => {
+            this.rejectSpectator(gameId);
+            return this.service.resign(gameId, this.authenticatedPlayerId());
+        }, cb);
+    }
+
+    /**
+     * Ask to take back the last move. AI games undo at once; otherwise the
+     * opponents receive `undoRequested` and answer with respondUndo.
+     */
+    requestUndo({ gameId } = {}) {
+        try {
+            this.rejectSpectator(gameId);
+            const { game, applied, playerIndex } = this.service.requestUndo(gameId, this.authenticatedPlayerId());
+            if (applied) {
+                this.io.to(game.id).emit("undoApplied", { playerIndex });
+                this.broadcastState(game);
+            } else {
+                this.io.to(game.id).emit("undoRequested", { playerIndex });
+            }
+        } catch (error) {
+            console.error("Error requesting undo:", error);
+            this.emitGameError("request_undo", error);
+        }
+    }
+
+    respondUndo({ gameId, accept } = {}) {
+        try {
+            this.rejectSpectator(gameId);
+            const { game, applied, declined, requestedBy } = this.service.respondUndo(gameId, this.authenticatedPlayerId(), !!accept);
+            if (declined) {
+                this.io.to(game.id).emit("undoDeclined", { playerIndex: requestedBy });
+            } else if (applied) {
+                this.io.to(game.id).emit("undoApplied", { playerIndex: requestedBy });
+                this.broadcastState(game);
+            }
+        } catch (error) {
+            console.error("Error answering undo:", error);
+            this.emitGameError("respond_undo", error);
+        }
+    }
+
+
+    /**
+     * Chat is for the players: spectators in the room do not receive messages
+     */
+    sendChat({ gameId, text } = {}, cb) {
+        try {
+            this.rejectSpectator(gameId);
+            const { game, message } = this.service.sendChat(gameId, this.authenticatedPlayerId(), text);
+            this.io.to(game.id).except(this.service.getSpectators(game.id)).emit("chatMessage", message);
+            if (typeof cb === 'function') cb({ success: true, message });
+        } catch (error) {
+            if (typeof cb === 'function') cb({ error: error.message, code: error.code, retryInMs: error.details && error.details.retryInMs });
+        }
+    }
+
+    /**
+     * Reactions come from a fixed emoji set, so the whole room sees them, spectators included
+     */
+    sendReaction({ gameId, reaction } = {}, cb) {
+        try {
+            this.rejectSpectator(gameId);
+            const result = this.service.sendReaction(gameId, this.authenticatedPlayerId(), reaction);
+            this.io.to(result.game.id).emit("reaction", result.reaction);
+            if (typeof cb === 'function') cb({ success: true });
+        } catch (error) {
+            if (typeof cb === 'function') cb({ error: error.message, code: error.code, retryInMs: error.details && error.details.retryInMs });
+        }
+    }
+
+    getChatHistory({ gameId } = {}, cb) {
+        if (typeof cb !== 'function') return;
+        try {
+            this.rejectSpectator(gameId);
+            cb({ messages: this.service.getChatHistory(gameId, this.authenticatedPlayerId()) });
+        } catch (error) {
+            cb({ error: error.message, code: error.code });
+        }
+    }
+
+    /**
+     * Report a rejected action to the requesting socket.
+     * GameErrors carry a code (e.g. OUT_OF_PHASE, NOT_YOUR_TURN) and the game phase.
+     */
+    emitGameError(action, error) {
+        const details = error.details || {};
+        this.socket.emit("game_error", {
+            action,
+            code: error.code || null,
+            message: error.message,
+            phase: details.phase,
+            isTurnError: error.code === ERROR_CODES.NOT_YOUR_TURN
+        });
+    }
+
 
     disconnect() {
         try {
+            this.service.cancelMatch(this.socket.id);
+            const watched = this.service.stopSpectating(this.socket.id);
+            if (watched) this.broadcastViewers(watched);
+
             const gameId = this.service.handleDisconnect(this.socket.id);
             if (gameId) {
                 this.io.to(gameId).emit("playerDisconnected");
@@ -167,6 +542,26 @@ class GameController {
         }
     }
 
+    /**
+     * Push changes the service makes on its own (computer turns, ranked matches) to every player
+     * @param {Server} io - The Socket.IO server
+     * @param {GameService} service - The game service to watch
+     */
+    static watchService(io, service) {
+        const notifier = new GameController(io, null);
+        service.on('gameUpdated', (game, { rolled } = {}) => {
+            if (rolled) notifier.broadcastDice(game);
+            notifier.broadcastState(game);
+        });
+        service.on('countdown', (game, countdown) => {
+            io.to(game.id).emit("countdown", { gameId: game.id, ...countdown });
+        });
+        service.on('gameEnded', (game, result) => {
+            io.to(game.id).emit("gameEnded", { gameId: game.id, ...result });
+        });
+        service.on('matchFound', (game, seats) => notifier.announceMatch(game, seats));
+    }
+
     broadcastDice(game) {
         if (!game || !game.players) return;
 
@@ -182,6 +577,9 @@ class GameController {
                 });
             }
         });
+        this.service.getSpectators(game.id).forEach((id) => {
+            this.io.to(id).emit("diceRolled", { playerId: game.currentPlayer, dice: payload.dice });
+        });
     }
 
     broadcastState(game) {
@@ -197,6 +595,19 @@ class GameController {
                 }
             }
         });
+
+        const spectators = this.service.getSpectators(game.id);
+        if (spectators.length) {
+            const payload = this.composeSpectatorPayload(game);
+            spectators.forEach((id) => this.io.to(id).emit("gameStateUpdated", payload));
+        }
+    }
+
+    /**
+     * Tell everyone in a game how many spectators are watching
+     */
+    broadcastViewers(gameId) {
+        this.io.to(gameId).emit("viewersChanged", { gameId, viewers: this.service.getSpectators(gameId).length });
     }
 
     composePayload(game, socketId) {
@@ -211,8 +622,19 @@ class GameController {
                 tokens: base.tokens,
                 dice: base.dice,
                 myTurn: playerIndex === game.currentPlayer,
+                phase: game.phase,
                 gameOver: game.gameOver,
-                winner: game.winners ? game.winners[0] : null,
+                winner: game.winners.length ? game.winners[0] : null,
+                legalMoves: playerIndex === game.currentPlayer ? base.legalMoves : [], // Only for the player to act
+                canUndo: this.service.canRequestUndo(game, playerIndex),
+                rng: this.service.dice.audit(game), // Dice commitment; the seed once the game is over
+                viewers: this.service.getSpectators(game.id).length,
+                playerIndex, // Seats move when the host kicks or swaps players before the start
+                colors: player ? player.colors : [],
+                room: this.service.describeRoom(game),
+                turnClock: this.service.describeTurnClock(game), // Deadline of the step being played, if timed
+                standings: base.standings, // Places, tokens home and finish times per seat
+                result: game.result || null, // How the game ended (see gameEnded)
             };
             return playData;
         } catch (error) {
@@ -221,11 +643,34 @@ class GameController {
                 tokens: [],
                 dice: [],
                 myTurn: false,
+                phase: null,
                 gameOver: false,
                 winner: null,
+                legalMoves: [],
             };
         }
     }
+
+    /**
+     * The state as a spectator sees it: the board and dice, nothing to act on
+     */
+    composeSpectatorPayload(game) {
+        const base = this.service.buildGameState(game.id);
+        return {
+            spectator: true,
+            tokens: base.tokens.map(t => ({ ...t, isClickable: false })),
+            dice: base.dice,
+            currentPlayer: game.currentPlayer,
+            phase: game.phase,
+            gameOver: game.gameOver,
+            winner: game.winners.length ? game.winners[0] : null,
+            rng: this.service.dice.audit(game),
+            viewers: this.service.getSpectators(game.id).length,
+            turnClock: this.service.describeTurnClock(game),
+            standings: base.standings,
+            result: game.result || null,
+        };
+    }
 }
 
 module.exports = GameController;
\ No newline at end of file
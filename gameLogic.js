@@ -92,6 +92,287 @@ export const HOME_PATHS = HOME_PATH_COORDINATES;
 
 export const COLORS = ['RED', 'GREEN', 'YELLOW', 'BLUE'];
 
+// Supported table sizes
+export const MIN_PLAYERS = 2;
+export const MAX_PLAYERS = COLORS.length;
+
+/**
+ * Returns the colors handed to a seat.
+ * Two-player games keep the classic layout (each seat plays two opposite colors),
+ * three- and four-player games give every seat a single color.
+ * @param {number} seatIndex - The seat (playerIndex) being filled.
+ * @param {number} maxPlayers - Number of seats at the table (2-4).
+ * @returns {string[]} Lowercase color names, e.g. ['red', 'yellow'].
+ */
+export function getSeatColors(seatIndex, maxPlayers) {
+  if (maxPlayers === 2) {
+    return [COLORS[seatIndex], COLORS[seatIndex + 2]].map(c => c.toLowerCase());
+  }
+  return [COLORS[seatIndex].toLowerCase()];
+}
+
+/**
+ * Returns every color set a table hands out, in seat order.
+ * @param {number} maxPlayers - Number of seats at the table (2-4).
+ * @returns {string[][]} One entry per seat, as from getSeatColors.
+ */
+export function getColorSets(maxPlayers) {
+  return Array.from({ length: maxPlayers }, (_, seatIndex) => getSeatColors(seatIndex, maxPlayers));
+}
+
+// When a game is over: as soon as one seat has finished (the others are placed by progress),
+// or once every place is decided on the board
+export const END_CONDITIONS = {
+  FIRST_FINISH: 'firstFinish',
+  LAST_PLACE: 'lastPlace'
+};
+
+// House rules. A rule set is chosen when a game is created and stored on `game.rules`;
+// every validation, roll and AI decision reads from it.
+export const DEFAULT_RULES = Object.freeze({
+  diceCount: 2,               // 1 = single die, 2 = two dice per roll
+  exitValues: [6],            // Die faces that bring a token out of its base
+  extraRollOnSix: false,      // A roll containing a six earns another roll
+  extraRollOnCapture: false,  // Capturing a token earns another roll
+  extraRollOnHome: false,     // Bringing a token to the center earns another roll
+  threeSixesForfeit: false,   // Rolling a third six in one turn forfeits the turn
+  mandatoryCapture: false,    // When a capture is available it must be taken
+  endCondition: END_CONDITIONS.LAST_PLACE // See END_CONDITIONS
+});
+
+// Named rule sets that can be picked at createGame time
+export const RULE_PRESETS = {
+  classic: {},
+  traditional: {
+    diceCount: 1,
+    extraRollOnSix: true,
+    extraRollOnCapture: true,
+    extraRollOnHome: true,
+    threeSixesForfeit: true
+  },
+  quick: {
+    exitValues: [1, 6],
+    extraRollOnCapture: true,
+    extraRollOnHome: true
+  },
+  competitive: {
+    diceCount: 1,
+    extraRollOnSix: true,
+    extraRollOnCapture: true,
+    extraRollOnHome: true,
+    threeSixesForfeit: true,
+    mandatoryCapture: true
+  }
+};
+
+/**
+ * Builds a validated rule set.
+ * @param {string|Object} [spec] - A preset name, or an object with an optional `preset` plus overrides.
+ * @returns {Object} A complete rule set based on DEFAULT_RULES.
+ * @throws {Error} If the preset is unknown or a rule has an invalid value.
+ */
+export function createRules(spec = {}) {
+  const { preset = 'classic', ...overrides } = typeof spec === 'string' ? { preset: spec } : spec;
+  if (!RULE_PRESETS[preset]) throw new Error(`Unknown rule preset: ${preset}`);
+
+  const rules = { ...DEFAULT_RULES, ...RULE_PRESETS[preset], ...overrides, preset };
+
+  if (![1, 2].includes(rules.diceCount)) throw new Error('diceCount must be 1 or 2');
+  if (!Array.isArray(rules.exitValues) || !rules.exitValues.length ||
+    !rules.exitValues.every(v => Number.isInteger(v) && v >= 1 && v <= 6)) {
+    throw new Error('exitValues must be a list of die faces (1-6)');
+  }
+  ['extraRollOnSix', 'extraRollOnCapture', 'extraRollOnHome', 'threeSixesForfeit', 'mandatoryCapture']
+    .forEach(key => { rules[key] = !!rules[key]; });
+  if (!Object.values(END_CONDITIONS).includes(rules.endCondition)) {
+    throw new Error(`endCondition must be one of ${Object.values(END_CONDITIONS).join(', ')}`);
+  }
+
+  return rules;
+}
+
+/**
+ * Returns the rule set of a game (games saved before house rules use the defaults).
+ * @param {Object} game - The current game state.
+ * @returns {Object} The rule set.
+ */
+export function getRules(game) {
+  return game.rules || DEFAULT_RULES;
+}
+
+// Turn phases. The server only accepts actions that belong to the current phase.
+export const GAME_PHASES = {
+  WAITING_FOR_PLAYERS: 'WAITING_FOR_PLAYERS', // Seats still open
+  STARTING: 'STARTING',                       // Start countdown running, seats frozen
+  AWAITING_ROLL: 'AWAITING_ROLL',             // Current player must roll
+  AWAITING_MOVE: 'AWAITING_MOVE',             // Current player must play (or skip) the rolled dice
+  TURN_END: 'TURN_END',                       // Dice spent, turn being handed over
+  FINISHED: 'FINISHED'                        // Game over
+};
+
+// Allowed phase transitions
+const PHASE_TRANSITIONS = {
+  WAITING_FOR_PLAYERS: ['STARTING', 'AWAITING_ROLL'],
+  STARTING: ['WAITING_FOR_PLAYERS', 'AWAITING_ROLL'],
+  AWAITING_ROLL: ['AWAITING_MOVE', 'AWAITING_ROLL', 'TURN_END'],
+  AWAITING_MOVE: ['AWAITING_ROLL', 'TURN_END'],
+  TURN_END: ['AWAITING_ROLL', 'FINISHED'],
+  FINISHED: []
+};
+
+/**
+ * Moves a game to a new phase.
+ * @param {Object} game - The current game state.
+ * @param {string} phase - One of GAME_PHASES.
+ * @throws {Error} If the transition is not allowed.
+ */
+export function setPhase(game, phase) {
+  const from = game.phase || GAME_PHASES.WAITING_FOR_PLAYERS;
+  if (from !== phase && !PHASE_TRANSITIONS[from].includes(phase)) {
+    throw new Error(`Illegal phase transition ${from} -> ${phase}`);
+  }
+  game.phase = phase;
+}
+
+/**
+ * Works out the phase of a game saved before phases existed.
+ * @param {Object} game - The saved game state.
+ * @returns {string} One of GAME_PHASES.
+ */
+export function derivePhase(game) {
+  if (game.phase) return game.phase;
+  if (game.gameOver) return GAME_PHASES.FINISHED;
+  if (!game.gameStarted) return GAME_PHASES.WAITING_FOR_PLAYERS;
+  return game.currentRolls && game.currentRolls.length ? GAME_PHASES.AWAITING_MOVE : GAME_PHASES.AWAITING_ROLL;
+}
+
+// Event types written to the append-only game log (game.moveLog)
+export const EVENT_TYPES = {
+  CREATE: 'create',         // Game created: { maxPlayers, rules, vsComputer, readyCheck }
+  JOIN: 'join',             // Seat taken: { playerIndex, playerId, colors }
+  ROLL: 'roll',             // Dice rolled: { dice } (the raw RNG result)
+  MOVE: 'move',             // Token moved: { tokenId, dieValue, from, to, captured, completed }
+  CAPTURE: 'capture',       // Token sent home: { tokenId, by, position }
+  SKIP: 'skip',             // Turn skipped by the player
+  DISCONNECT: 'disconnect', // Player lost connection: { playerId }
+  UNDO: 'undo',             // Last move taken back: { revertedSeq }
+  KICK: 'kick',             // Seat removed by the host before the start: { playerIndex, playerId }
+  SWAP: 'swap',             // Two seats exchanged by the host before the start: { playerIndex, with }
+  COLORS: 'colors',         // Seat picked another color set before the start: { colors }
+  TIMEOUT: 'timeout',       // Turn clock ran out, the server plays for the seat: { timeouts }
+  FORFEIT: 'forfeit',       // Seat out of the game, tokens stay on the board: { reason, endGame? }
+  START: 'start'            // Started by the host with the seats taken so far: { maxPlayers }
+};
+
+// Why a seat left the game early (player.forfeited)
+export const FORFEIT_REASONS = {
+  RESIGNED: 'resigned',     // The player resigned
+  TIMED_OUT: 'timedOut',    // Too many turn clock timeouts in a row
+  ABANDONED: 'abandoned'    // Disconnected and did not come back in time
+};
+
+// Why a game ended (game.endReason): every seat placed, or the forfeit that decided it
+export const GAME_END_REASONS = {
+  COMPLETED: 'completed',
+  ...FORFEIT_REASONS
+};
+
+/**
+ * Appends an event to the game's append-only log.
+ * @param {Object} game - The current game state.
+ * @param {string} type - One of EVENT_TYPES.
+ * @param {Object} [data] - Event payload (may override playerIndex).
+ * @returns {Object} The recorded event.
+ */
+export function recordEvent(game, type, data = {}) {
+  if (!game.moveLog) game.moveLog = [];
+  const event = { seq: game.moveLog.length + 1, type, at: Date.now(), playerIndex: game.currentPlayer, ...data };
+  game.moveLog.push(event);
+  return event;
+}
+
+/**
+ * Renumbers the seats in table order. Every player keeps their colors, or the table's set
+ * holding them when the table size changed; a player whose set another seat already kept
+ * gets the first set left over. Only valid before the game starts, while no token has moved.
+ * @param {Object} game - The current game state.
+ */
+function reseat(game) {
+  const free = getColorSets(game.maxPlayers);
+  const unmatched = [];
+  game.players.forEach((player, index) => {
+    player.playerIndex = index;
+    const kept = free.find(set => set.includes(player.colors[0]));
+    if (kept) {
+      player.colors = kept;
+      free.splice(free.indexOf(kept), 1);
+    } else {
+      unmatched.push(player);
+    }
+  });
+  unmatched.forEach(player => { player.colors = free.shift(); });
+}
+
+/**
+ * Removes a seat before the game starts; the seats after it move up one place.
+ * @param {Object} game - The current game state.
+ * @param {number} playerIndex - The seat to remove.
+ * @returns {Object} The removed player.
+ */
+export function removeSeat(game, playerIndex) {
+  const [removed] = game.players.splice(playerIndex, 1);
+  reseat(game);
+  recordEvent(game, EVENT_TYPES.KICK, { playerIndex, playerId: removed.playerId });
+  return removed;
+}
+
+/**
+ * Exchanges two seats (and so their colors and turn order) before the game starts.
+ * @param {Object} game - The current game state.
+ * @param {number} a - A seat index.
+ * @param {number} b - Another seat index.
+ */
+export function swapSeats(game, a, b) {
+  const [first, second] = [game.players[a], game.players[b]];
+  [first.colors, second.colors] = [second.colors, first.colors];
+  [game.players[a], game.players[b]] = [second, first];
+  reseat(game);
+  recordEvent(game, EVENT_TYPES.SWAP, { playerIndex: a, with: b });
+}
+
+/**
+ * Gives a seat another of the table's color sets before the game starts.
+ * @param {Object} game - The current game state.
+ * @param {number} playerIndex - The seat.
+ * @param {string[]} colors - A set from getColorSets(game.maxPlayers) no other seat holds.
+ */
+export function setSeatColors(game, playerIndex, colors) {
+  game.players[playerIndex].colors = [...colors];
+  recordEvent(game, EVENT_TYPES.COLORS, { playerIndex, colors: [...colors] });
+}
+
+/**
+ * Starts a game with the players seated so far. When seats are still open the table
+ * shrinks to the players seated, who keep the set of that size holding their colors.
+ * @param {Object} game - The current game state (at least MIN_PLAYERS seated).
+ */
+export function startWithSeatedPlayers(game) {
+  if (game.players.length !== game.maxPlayers) {
+    game.maxPlayers = game.players.length;
+    reseat(game);
+  }
+  game.gameStarted = true;
+  setPhase(game, GAME_PHASES.AWAITING_ROLL);
+  recordEvent(game, EVENT_TYPES.START, { playerIndex: null, maxPlayers: game.maxPlayers });
+}
+
+// Results of applying a roll or a move to the current turn
+export const TURN_OUTCOMES = {
+  MOVE: 'MOVE',             // The current player still has dice to play
+  ROLL_AGAIN: 'ROLL_AGAIN', // The current player earned a bonus roll
+  TURN_OVER: 'TURN_OVER'    // The turn passed to the next seat
+};
+
 /** Initialize tokens for all players */
 export function initializeTokens() {
   const tokens = [];
@@ -228,62 +509,60 @@ export function getCoords(token) {
 export function isValidMove(game, token) {
   const diceValue = game.diceValue;
 
+  if (!isPlayableMove(game, token, diceValue)) return false;
 
-  // Rule: Must roll a 6 to get out of home base
-  if (token.position === -1) {
-    return diceValue === 6;
+  // House rule: when any capture is available, only capturing moves are allowed
+  if (getRules(game).mandatoryCapture && !capturesOpponent(game, token, diceValue)) {
+    const owner = getTokenOwner(game, token);
+    const dice = game.currentRolls && game.currentRolls.length ? game.currentRolls : [diceValue];
+    const captureAvailable = game.tokens.some(t =>
+      getTokenOwner(game, t) === owner && dice.some(d => capturesOpponent(game, t, d))
+    );
+    if (captureAvailable) return false;
   }
 
-  // Calculate potential new position
-  let newPositionSteps = token.steps + diceValue;
-
-  // Check if token is entering home path
-  const playerStartOffset = PLAYER_START_OFFSETS[token.color];
-  const playerHomeEntryPoint = PLAYER_HOME_ENTRY_POINTS[token.color];
-  const homePathLength = HOME_COLUMN_LENGTH;
-  const commonPathLength = TRACK_LENGTH;
-
-  // Determine actual target position on common track
-  let targetCommonTrackPosition = (playerStartOffset + newPositionSteps - 1) % commonPathLength;
-  if (targetCommonTrackPosition < 0) { // Handle negative modulo results
-    targetCommonTrackPosition += commonPathLength;
-  }
+  return true; // If no invalid conditions met
+}
 
+/**
+ * Checks the board rules for a single token and die value (ignores mandatory capture).
+ * @param {Object} game - The current game state.
+ * @param {Object} token - The token to move.
+ * @param {number} diceValue - The die value to play.
+ * @returns {boolean} True if the token can move.
+ */
+function isPlayableMove(game, token, diceValue) {
+  const rules = getRules(game);
 
-  // Check if token is entering home path or moving within it
-  if (token.steps < (commonPathLength + homePathLength) - 1) { // Before or in home path
-    if (newPositionSteps > commonPathLength + homePathLength - 1) {
-      return false; // Overshot the final home square
-    }
+  if (token.completed) return false;
 
-    // Check for overshooting home path
-    if (token.steps <= commonPathLength && newPositionSteps > commonPathLength) {
-      const stepsIntoHomePath = newPositionSteps - commonPathLength;
-      if (stepsIntoHomePath > HOME_COLUMN_LENGTH) {
-        return false; // Overshot home path
-      }
-    }
+  // Rule: Must roll one of the exit values (a 6 by default) to get out of home base
+  if (token.position === -1) {
+    return rules.exitValues.includes(diceValue);
   }
 
+  // Calculate potential new position
+  const newPositionSteps = token.steps + diceValue;
+  const homePathLength = HOME_COLUMN_LENGTH;
+  const commonPathLength = TRACK_LENGTH;
 
-  // Check for landing on own token (unless capturing or moving out of base)
-  const isMovingFromHome = token.position === -1;
-  const isTargetSafe = SAFE_SQUARE_INDICES.includes(targetCommonTrackPosition); // This applies to common path
-  const isMovingOnHomePath = newPositionSteps > commonPathLength; // If it's on the home path, it's generally safe from other players
-
-  const targetGlobalPosition = getProjectedGlobalPosition(token, diceValue);
+  // A token needs an exact roll to reach the center (steps === TRACK_LENGTH + HOME_COLUMN_LENGTH)
+  if (newPositionSteps > commonPathLength + homePathLength) {
+    return false; // Overshot the final home square
+  }
 
+  const targetGlobalPosition = getProjectedGlobalPosition(token, diceValue, rules);
+  const isTargetSafe = SAFE_SQUARE_INDICES.includes(targetGlobalPosition); // This applies to common path
+  const isMovingOnHomePath = newPositionSteps >= commonPathLength; // If it's on the home path, it's generally safe from other players
 
   // Check for collision with other tokens
   for (const otherToken of game.tokens) {
     if (otherToken.id === token.id || otherToken.completed) continue;
 
-    const otherTokenGlobalPosition = getProjectedGlobalPosition(otherToken, 0); // Get current global position
-
     // If moving to an occupied square
-    if (targetGlobalPosition === otherTokenGlobalPosition) {
+    if (targetGlobalPosition === otherToken.position) {
       // Cannot land on own token
-      if (otherToken.color === token.color) {
+      if (getTokenOwner(game, otherToken) === getTokenOwner(game, token)) {
         return false;
       }
       // Can capture opponent's token if not on a safe square
@@ -294,28 +573,58 @@ export function isValidMove(game, token) {
     }
   }
 
+  return true;
+}
 
-  return true; // If no invalid conditions met
+/**
+ * Returns the seat that owns a token's color (undefined for colors nobody plays).
+ * @param {Object} game - The current game state.
+ * @param {Object} token - The token.
+ * @returns {Object|undefined} The owning player.
+ */
+function getTokenOwner(game, token) {
+  return game.players.find(p => p.colors.includes(token.color.toLowerCase()));
+}
+
+/**
+ * Checks whether moving a token by a die value would capture an opponent.
+ * @param {Object} game - The current game state.
+ * @param {Object} token - The token to move.
+ * @param {number} diceValue - The die value to play.
+ * @returns {boolean} True if the move lands on a capturable opponent token.
+ */
+function capturesOpponent(game, token, diceValue) {
+  if (token.completed || !isPlayableMove(game, token, diceValue)) return false;
+
+  const target = getProjectedGlobalPosition(token, diceValue, getRules(game));
+  if (target < 0 || target >= TRACK_LENGTH || SAFE_SQUARE_INDICES.includes(target)) return false;
+  if (token.steps + diceValue >= TRACK_LENGTH) return false; // Home path squares are safe
+
+  const owner = getTokenOwner(game, token);
+  return game.tokens.some(t => !t.completed && t.position === target && getTokenOwner(game, t) !== owner);
 }
 
 /**
  * Moves a token based on the dice value.
  * @param {Object} game - The current game state.
  * @param {Object} token - The token to move.
+ * @returns {Object|null} `{ captured, completed }` describing the move (captured is a token ID or null),
+ * or null if the move was invalid.
  */
 export function moveToken(game, token) {
   const diceValue = game.diceValue;
+  const result = { captured: null, completed: false };
 
   if (!isValidMove(game, token)) {
     console.warn(`Invalid move attempted for token ${token.id} with dice ${diceValue}`);
-    return;
+    return null;
   }
 
   // Move token out of home base
   if (token.position === -1) {
     token.position = PLAYER_START_OFFSETS[token.color];
     token.steps = 1; // Token has moved one step from the base to the start point
-    return;
+    return result;
   }
 
   // Capture opponent's token if landed on
@@ -330,7 +639,7 @@ export function moveToken(game, token) {
   if (token.steps < commonPathLength && targetSteps >= commonPathLength) {
     // Entering home path
     const stepsIntoHomePath = targetSteps - commonPathLength;
-    newPosition = 100 + token.playerIndex * 10 + stepsIntoHomePath - 1; // New indexing for home path
+    newPosition = 100 + token.playerIndex * 10 + stepsIntoHomePath; // New indexing for home path
     newSteps = targetSteps;
   } else if (token.steps >= commonPathLength) {
     // Already in home path
@@ -349,10 +658,12 @@ export function moveToken(game, token) {
   token.steps = newSteps;
 
   // Check for capture (only on common path)
-  if (token.steps <= commonPathLength) { // Only check for capture if on common path
+  if (token.steps < commonPathLength) { // Only check for capture if on common path
+    const owner = getTokenOwner(game, token);
     const targetToken = game.tokens.find(t =>
       t.position === token.position &&
-      t.color !== token.color &&
+      t.id !== token.id &&
+      getTokenOwner(game, t) !== owner &&
       t.position !== -1 && // Not in home
       !SAFE_SQUARE_INDICES.includes(token.position) // Not on safe square
     );
@@ -360,6 +671,7 @@ export function moveToken(game, token) {
     if (targetToken) {
       targetToken.position = -1; // Send captured token back to home
       targetToken.steps = 0;
+      result.captured = targetToken.id;
     }
   }
 
@@ -367,14 +679,25 @@ export function moveToken(game, token) {
   if (token.steps >= commonPathLength + homePathLength) {
     token.completed = true;
     token.position = 99; // Indicate completion for drawing (any value > 57)
+    result.completed = true;
     checkWinCondition(game);
   }
+
+  return result;
 }
 
 
-function getProjectedGlobalPosition(token, diceValue) {
+/**
+ * Projects where a token would stand after moving by a die value.
+ * Mirrors the position encoding used by moveToken.
+ * @param {Object} token - The token to project.
+ * @param {number} diceValue - The die value to play.
+ * @param {Object} [rules] - The game's rule set.
+ * @returns {number} The projected position (-1 base, 0-51 track, 99 center, 100+ home path).
+ */
+function getProjectedGlobalPosition(token, diceValue, rules = DEFAULT_RULES) {
   if (token.position === -1) {
-    if (diceValue === 6) {
+    if (rules.exitValues.includes(diceValue)) {
       return PLAYER_START_OFFSETS[token.color];
     } else {
       return -1; // Still in home
@@ -390,10 +713,10 @@ function getProjectedGlobalPosition(token, diceValue) {
   } else if (projectedSteps >= commonPathLength) {
     // In home path
     const stepsInHomePath = projectedSteps - commonPathLength;
-    return 100 + token.playerIndex * 10 + stepsInHomePath - 1;
+    return 100 + token.playerIndex * 10 + stepsInHomePath;
   } else {
-    // On common track
-    let projectedCommonPosition = (PLAYER_START_OFFSETS[token.color] + projectedSteps - 1) % commonPathLength;
+    // On common track (same direction as moveToken)
+    let projectedCommonPosition = (PLAYER_START_OFFSETS[token.color] - (projectedSteps - 1)) % commonPathLength;
     if (projectedCommonPosition < 0) projectedCommonPosition += commonPathLength;
     return projectedCommonPosition;
   }
@@ -401,113 +724,494 @@ function getProjectedGlobalPosition(token, diceValue) {
 
 
 /**
- * Checks if a player has won the game.
+ * Distances a single token can travel with a number of dice: any die alone, or several
+ * dice played one after the other on the same token (k dice cover k to 6k squares).
+ * @param {number} diceCount - The dice available.
+ * @returns {Set<number>} The reachable distances.
+ */
+function reachableDistances(diceCount) {
+  const distances = new Set();
+  for (let dice = 1; dice <= diceCount; dice++) {
+    for (let distance = dice; distance <= 6 * dice; distance++) distances.add(distance);
+  }
+  return distances;
+}
+
+/**
+ * Counts the opponent tokens that could land on a token's square with their next roll
+ * (one die, or the sum of the dice under two-dice rules). A token still in the base
+ * counts too when one die can bring it out and the other dice carry it on from its
+ * start square. A token in the base, on the home path or on a safe square is never at risk.
+ * @param {Object} game - The current game state.
+ * @param {Object} token - The token to check.
+ * @returns {number} The number of threatening opponent tokens.
+ */
+export function countThreats(game, token) {
+  if (token.completed || token.position < 0 || token.position >= TRACK_LENGTH) return 0;
+  if (SAFE_SQUARE_INDICES.includes(token.position)) return 0;
+
+  const owner = getTokenOwner(game, token);
+  const { diceCount } = getRules(game);
+  const reachable = reachableDistances(diceCount);
+  const reachableFromBase = reachableDistances(diceCount - 1);
+  return game.tokens.filter(other => {
+    if (other.completed || other.position >= TRACK_LENGTH) return false;
+    const otherOwner = getTokenOwner(game, other);
+    if (!otherOwner || otherOwner === owner) return false;
+
+    // Tokens travel towards lower indices: count the squares from `other` down to `token`
+    if (other.position < 0) {
+      const distance = (PLAYER_START_OFFSETS[other.color] - token.position + TRACK_LENGTH) % TRACK_LENGTH;
+      return reachableFromBase.has(distance);
+    }
+    const distance = (other.position - token.position + TRACK_LENGTH) % TRACK_LENGTH;
+    return reachable.has(distance) && other.steps + distance < TRACK_LENGTH;
+  }).length;
+}
+
+/**
+ * Copies the parts of a game that moves change, for look-ahead and previews.
+ * The copy can be moved freely without touching the original.
+ * @param {Object} game - The current game state.
+ * @returns {Object} A detached game state (without sockets, timers or the event log).
+ */
+export function cloneGameState(game) {
+  return {
+    ...game,
+    players: game.players.map(p => ({ playerId: p.playerId, playerIndex: p.playerIndex, colors: [...p.colors], id: p.id })),
+    tokens: game.tokens.map(t => ({ ...t })),
+    currentRolls: [...(game.currentRolls || [])],
+    originalRolls: [...(game.originalRolls || [])],
+    rolledValue: [...(game.rolledValue || [])],
+    winners: [...(game.winners || [])],
+    moveLog: [],
+    lastMove: null,
+    pendingUndo: null
+  };
+}
+
+/**
+ * Plays a move on a copy of the game to show its outcome; the game itself is not changed.
+ * @param {Object} game - The current game state.
+ * @param {string} tokenId - The token to move.
+ * @param {number} dieValue - The die value to play.
+ * @returns {Object|null} `{ tokenId, dieValue, position, coords, captured, completed, threats }`
+ *   where threats counts the opponent tokens that could hit the new square next turn,
+ *   or null if the move is not valid.
+ */
+export function previewMove(game, tokenId, dieValue) {
+  const copy = cloneGameState(game);
+  const token = copy.tokens.find(t => t.id === tokenId);
+  if (!token) return null;
+
+  copy.diceValue = dieValue;
+  if (!isValidMove(copy, token)) return null;
+  const { captured, completed } = moveToken(copy, token);
+
+  return {
+    tokenId,
+    dieValue,
+    position: token.position,
+    coords: getCoords(token),
+    captured,
+    completed,
+    threats: countThreats(copy, token)
+  };
+}
+
+/**
+ * Places the seats that have just finished and ends the game once the rules' end
+ * condition is met. The seats still playing at that point are placed by progress.
  * @param {Object} game - The current game state.
  */
 function checkWinCondition(game) {
   game.players.forEach(player => {
-    const playerTokens = game.tokens.filter(t => t.playerIndex === player.playerIndex);
-    const allTokensCompleted = playerTokens.every(t => t.completed);
-
-    if (allTokensCompleted && !game.winners.includes(player.playerIndex)) {
-      game.winners.push(player.playerIndex);
+    if (hasPlayerFinished(game, player) && !game.winners.includes(player.playerIndex)) {
+      placeSeat(game, player.playerIndex, Date.now());
     }
   });
+  if (game.gameOver) return;
 
-  if (game.winners.length === game.players.length) {
-    game.gameOver = true;
+  const firstFinish = getRules(game).endCondition === END_CONDITIONS.FIRST_FINISH;
+  if ((firstFinish && game.winners.length > 0) || playingSeats(game).length < 2) {
+    concludeGame(game, GAME_END_REASONS.COMPLETED);
   }
 }
 
+/**
+ * @param {Object} game - The current game state.
+ * @returns {Object[]} The seats that have neither finished nor forfeited.
+ */
+function playingSeats(game) {
+  return game.players.filter(p => !p.forfeited && !game.winners.includes(p.playerIndex));
+}
+
+/**
+ * How far a seat has come: tokens home first, then steps travelled.
+ * @param {Object} game - The current game state.
+ * @param {Object} player - The seat.
+ * @returns {number} Higher is further.
+ */
+function seatProgress(game, player) {
+  const tokens = game.tokens.filter(t => player.colors.includes(t.color.toLowerCase()));
+  return tokens.filter(t => t.completed).length * 1000 + tokens.reduce((sum, t) => sum + t.steps, 0);
+}
+
+/**
+ * Gives a seat the next place.
+ * @param {Object} game - The current game state.
+ * @param {number} playerIndex - The seat.
+ * @param {number|null} finishedAt - When its last token reached the center, null if placed by progress.
+ */
+function placeSeat(game, playerIndex, finishedAt) {
+  game.winners.push(playerIndex);
+  game.finishedAt = { ...game.finishedAt, [playerIndex]: finishedAt };
+}
+
+/**
+ * Places the seats still playing by progress and ends the game.
+ * @param {Object} game - The current game state.
+ * @param {string} reason - One of GAME_END_REASONS.
+ */
+function concludeGame(game, reason) {
+  playingSeats(game)
+    .sort((a, b) => seatProgress(game, b) - seatProgress(game, a))
+    .forEach(p => placeSeat(game, p.playerIndex, null));
+  game.gameOver = true;
+  game.endReason = reason;
+}
+
+/**
+ * Takes a seat out of the game. The seat keeps its place (and its tokens stay on the
+ * board), but it is skipped from now on. When fewer than two seats are left playing, or
+ * when asked to end the game, the seats still playing are placed by their progress
+ * (tokens home, then steps travelled) and the game is over.
+ * @param {Object} game - The current game state.
+ * @param {number} playerIndex - The seat forfeiting.
+ * @param {string} reason - One of FORFEIT_REASONS.
+ * @param {Object} [options]
+ * @param {boolean} [options.endGame=false] - End the game even if two or more seats are left.
+ */
+export function forfeitSeat(game, playerIndex, reason, { endGame = false } = {}) {
+  game.players[playerIndex].forfeited = reason;
+  recordEvent(game, EVENT_TYPES.FORFEIT, endGame ? { playerIndex, reason, endGame } : { playerIndex, reason });
+
+  if (endGame || playingSeats(game).length < 2) concludeGame(game, reason);
+  if (game.gameOver || game.currentPlayer === playerIndex) nextTurn(game);
+}
+
+/**
+ * Lists every seat with its result so far: placed seats in finishing order, then the
+ * seats still playing by progress, then the seats that forfeited.
+ * @param {Object} game - The current game state.
+ * @returns {Object[]} `{ playerIndex, colors, tokensHome, place, finishedAt, forfeited }` for each seat,
+ *   where place is 1-based (null until placed) and finishedAt is when the seat's last token reached
+ *   the center (null if it did not).
+ */
+export function getStandings(game) {
+  const group = (p) => (game.winners.includes(p.playerIndex) ? 0 : p.forfeited ? 2 : 1);
+  return [...game.players]
+    .sort((a, b) => group(a) - group(b) ||
+      (group(a) === 0 ? game.winners.indexOf(a.playerIndex) - game.winners.indexOf(b.playerIndex)
+        : seatProgress(game, b) - seatProgress(game, a)))
+    .map(p => {
+      const place = game.winners.indexOf(p.playerIndex) + 1 || null;
+      return {
+        playerIndex: p.playerIndex,
+        colors: p.colors,
+        tokensHome: game.tokens.filter(t => t.completed && p.colors.includes(t.color.toLowerCase())).length,
+        place,
+        finishedAt: (place && game.finishedAt && game.finishedAt[p.playerIndex]) || null,
+        forfeited: p.forfeited || null
+      };
+    });
+}
+
+/**
+ * Checks whether every token of a seat has reached the center.
+ * @param {Object} game - The current game state.
+ * @param {Object} player - The seat to check.
+ * @returns {boolean} True if the seat has finished.
+ */
+export function hasPlayerFinished(game, player) {
+  const playerTokens = game.tokens.filter(t => player.colors.includes(t.color.toLowerCase()));
+  return playerTokens.length > 0 && playerTokens.every(t => t.completed);
+}
+
 /**
  * Advances the game to the next player's turn.
+ * Seats that have already finished or forfeited are skipped.
  * @param {Object} game - The current game state.
  */
 export function nextTurn(game) {
   game.currentRolls = []; // Clear remaining rolls
   game.originalRolls = []; // Clear original rolls
+  game.bonusRolls = 0; // Bonus rolls never carry over to the next player
+  game.sixesThisTurn = 0;
+  setPhase(game, GAME_PHASES.TURN_END);
 
-  // Find the next active player
-  let nextPlayerIndex = (game.currentPlayer + 1) % game.players.length;
+  if (game.gameOver) {
+    setPhase(game, GAME_PHASES.FINISHED);
+    return;
+  }
+
+  // Find the next active player, skipping seats that have finished or forfeited
+  let nextPlayerIndex = game.currentPlayer;
+  for (let i = 0; i < game.players.length; i++) {
+    nextPlayerIndex = (nextPlayerIndex + 1) % game.players.length;
+    if (!game.winners.includes(nextPlayerIndex) && !game.players[nextPlayerIndex].forfeited) break;
+  }
   game.currentPlayer = nextPlayerIndex;
+  setPhase(game, GAME_PHASES.AWAITING_ROLL);
+}
 
+/**
+ * Applies a fresh roll to the current player's turn.
+ * Handles the three-sixes forfeit, bonus rolls for sixes and unplayable dice.
+ * @param {Object} game - The current game state.
+ * @param {number[]} rolls - The rolled dice values.
+ * @returns {string} One of TURN_OUTCOMES.
+ */
+export function applyRoll(game, rolls) {
+  const rules = getRules(game);
 
-  // If next player is AI, trigger AI move
-  if (game.vsComputer && game.players[game.currentPlayer].id === 'AI') {
-    setTimeout(() => makeComputerMove(game), 1500); // Delay AI move for better UX
+  game.originalRolls = [...rolls];
+  game.currentRolls = [...rolls]; // These are the rolls currently available for token movement
+  game.rolledValue = [...rolls];  // This specifically holds the values to be displayed
+  recordEvent(game, EVENT_TYPES.ROLL, { dice: [...rolls] });
+
+  const sixes = rolls.filter(r => r === 6).length;
+  game.sixesThisTurn = (game.sixesThisTurn || 0) + sixes;
+
+  // House rule: a third six in the same turn forfeits the turn
+  if (rules.threeSixesForfeit && game.sixesThisTurn >= 3) {
+    nextTurn(game);
+    return TURN_OUTCOMES.TURN_OVER;
+  }
+
+  if (rules.extraRollOnSix && sixes > 0) {
+    game.bonusRolls = (game.bonusRolls || 0) + 1;
+  }
+
+  // If no valid moves are possible with the rolled dice, the dice are spent
+  if (!checkForValidMoves(game, game.currentPlayer, game.currentRolls)) {
+    return finishRolls(game);
   }
+  setPhase(game, GAME_PHASES.AWAITING_MOVE);
+  return TURN_OUTCOMES.MOVE;
 }
 
 /**
- * Checks if the current player has any valid moves with the given dice value.
+ * Plays one die on one token for the current player and resolves what happens next.
+ * The move must already have been validated with isValidMove.
  * @param {Object} game - The current game state.
- * @param {number} playerIndex - The index of the current player.
- * @returns {boolean} True if there's at least one valid move, false otherwise.
+ * @param {Object} token - The token to move.
+ * @param {number} diceValue - The die value to use (must be in game.currentRolls).
+ * @returns {Object} `{ captured, completed, outcome }` where outcome is one of TURN_OUTCOMES.
  */
-export function checkForValidMoves(game, playerIndex) {
-  const allowedColors = game.players[playerIndex].colors;
-  return game.tokens.some(token => {
-    if (!allowedColors.includes(token.color.toLowerCase())) return false; // Only current player's tokens
-    return isValidMove(game, token); // Uses game.diceValue which is set temporarily
+export function playMove(game, token, diceValue) {
+  const rules = getRules(game);
+  const from = token.position;
+  const before = takeSnapshot(game);
+
+  game.diceValue = diceValue;
+  const result = moveToken(game, token);
+
+  // Append-only record of every move (and capture) made in the game
+  recordEvent(game, EVENT_TYPES.MOVE, {
+    tokenId: token.id,
+    dieValue: diceValue,
+    from,
+    to: token.position,
+    captured: result.captured,
+    completed: result.completed
   });
+  if (result.captured) {
+    recordEvent(game, EVENT_TYPES.CAPTURE, { tokenId: result.captured, by: token.id, position: token.position });
+  }
+  game.lastMove = { playerIndex: game.currentPlayer, seq: game.moveLog.length, snapshot: before };
+
+  // Remove exactly that one die from currentRolls
+  game.currentRolls.splice(game.currentRolls.indexOf(diceValue), 1);
+
+  if ((result.captured && rules.extraRollOnCapture) || (result.completed && rules.extraRollOnHome)) {
+    game.bonusRolls = (game.bonusRolls || 0) + 1;
+  }
+
+  // If no more rolls or no valid moves remain, the dice are spent
+  if (
+    game.currentRolls.length === 0 ||
+    !checkForValidMoves(game, game.currentPlayer, game.currentRolls)
+  ) {
+    return { ...result, outcome: finishRolls(game) };
+  }
+  return { ...result, outcome: TURN_OUTCOMES.MOVE };
 }
 
+// Turn state captured before a move so that it can be taken back
+const UNDO_FIELDS = [
+  'tokens', 'currentPlayer', 'originalRolls', 'currentRolls', 'rolledValue', 'diceValue',
+  'bonusRolls', 'sixesThisTurn', 'phase', 'gameStarted', 'winners', 'gameOver'
+];
+
 /**
- * Makes a computer move (AI player).
+ * Copies the parts of the game state a move can change.
  * @param {Object} game - The current game state.
+ * @returns {Object} A detached, serializable snapshot.
  */
-export function makeComputerMove(game) {
-  if (game.gameOver) return; // Do not make moves if game is over
+function takeSnapshot(game) {
+  const snapshot = {};
+  UNDO_FIELDS.forEach(field => { snapshot[field] = game[field]; });
+  return JSON.parse(JSON.stringify(snapshot));
+}
 
-  // Simulate dice roll for AI
-  const rolls = [1, 2].map(() => Math.floor(Math.random() * 6) + 1);
-  game.originalRolls = [...rolls];
-  game.currentRolls = [...rolls];
-  game.rolledValue = game.originalRolls;
+/**
+ * Checks whether the last move can still be taken back: nothing may have happened since
+ * (no roll, skip or further move) and the game must not be over.
+ * @param {Object} game - The current game state.
+ * @returns {boolean} True if undoLastMove would succeed.
+ */
+export function canUndo(game) {
+  const last = game.lastMove;
+  return !!last && !game.gameOver && last.seq === (game.moveLog || []).length;
+}
 
+/**
+ * Restores the state from before the last move, including the dice left in currentRolls.
+ * @param {Object} game - The current game state.
+ * @returns {Object|null} The undo event, or null if there is nothing to undo.
+ */
+export function undoLastMove(game) {
+  if (!canUndo(game)) return null;
 
-  // Filter for valid moves with available rolls
-  const possibleMoves = [];
-  game.currentRolls.forEach((r, i) => {
-    game.diceValue = r; // Set dice value for isValidMove check
-    game.tokens.forEach(t => {
-      if (game.players[game.currentPlayer].colors.includes(t.color.toLowerCase()) && isValidMove(game, t)) {
-        possibleMoves.push({ t: t, r: r, i: i });
+  const { playerIndex, seq, snapshot } = game.lastMove;
+  Object.assign(game, JSON.parse(JSON.stringify(snapshot)));
+  game.lastMove = null;
+  return recordEvent(game, EVENT_TYPES.UNDO, { playerIndex, revertedSeq: seq });
+}
+
+/**
+ * Ends the current set of dice: either grants a pending bonus roll or passes the turn.
+ * @param {Object} game - The current game state.
+ * @returns {string} TURN_OUTCOMES.ROLL_AGAIN or TURN_OUTCOMES.TURN_OVER.
+ */
+function finishRolls(game) {
+  game.currentRolls = [];
+
+  if (game.bonusRolls > 0 && !game.gameOver && !game.winners.includes(game.currentPlayer)) {
+    game.bonusRolls -= 1;
+    setPhase(game, GAME_PHASES.AWAITING_ROLL);
+    return TURN_OUTCOMES.ROLL_AGAIN;
+  }
+
+  nextTurn(game);
+  return TURN_OUTCOMES.TURN_OVER;
+}
+
+/**
+ * Describes where a valid move takes a token, mirroring moveToken without applying it.
+ * @param {Object} game - The current game state.
+ * @param {Object} token - The token to move.
+ * @param {number} dieValue - The die value to play.
+ * @returns {Object} The move (see getLegalMoves).
+ */
+function describeMove(game, token, dieValue) {
+  const to = getProjectedGlobalPosition(token, dieValue, getRules(game));
+  const steps = token.position === -1 ? 1 : token.steps + dieValue;
+  const completes = steps >= TRACK_LENGTH + HOME_COLUMN_LENGTH;
+
+  // Captures only happen on the common track, never when leaving the base or on a safe square
+  let captures = null;
+  if (token.position !== -1 && steps < TRACK_LENGTH && !SAFE_SQUARE_INDICES.includes(to)) {
+    const owner = getTokenOwner(game, token);
+    const target = game.tokens.find(t => !t.completed && t.position === to && getTokenOwner(game, t) !== owner);
+    if (target) captures = target.id;
+  }
+
+  return {
+    tokenId: token.id,
+    dieValue,
+    to,
+    coords: getCoords({ ...token, position: to, steps, completed: completes }),
+    captures,
+    completes
+  };
+}
+
+/**
+ * Lists every move the current player may make with the dice left in currentRolls.
+ * This is the single source of legal moves for move validation, the AI and clients.
+ * @param {Object} game - The current game state (not modified).
+ * @returns {Object[]} `{ tokenId, dieValue, to, coords, captures, completes }` for each legal
+ *   token and die value (each die value once): `to` is the destination position, `coords` its
+ *   board square, `captures` the ID of the token sent back to base (or null) and `completes`
+ *   whether the token reaches the center.
+ */
+export function getLegalMoves(game) {
+  const seat = game.players[game.currentPlayer];
+  if (!seat || game.gameOver) return [];
+
+  const savedDiceValue = game.diceValue;
+  const moves = [];
+  [...new Set(game.currentRolls || [])].forEach(dieValue => {
+    game.diceValue = dieValue; // isValidMove reads the die from the game
+    game.tokens.forEach(token => {
+      if (seat.colors.includes(token.color.toLowerCase()) && isValidMove(game, token)) {
+        moves.push(describeMove(game, token, dieValue));
       }
     });
   });
+  game.diceValue = savedDiceValue;
+  return moves;
+}
 
-  // If no valid moves, skip turn
-  if (!possibleMoves.length) {
-    nextTurn(game);
-    return;
-  }
+/**
+ * Checks if the current player has any valid moves with the given dice values.
+ * @param {Object} game - The current game state.
+ * @param {number} playerIndex - The index of the current player.
+ * @param {number[]} [diceValues] - Dice to try (defaults to game.diceValue).
+ * @returns {boolean} True if there's at least one valid move, false otherwise.
+ */
+export function checkForValidMoves(game, playerIndex, diceValues = [game.diceValue]) {
+  const allowedColors = game.players[playerIndex].colors;
+  const savedDiceValue = game.diceValue;
 
-  // Simple AI: Prioritize getting out of base or moving closest to home
-  let bestMove = null;
-  // If a 6 is rolled, try to get a token out of the home base
-  if (rolls.includes(6)) {
-    bestMove = possibleMoves.find(m => m.r === 6 && m.t.position === -1);
-  }
+  const hasMove = diceValues.some(value => {
+    game.diceValue = value; // isValidMove reads game.diceValue
+    return game.tokens.some(token => {
+      if (!allowedColors.includes(token.color.toLowerCase())) return false; // Only current player's tokens
+      return isValidMove(game, token);
+    });
+  });
 
-  // If no 6 or already out, pick the first valid move
-  if (!bestMove) {
-    bestMove = possibleMoves[0]; // Simple: just take the first available valid move
-  }
+  game.diceValue = savedDiceValue;
+  return hasMove;
+}
 
+/**
+ * Makes a computer move (AI player).
+ * Plays a full roll with the same rule set as human players.
+ * Scheduling is up to the caller, which should call again on ROLL_AGAIN.
+ * @param {Object} game - The current game state.
+ * @param {function(Object): number[]} rollDice - Dice source (see services/diceProvider.js).
+ * @param {function(Object, Object[]): Object} chooseMove - Picks one of the getLegalMoves
+ *   moves (see aiStrategies.js).
+ * @returns {string|undefined} The TURN_OUTCOMES value, or undefined if it is not the AI's turn.
+ */
+export function makeComputerMove(game, rollDice, chooseMove) {
+  if (game.gameOver) return; // Do not make moves if game is over
+  // Stale timer: the turn has already moved on (or was handed back by an undo)
+  if (game.phase !== GAME_PHASES.AWAITING_ROLL || game.players[game.currentPlayer]?.id !== 'AI') return;
 
-  // Execute the move
-  if (bestMove) {
-    game.diceValue = bestMove.r; // Set the actual dice value for the move
-    moveToken(game, bestMove.t);
-    // Remove the used roll value
-    game.currentRolls.splice(bestMove.i, 1);
-  }
+  // Roll for the AI with the same dice source as human players
+  let outcome = applyRoll(game, rollDice(game));
 
-  // If a 6 was used and there are remaining rolls, AI takes another turn
-  if (bestMove && bestMove.r === 6 && game.currentRolls.length) {
-    setTimeout(() => makeComputerMove(game), 500); // Recursive call for extra turn on 6
-  } else {
-    nextTurn(game); // End AI turn
+  while (outcome === TURN_OUTCOMES.MOVE) {
+    const move = chooseMove(game, getLegalMoves(game));
+
+    // Execute the move (playMove removes the used roll value)
+    outcome = playMove(game, game.tokens.find(t => t.id === move.tokenId), move.dieValue).outcome;
   }
-}
\ No newline at end of file
+
+  return outcome;
+}
@@ -3,7 +3,8 @@
 // Global variables
 let socket;
 let gameId = null;
-let playerId = localStorage.getItem('playerId') || crypto.randomUUID();
+let playerId = localStorage.getItem('playerId'); // Assigned by the server
+let sessionToken = localStorage.getItem('sessionToken'); // Signed identity issued by createGame/joinGame
 let playerIndex = null; // 0-3 index
 let playerColors = [];
 let boardPaths = null;
@@ -11,6 +12,11 @@ let selectedToken = null;
 let currentRolls = [];
 let gameState = null;
 let isMyTurn = false;
+let isSpectator = false; // Watching a game read-only
+let inviteCode = null; // Latest invite code of the private room we host
+let turnClockTimer = null; // Refreshes the turn clock display
+let gamePhase = null; // Server-side turn phase (AWAITING_ROLL, AWAITING_MOVE, ...)
+let account = null; // Profile of the signed-in account, null for guests
 let gridSize = 40;
 let reconnectAttempts = 0;
 const MAX_RECONNECT_ATTEMPTS = 3;
@@ -22,22 +28,66 @@ const gameLobby = document.getElementById('game-lobby');
 const gameContainer = document.getElementById('game-container');
 const createGameBtn = document.getElementById('create-game-btn');
 const createAIGameBtn = document.getElementById('create-ai-game-btn');
+const maxPlayersSelect = document.getElementById('max-players-select');
+const rulesSelect = document.getElementById('rules-select');
+const endConditionSelect = document.getElementById('end-condition-select');
+const aiLevelSelect = document.getElementById('ai-level-select');
+const rankedCheckbox = document.getElementById('ranked-checkbox');
+const publicGameCheckbox = document.getElementById('public-game-checkbox');
+const privateRoomCheckbox = document.getElementById('private-room-checkbox');
+const roomPasswordInput = document.getElementById('room-password-input');
+const joinPasswordInput = document.getElementById('join-password-input');
+const findMatchBtn = document.getElementById('find-match-btn');
+const cancelMatchBtn = document.getElementById('cancel-match-btn');
+const refreshOpenGamesBtn = document.getElementById('refresh-open-games-btn');
+const openGamesList = document.getElementById('open-games-list');
+const refreshLeaderboardBtn = document.getElementById('refresh-leaderboard-btn');
+const leaderboardList = document.getElementById('leaderboard-list');
 const joinGameBtn = document.getElementById('join-game-btn');
+const spectateGameBtn = document.getElementById('spectate-game-btn');
 const rejoinGameBtn = document.getElementById('rejoin-game-btn');
 const gameIdInput = document.getElementById('game-id-input');
 const gameIdDisplay = document.getElementById('game-id');
 const playerNumberDisplay = document.getElementById('player-number');
 const playerColorsDisplay = document.getElementById('player-colors');
 const turnStatusDisplay = document.getElementById('turn-status');
+const turnClockDisplay = document.getElementById('turn-clock');
+const viewerCountDisplay = document.getElementById('viewer-count');
 const gameOverBanner = document.getElementById('game-over-banner');
 const winnerMessage = document.getElementById('winner-message');
+const standingsList = document.getElementById('standings-list');
 const copyLinkBtn = document.getElementById('copy-link-btn');
+const roomPanel = document.getElementById('room-panel');
+const seatList = document.getElementById('seat-list');
+const readyBtn = document.getElementById('ready-btn');
+const colorSelect = document.getElementById('color-select');
+const countdownDisplay = document.getElementById('countdown-display');
+const accountStatus = document.getElementById('account-status');
+const accountForm = document.getElementById('account-form');
+const accountUsernameInput = document.getElementById('account-username-input');
+const accountPasswordInput = document.getElementById('account-password-input');
+const profileForm = document.getElementById('profile-form');
+const avatarSelect = document.getElementById('avatar-select');
+const displayNameInput = document.getElementById('display-name-input');
+const hostControls = document.getElementById('host-controls');
+const lockRoomBtn = document.getElementById('lock-room-btn');
+const startGameBtn = document.getElementById('start-game-btn');
 const gameBoard = document.getElementById('game-board');
 const rollDiceBtn = document.getElementById('roll-dice-btn');
 const skipTurnBtn = document.getElementById('skip-turn-btn');
+const undoBtn = document.getElementById('undo-btn');
+const resignBtn = document.getElementById('resign-btn');
 const dice1 = document.getElementById('dice1');
 const dice2 = document.getElementById('dice2');
 const toastContainer = document.getElementById('toast-container');
+const chatMessages = document.getElementById('chat-messages');
+const chatForm = document.getElementById('chat-form');
+const chatInput = document.getElementById('chat-input');
+const chatSendBtn = document.getElementById('chat-send-btn');
+const reactionBar = document.getElementById('reaction-bar');
+
+// Must match the server's reaction set (services/chatService.js)
+const REACTIONS = ['👍', '👏', '😂', '😮', '😢', '😡', '🎲', '🔥'];
 
 
 
@@ -55,8 +105,6 @@ function connectToServer() {
     if (socket.connected) socket.disconnect();
   }
   
-  console.log('Generated playerId:', playerId);
-  localStorage.setItem('playerId', playerId); // Store playerId in localStorage
   // Determine host URL
   const host = window.location.hostname === 'localhost' 
     ? 'http://localhost:3000' 
@@ -65,7 +113,7 @@ function connectToServer() {
   // Establish socket connection
   socket = io(host, {
     auth: {
-      playerId: playerId,
+      token: sessionToken || undefined,
       gameId: gameId || null
     },
     reconnectionAttempts: MAX_RECONNECT_ATTEMPTS,
@@ -85,10 +133,27 @@ function connectToServer() {
   socket.on('gameStateUpdated', onGameStateUpdated);
   socket.on('diceRolled', onDiceRolled);
   socket.on('playerDisconnected', onPlayerDisconnected);
+  socket.on('undoRequested', onUndoRequested);
+  socket.on('undoDeclined', onUndoDeclined);
+  socket.on('undoApplied', onUndoApplied);
+  socket.on('viewersChanged', onViewersChanged);
+  socket.on('chatMessage', appendChatMessage);
+  socket.on('matchFound', onMatchFound);
+  socket.on('kicked', onKicked);
+  socket.on('countdown', onCountdown);
+  socket.on('gameEnded', onGameEnded);
+  socket.on('reaction', onReaction);
   socket.on('game_error', onGameError);
   socket.on('error', onError);
   socket.on('connect_error', (err) => {
     console.error('Connection error:', err);
+    if (err.message === 'Invalid session token') {
+      // Stale or forged token: drop it and connect as a new player
+      clearSession();
+      connectionInitialized = false;
+      connectToServer();
+      return;
+    }
     connectionStatus = 'error';
     showToast(`Connection error: ${err.message}`, 'error');
   });
@@ -112,10 +177,13 @@ function onConnect() {
     
     if (joinGameId) {
       gameIdInput.value = joinGameId;
-      joinGame(joinGameId);
+      joinGame(joinGameId, urlParams.get('invite'));
     }
     // Note: Removed checkSavedGame() call since we're not using localStorage
   });
+
+  refreshOpenGames();
+  refreshLeaderboard();
 }
 
 function onDisconnect() {
@@ -126,11 +194,10 @@ function onDisconnect() {
 function onReconnect(attempt) {
   showToast(`Reconnected after ${attempt} attempts`, 'success');
   reconnectAttempts = 0;
-  playerId = localStorage.getItem('playerId') 
-  
+
   console.log('Reconnected successfully');
-  if (gameId && playerId) {
-    socket.emit('rejoinGame', { gameId, playerId }, (response) => {
+  if (gameId && sessionToken) {
+    socket.emit('rejoinGame', { gameId }, (response) => {
       if (!response.error) {
         onGameStateUpdated(response);
       }
@@ -164,7 +231,7 @@ function rejoinGame() {
   }
 
   console.log('Rejoining game with ID:', gameIdValue, playerId);
-  socket.emit('rejoinGame', { gameId: gameIdValue, playerId: playerId }, (response) => {
+  socket.emit('rejoinGame', { gameId: gameIdValue }, (response) => {
     if (response.error) {
       showToast(response.error, 'error');
       console.log('Rejoin error:', response.error);
@@ -175,7 +242,8 @@ function rejoinGame() {
 
     // Update global variables with successful rejoin data
     gameId = gameIdValue;
-    playerId = playerId || response.playerId;
+    isSpectator = false;
+    playerId = response.playerId;
     playerIndex = response.playerIndex;
     playerColors = response.colors || [];
     
@@ -189,7 +257,17 @@ function onGameStateUpdated(data) {
   console.log("Game state updated:", data);
   gameState = data;
   currentRolls = data.dice || [];
-  isMyTurn = data.myTurn;
+  isMyTurn = !data.spectator && data.myTurn;
+  gamePhase = data.phase || null;
+  if (data.viewers !== undefined) viewerCountDisplay.textContent = data.viewers;
+  if (!data.spectator && data.playerIndex !== undefined && data.playerIndex !== playerIndex) {
+    // The host moved our seat before the start
+    playerIndex = data.playerIndex;
+    playerColors = data.colors || [];
+    showPlayerColors();
+  }
+  updateRoomPanel(data.room);
+  updateTurnClock(data.turnClock);
 
   // Update turn status
   updateTurnStatus();
@@ -198,10 +276,16 @@ function onGameStateUpdated(data) {
   if (data.gameOver) {
     gameOverBanner.style.display = 'block';
     if (data.winner !== null) {
-      winnerMessage.textContent = data.winner === playerIndex
-        ? 'You won! 🎉'
-        : 'You lost. Better luck next time!';
+      const mine = !isSpectator && (data.standings || []).find(s => s.playerIndex === playerIndex);
+      winnerMessage.textContent = (isSpectator
+        ? `Player ${data.winner + 1} won!`
+        : data.winner === playerIndex
+          ? 'You won! 🎉'
+          : mine && mine.place
+            ? `You finished ${ordinal(mine.place)}.`
+            : 'You lost. Better luck next time!') + describeEndReason(data.result);
     }
+    updateStandings(data.standings);
     // rollDiceBtn.disabled = true;
     // skipTurnBtn.disabled = true;
   }
@@ -225,21 +309,138 @@ function onDiceRolled(data) {
   showToast(message, data.playerId === playerId ? 'info' : 'default');
 }
 
+// Why the game ended, as shown under the winner
+const END_REASONS = {
+  resigned: 'resigned',
+  timedOut: 'ran out of time',
+  abandoned: 'left the game'
+};
+
+function describeEndReason(result) {
+  if (!result || !END_REASONS[result.reason]) return '';
+  const last = result.forfeited[result.forfeited.length - 1];
+  return last ? ` (${playerLabel(last.playerIndex)} ${END_REASONS[result.reason]})` : '';
+}
+
+function ordinal(place) {
+  return `${place}${['st', 'nd', 'rd'][place - 1] || 'th'}`;
+}
+
+function updateStandings(standings) {
+  standingsList.innerHTML = '';
+  (standings || []).forEach(s => {
+    const item = document.createElement('li');
+    const status = s.forfeited ? `out (${END_REASONS[s.forfeited]})` : s.place ? ordinal(s.place) : 'unplaced';
+    item.textContent = `${playerLabel(s.playerIndex)} (${s.colors.join(', ')}): ${status}, ${s.tokensHome} home`;
+    standingsList.appendChild(item);
+  });
+}
+
+function onGameEnded(result) {
+  if (result.gameId !== gameId) return;
+  showToast(result.winner === playerIndex && !isSpectator ? 'You won the game!' : `${playerLabel(result.winner)} won the game.`, 'info');
+  if (result.rated && account) refreshAccount(); // New rating
+}
+
 function onPlayerDisconnected() {
   showToast('A player has disconnected from the game.', 'error');
 }
 
+function onViewersChanged(data) {
+  viewerCountDisplay.textContent = data.viewers;
+}
+
+function playerLabel(index) {
+  if (index === playerIndex && !isSpectator) return 'You';
+  const seat = gameState && gameState.room && gameState.room.seats.find(s => s.playerIndex === index);
+  if (!seat || !seat.displayName) return `Player ${index + 1}`;
+  return `${seat.avatar} ${seat.displayName}` + (seat.rating ? ` (${seat.rating})` : '');
+}
+
+function appendChatMessage(message) {
+  const item = document.createElement('li');
+  const author = document.createElement('span');
+  author.className = 'chat-author';
+  author.textContent = playerLabel(message.playerIndex) + ':';
+  item.appendChild(author);
+  item.appendChild(document.createTextNode(message.text)); // Never render chat as HTML
+  chatMessages.appendChild(item);
+  chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
+function onReaction(data) {
+  showToast(`${playerLabel(data.playerIndex)} ${data.reaction}`, 'default');
+}
+
+function sendChat() {
+  const text = chatInput.value.trim();
+  if (!text || !gameId) return;
+
+  socket.emit('sendChat', { gameId, text }, (response) => {
+    if (response?.error) {
+      showToast(response.error, 'warning');
+      return;
+    }
+    chatInput.value = '';
+  });
+}
+
+function sendReaction(reaction) {
+  socket.emit('sendReaction', { gameId, reaction }, (response) => {
+    if (response?.error) showToast(response.error, 'warning');
+  });
+}
+
+// Players see the chat history; spectators only see reactions
+function setupChat() {
+  chatMessages.innerHTML = '';
+  chatForm.style.display = isSpectator ? 'none' : 'flex';
+  reactionBar.style.display = isSpectator ? 'none' : 'flex';
+  if (isSpectator) return;
+
+  socket.emit('getChatHistory', { gameId }, (response) => {
+    (response?.messages || []).forEach(appendChatMessage);
+  });
+}
+
+function onUndoRequested(data) {
+  if (isSpectator) return; // Only players answer undo requests
+  if (data.playerIndex === playerIndex) {
+    showToast('Undo requested, waiting for your opponent...', 'info');
+    return;
+  }
+  const accept = window.confirm('Your opponent wants to take back their last move. Allow it?');
+  socket.emit('respondUndo', { gameId, accept });
+}
+
+function onUndoDeclined(data) {
+  if (data.playerIndex === playerIndex) showToast('Your undo request was declined.', 'warning');
+}
+
+function onUndoApplied(data) {
+  showToast(data.playerIndex === playerIndex ? 'Your last move was taken back.' : 'Opponent took back their last move.', 'info');
+}
+
 // Game actions
 function createGame(vsComputer) {
-  socket.emit('createGame', { vsComputer, playerId }, (response) => {
+  const maxPlayers = Number(maxPlayersSelect.value) || 2;
+  const rules = { preset: rulesSelect.value || 'classic', endCondition: endConditionSelect.value || 'lastPlace' };
+  const aiLevel = aiLevelSelect.value || 'medium';
+  const isPublic = !vsComputer && publicGameCheckbox.checked;
+  const password = roomPasswordInput.value || undefined;
+  const privateRoom = !vsComputer && (privateRoomCheckbox.checked || !!password);
+  socket.emit('createGame', { vsComputer, maxPlayers, rules, aiLevel, isPublic, privateRoom, password }, (response) => {
     if (response.error) {
       showToast(response.error, 'error');
       return;
     }
 
+    saveSession(response);
     gameId = response.gameId;
     playerIndex = 0; // Creator is always player 0
+    isSpectator = false;
     playerColors = response.colors || ['red', 'yellow'];
+    inviteCode = response.invite ? response.invite.code : null;
     console.log('Game created:', response);
 
     showGameBoard();
@@ -247,22 +448,314 @@ function createGame(vsComputer) {
   });
 }
 
-function joinGame(id) {
-  socket.emit('joinGame', { gameId: id, playerId }, (response) => {
+function joinGame(id, invite) {
+  const password = joinPasswordInput.value || undefined;
+  socket.emit('joinGame', { gameId: id, password, inviteCode: invite || undefined }, (response) => {
     if (response.error) {
       showToast(response.error, 'error');
       return;
     }
 
+    saveSession(response);
     gameId = response.gameId;
-    playerIndex = 1; // Joiner is always player 1
-    playerColors = response.colors || ['green', 'blue'];
+    playerIndex = response.playerIndex; // Seat assigned by the server (1-3)
+    isSpectator = false;
+    playerColors = response.colors || [];
 
     showGameBoard();
     showToast(`Joined game ${response.gameId}`, 'success');
   });
 }
 
+// Wait in the matchmaking queue for players who want the same table
+// (ranked: players with a similar rating, which can take longer)
+function findMatch() {
+  const maxPlayers = Number(maxPlayersSelect.value) || 2;
+  const rules = { preset: rulesSelect.value || 'classic', endCondition: endConditionSelect.value || 'lastPlace' };
+  const ranked = rankedCheckbox.checked;
+  socket.emit('findMatch', { maxPlayers, rules, ranked }, (response) => {
+    if (response.error) {
+      showToast(response.error, 'error');
+      return;
+    }
+    if (response.queued) {
+      setSearching(true);
+      showToast(response.ranked
+        ? 'Searching for opponents with a similar rating...'
+        : `Searching for opponents (${response.waiting}/${response.maxPlayers})...`, 'info');
+    }
+  });
+}
+
+function cancelMatch() {
+  socket.emit('cancelMatch', () => setSearching(false));
+}
+
+function setSearching(searching) {
+  findMatchBtn.style.display = searching ? 'none' : 'inline-block';
+  cancelMatchBtn.style.display = searching ? 'inline-block' : 'none';
+}
+
+function onMatchFound(data) {
+  setSearching(false);
+  saveSession(data);
+  gameId = data.gameId;
+  playerIndex = data.playerIndex;
+  playerColors = data.colors || [];
+  isSpectator = false;
+
+  showGameBoard();
+  showToast(`${data.ranked ? 'Ranked match' : 'Match'} found! Game ${data.gameId}`, 'success');
+}
+
+// Top ratings for the table size picked in the lobby
+function refreshLeaderboard() {
+  const maxPlayers = Number(maxPlayersSelect.value) || 2;
+  fetch(`/leaderboard?players=${maxPlayers}&pageSize=10`)
+    .then(response => response.json())
+    .then(({ entries = [] }) => {
+      leaderboardList.innerHTML = '';
+      if (!entries.length) {
+        leaderboardList.innerHTML = `<li>No ranked ${maxPlayers}-player games yet</li>`;
+        return;
+      }
+      entries.forEach(entry => {
+        const item = document.createElement('li');
+        item.textContent = `${entry.avatar} ${entry.displayName}: ${entry.rating} ±${entry.rd * 2} (${entry.wins}/${entry.games} won)`;
+        leaderboardList.appendChild(item);
+      });
+    })
+    .catch(error => console.error('Failed to load the leaderboard:', error));
+}
+
+function refreshOpenGames() {
+  socket.emit('listOpenGames', ({ games = [] } = {}) => {
+    openGamesList.innerHTML = '';
+    if (!games.length) {
+      openGamesList.innerHTML = '<li>No open games right now</li>';
+      return;
+    }
+    games.forEach(game => {
+      const item = document.createElement('li');
+      item.textContent = `${game.gameId} - ${game.rules.preset}, ${game.players}/${game.maxPlayers} players`;
+      const joinBtn = document.createElement('button');
+      joinBtn.className = 'btn';
+      joinBtn.textContent = 'Join';
+      joinBtn.addEventListener('click', () => joinGame(game.gameId));
+      item.appendChild(joinBtn);
+      openGamesList.appendChild(item);
+    });
+  });
+}
+
+// Watch a game without a seat; every control stays disabled
+function spectateGame(id) {
+  const password = joinPasswordInput.value || undefined;
+  const invite = new URLSearchParams(window.location.search).get('invite') || undefined;
+  socket.emit('spectateGame', { gameId: id, password, inviteCode: invite }, (response) => {
+    if (response.error) {
+      showToast(response.error, 'error');
+      return;
+    }
+
+    gameId = response.gameId;
+    playerIndex = null;
+    playerColors = [];
+    isSpectator = true;
+
+    showGameBoard();
+    onGameStateUpdated(response);
+    showToast(`Watching game ${response.gameId}`, 'success');
+  });
+}
+
+// The host removed us from the room before the start
+function onKicked() {
+  showToast('The host removed you from the game.', 'warning');
+  gameId = null;
+  playerIndex = null;
+  playerColors = [];
+  gameState = null;
+  gameContainer.style.display = 'none';
+  gameLobby.style.display = 'block';
+  refreshOpenGames();
+}
+
+// Pre-game room: seats, readiness and colors for everyone, plus the host's controls
+function updateRoomPanel(room) {
+  const inLobby = gamePhase === 'WAITING_FOR_PLAYERS' || gamePhase === 'STARTING';
+  roomPanel.style.display = !isSpectator && room && inLobby ? 'block' : 'none';
+  if (isSpectator || !room || !inLobby) return;
+
+  const isHost = room.hostIndex === playerIndex;
+  const waiting = gamePhase === 'WAITING_FOR_PLAYERS';
+  const mySeat = room.seats.find(seat => seat.playerIndex === playerIndex);
+  readyBtn.textContent = mySeat && mySeat.ready ? 'Not Ready' : 'Ready';
+  readyBtn.style.display = room.readyCheck && !isHost ? 'inline-block' : 'none';
+  colorSelect.disabled = !waiting;
+  hostControls.style.display = isHost && waiting ? 'block' : 'none';
+  lockRoomBtn.textContent = room.locked ? 'Unlock Room' : 'Lock Room';
+  if (waiting) countdownDisplay.textContent = '';
+
+  seatList.innerHTML = '';
+  room.seats.forEach(seat => {
+    const item = document.createElement('li');
+    const status = seat.playerIndex === room.hostIndex ? 'host' : seat.ready ? 'ready ✓' : 'not ready';
+    item.textContent = `${playerLabel(seat.playerIndex)} (${seat.colors.join(', ')})${seat.bot ? ' - bot' : ''} - ${status}`;
+    if (!isHost || !waiting) {
+      seatList.appendChild(item);
+      return;
+    }
+    if (seat.playerIndex > 0) {
+      const upBtn = document.createElement('button');
+      upBtn.className = 'btn';
+      upBtn.textContent = '↑';
+      upBtn.title = 'Swap with the seat above';
+      upBtn.addEventListener('click', () => roomAction('swapSeats', { a: seat.playerIndex - 1, b: seat.playerIndex }));
+      item.appendChild(upBtn);
+    }
+    if (seat.playerIndex !== room.hostIndex) {
+      const kickBtn = document.createElement('button');
+      kickBtn.className = 'btn';
+      kickBtn.textContent = 'Kick';
+      kickBtn.addEventListener('click', () => roomAction('kickPlayer', { playerIndex: seat.playerIndex }));
+      item.appendChild(kickBtn);
+    }
+    seatList.appendChild(item);
+  });
+}
+
+function onCountdown(data) {
+  if (data.cancelled) {
+    countdownDisplay.textContent = '';
+    showToast('Start cancelled: a player is no longer ready.', 'warning');
+    return;
+  }
+  countdownDisplay.textContent = `Starting in ${data.secondsLeft}...`;
+}
+
+function roomAction(event, data) {
+  socket.emit(event, { gameId, ...data }, (response) => {
+    if (response && response.error) showToast(response.error, 'error');
+  });
+}
+
+// Private rooms are joined with an invite code; other games by their ID
+function copyInviteLink(code) {
+  const inviteLink = code
+    ? `${window.location.origin}?join=${gameId}&invite=${encodeURIComponent(code)}`
+    : `${window.location.origin}?join=${gameId}`;
+  navigator.clipboard.writeText(inviteLink).then(() => {
+    showToast('Invite link copied!', 'success');
+  }).catch(err => {
+    console.error('Failed to copy link: ', err);
+    showToast('Failed to copy link.', 'error');
+  });
+}
+
+// Keep the server-issued identity so the player can rejoin after a reload
+function saveSession({ playerId: id, token }) {
+  playerId = id;
+  sessionToken = token;
+  localStorage.setItem('playerId', id);
+  localStorage.setItem('sessionToken', token);
+  if (socket) socket.auth.token = token; // Used by automatic reconnects
+}
+
+function clearSession() {
+  playerId = null;
+  sessionToken = null;
+  localStorage.removeItem('playerId');
+  localStorage.removeItem('sessionToken');
+}
+
+// Accounts (REST API): the session token of an account identifies the socket as that account
+const AVATARS = ['🎲', '🐶', '🐱', '🦊', '🐼', '🐸', '🦁', '🐙', '🚀', '⭐']; // Must match services/accountService.js
+
+async function accountRequest(method, path, body) {
+  const response = await fetch(path, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...(sessionToken ? { Authorization: `Bearer ${sessionToken}` } : {}) },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || 'Request failed');
+  return data;
+}
+
+function showAccount(profile) {
+  account = profile;
+  accountForm.style.display = account ? 'none' : 'flex';
+  profileForm.style.display = account ? 'flex' : 'none';
+  if (!account) {
+    accountStatus.textContent = 'Playing as a guest.';
+    return;
+  }
+  const { gamesPlayed, wins, captures, tokensLost, averageFinishTurn } = account.stats;
+  accountStatus.textContent = `${account.avatar} ${account.displayName} (@${account.username}): ` +
+    `${gamesPlayed} games, ${wins} wins, ${captures} captures, ${tokensLost} tokens lost` +
+    (averageFinishTurn !== null ? `, finishes in ${averageFinishTurn.toFixed(1)} turns on average` : '');
+  const ratings = Object.entries(account.ratings || {})
+    .map(([players, { rating, games }]) => `${players}-player ${rating} (${games} ranked)`);
+  if (ratings.length) accountStatus.textContent += `. Ratings: ${ratings.join(', ')}`;
+  displayNameInput.value = account.displayName;
+  avatarSelect.value = account.avatar;
+}
+
+// The socket keeps the identity it connected with, so reconnect after signing in or out
+function reconnectSocket() {
+  if (!socket) return;
+  socket.auth.token = sessionToken || undefined;
+  socket.disconnect().connect();
+}
+
+async function signIn(action) {
+  try {
+    const data = await accountRequest('POST', `/accounts/${action}`, {
+      username: accountUsernameInput.value.trim(),
+      password: accountPasswordInput.value
+    });
+    accountPasswordInput.value = '';
+    saveSession(data);
+    showAccount(data.account);
+    reconnectSocket();
+    showToast(action === 'register' ? 'Account created.' : `Welcome back, ${data.account.displayName}!`, 'success');
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function saveProfile() {
+  try {
+    const data = await accountRequest('PATCH', '/accounts/me', { displayName: displayNameInput.value, avatar: avatarSelect.value });
+    showAccount(data.account);
+    showToast('Profile saved.', 'success');
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+function logOut() {
+  clearSession();
+  showAccount(null);
+  reconnectSocket();
+}
+
+// Restore the signed-in account after a reload (guest sessions answer 404)
+function loadAccount() {
+  AVATARS.forEach(avatar => {
+    const option = document.createElement('option');
+    option.value = avatar;
+    option.textContent = avatar;
+    avatarSelect.appendChild(option);
+  });
+  if (sessionToken) refreshAccount();
+}
+
+function refreshAccount() {
+  accountRequest('GET', '/accounts/me').then(data => showAccount(data.account)).catch(() => showAccount(null));
+}
+
 function rollDice() {
   if (!isMyTurn) {
     showToast("It's not your turn!", 'warning');
@@ -310,6 +803,17 @@ function skipTurn() {
   socket.emit('skipTurn', { gameId });
 }
 
+function requestUndo() {
+  socket.emit('requestUndo', { gameId });
+}
+
+function resign() {
+  if (!confirm('Resign from this game? Your seat will be skipped for the rest of the game.')) return;
+  socket.emit('resign', { gameId }, (response) => {
+    if (response && response.error) showToast(response.error, 'error');
+  });
+}
+
 // UI Functions
 function showGameBoard() {
   gameLobby.style.display = 'none';
@@ -318,9 +822,17 @@ function showGameBoard() {
 
   // Update game info
   gameIdDisplay.textContent = gameId;
-  playerNumberDisplay.textContent = playerId;
+  playerNumberDisplay.textContent = isSpectator ? '(spectating)' : playerId;
+
+  showPlayerColors();
+  setupChat();
 
-  // Show player colors
+  // Set canvas size based on container
+  resizeGameBoard();
+  window.addEventListener('resize', resizeGameBoard);
+}
+
+function showPlayerColors() {
   playerColorsDisplay.innerHTML = '';
   playerColors.forEach(color => {
     const colorDot = document.createElement('span');
@@ -328,10 +840,6 @@ function showGameBoard() {
     colorDot.style.backgroundColor = getColorHex(color);
     playerColorsDisplay.appendChild(colorDot);
   });
-
-  // Set canvas size based on container
-  resizeGameBoard();
-  window.addEventListener('resize', resizeGameBoard);
 }
 
 function resizeGameBoard() {
@@ -351,15 +859,42 @@ function resizeGameBoard() {
 }
 
 function updateTurnStatus() {
-  turnStatusDisplay.textContent = isMyTurn ?
-    "It's your turn!" :
-    "Waiting for other player...";
+  turnStatusDisplay.textContent = isSpectator ?
+    `Player ${(gameState?.currentPlayer ?? 0) + 1} to play` :
+    isMyTurn ?
+      "It's your turn!" :
+      "Waiting for other player...";
 
   turnStatusDisplay.className = isMyTurn ? 'your-turn' : 'waiting';
 
-  // Update buttons
-  rollDiceBtn.disabled = !isMyTurn || currentRolls.length > 0;
-  skipTurnBtn.disabled = !isMyTurn || currentRolls.length === 0;
+  // Update buttons (the server rejects out-of-phase actions anyway)
+  rollDiceBtn.disabled = !isMyTurn || (gamePhase ? gamePhase !== 'AWAITING_ROLL' : currentRolls.length > 0);
+  skipTurnBtn.disabled = !isMyTurn || (gamePhase ? gamePhase !== 'AWAITING_MOVE' : currentRolls.length === 0);
+  undoBtn.disabled = !(gameState && gameState.canUndo);
+
+  const seat = gameState && gameState.room && gameState.room.seats.find(s => s.playerIndex === playerIndex);
+  resignBtn.disabled = isSpectator || !seat || !!seat.forfeited || !['AWAITING_ROLL', 'AWAITING_MOVE'].includes(gamePhase);
+}
+
+// Count down the server's turn clock; received as time left, so client and server clocks may differ
+function updateTurnClock(clock) {
+  clearInterval(turnClockTimer);
+  turnClockDisplay.textContent = '';
+  if (!clock) return;
+
+  const deadline = Date.now() + clock.remainingMs;
+  const mine = !isSpectator && clock.playerIndex === playerIndex;
+  const render = () => {
+    const seconds = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+    const action = clock.phase === 'AWAITING_ROLL' ? 'roll' : 'move';
+    turnClockDisplay.textContent = mine
+      ? `${seconds}s to ${action}` + (clock.timeouts ? ` (${clock.timeouts}/${clock.maxTimeouts} timeouts)` : '')
+      : `${playerLabel(clock.playerIndex)}: ${seconds}s to ${action}`;
+    turnClockDisplay.className = mine && seconds <= 10 ? 'clock-low' : '';
+    if (!seconds) clearInterval(turnClockTimer);
+  };
+  render();
+  turnClockTimer = setInterval(render, 1000);
 }
 
 function updateDiceDisplay() {
@@ -569,6 +1104,33 @@ function drawTokens(ctx) {
       ctx.stroke();
     }
   });
+
+  drawMoveTargets(ctx);
+}
+
+// Mark where the selected token can go, with the die that takes it there (red: capture)
+function drawMoveTargets(ctx) {
+  if (!selectedToken || !gameState?.legalMoves) return;
+
+  gameState.legalMoves.filter(move => move.tokenId === selectedToken).forEach(move => {
+    const [x, y] = move.coords;
+    const canvasX = x * gridSize + gridSize / 2;
+    const canvasY = y * gridSize + gridSize / 2;
+
+    ctx.beginPath();
+    ctx.arc(canvasX, canvasY, gridSize * 0.4, 0, Math.PI * 2);
+    ctx.setLineDash([4, 3]);
+    ctx.strokeStyle = move.captures ? '#ff3b30' : '#00aa55';
+    ctx.lineWidth = 3;
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    ctx.fillStyle = '#222';
+    ctx.font = 'bold ' + (gridSize * 0.25) + 'px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(String(move.dieValue), canvasX, canvasY - gridSize * 0.45);
+  });
 }
 
 // Utility functions
@@ -632,20 +1194,57 @@ window.addEventListener('resize', resizeGameBoard);
 createGameBtn.addEventListener('click', () => createGame(false));
 createAIGameBtn.addEventListener('click', () => createGame(true));
 joinGameBtn.addEventListener('click', () => joinGame(gameIdInput.value.trim()));
+lockRoomBtn.addEventListener('click', () => roomAction('lockRoom', { locked: !gameState?.room?.locked }));
+startGameBtn.addEventListener('click', () => roomAction('startGame', {}));
+readyBtn.addEventListener('click', () => {
+  const mySeat = gameState?.room?.seats.find(seat => seat.playerIndex === playerIndex);
+  roomAction('setReady', { ready: !(mySeat && mySeat.ready) });
+});
+colorSelect.addEventListener('change', () => {
+  if (colorSelect.value) roomAction('chooseColors', { color: colorSelect.value });
+  colorSelect.value = '';
+});
+spectateGameBtn.addEventListener('click', () => spectateGame(gameIdInput.value.trim()));
+findMatchBtn.addEventListener('click', findMatch);
+cancelMatchBtn.addEventListener('click', cancelMatch);
+refreshOpenGamesBtn.addEventListener('click', refreshOpenGames);
+refreshLeaderboardBtn.addEventListener('click', refreshLeaderboard);
+maxPlayersSelect.addEventListener('change', refreshLeaderboard);
+chatSendBtn.addEventListener('click', sendChat);
+chatInput.addEventListener('keydown', (event) => {
+  if (event.key === 'Enter') sendChat();
+});
+REACTIONS.forEach(reaction => {
+  const button = document.createElement('button');
+  button.textContent = reaction;
+  button.addEventListener('click', () => sendReaction(reaction));
+  reactionBar.appendChild(button);
+});
 rejoinGameBtn.addEventListener('click', handleManualReconnect);
 rollDiceBtn.addEventListener('click', rollDice);
 skipTurnBtn.addEventListener('click', skipTurn);
+undoBtn.addEventListener('click', requestUndo);
+resignBtn.addEventListener('click', resign);
 
 copyLinkBtn.addEventListener('click', () => {
-  if (gameId) {
-    const inviteLink = `${window.location.origin}?join=${gameId}`;
-    navigator.clipboard.writeText(inviteLink).then(() => {
-      showToast('Invite link copied!', 'success');
-    }).catch(err => {
-      console.error('Failed to copy link: ', err);
-      showToast('Failed to copy link.', 'error');
-    });
+  if (!gameId) return;
+  if (!gameState?.room?.isPrivate) {
+    copyInviteLink(null);
+    return;
   }
+  if (gameState.room.hostIndex !== playerIndex) {
+    showToast('Ask the host for an invite to this private room.', 'info');
+    return;
+  }
+  // A fresh invite each time, so an old link can be left to expire
+  socket.emit('createInvite', { gameId }, (response) => {
+    if (response.error) {
+      copyInviteLink(inviteCode); // Started games take no new invites; the first one may still work
+      return;
+    }
+    inviteCode = response.code;
+    copyInviteLink(inviteCode);
+  });
 });
 
 // Handle token click
@@ -679,9 +1278,28 @@ gameBoard.addEventListener('click', (event) => {
     selectedToken = closestToken.id;
     drawBoard();
     showToast(`Selected token ${closestToken.id}`, 'info');
+    previewSelectedToken();
   }
 });
 
+// Tell the player what each usable die would do with the selected token
+function previewSelectedToken() {
+  const dice = [...new Set((gameState?.legalMoves || [])
+    .filter(move => move.tokenId === selectedToken)
+    .map(move => move.dieValue))];
+
+  dice.forEach(rolledValue => {
+    socket.emit('previewMove', { gameId, tokenId: selectedToken, rolledValue }, (preview) => {
+      if (!preview || preview.error) return;
+      const outcome = preview.completed ? 'reaches home'
+        : preview.captured ? `captures ${preview.captured}`
+        : preview.threats ? `can be hit by ${preview.threats} token(s)`
+        : 'lands safely';
+      showToast(`With ${rolledValue}: ${outcome}`, preview.threats && !preview.completed ? 'warning' : 'info');
+    });
+  });
+}
+
 // Handle dice click for selecting roll when token is selected
 dice1.addEventListener('click', () => {
   if (!selectedToken) {
@@ -710,5 +1328,11 @@ window.addEventListener('beforeunload', () => {
   }
 });
 
+document.getElementById('login-btn').addEventListener('click', () => signIn('login'));
+document.getElementById('register-btn').addEventListener('click', () => signIn('register'));
+document.getElementById('save-profile-btn').addEventListener('click', saveProfile);
+document.getElementById('logout-btn').addEventListener('click', logOut);
+
 // Initialize connection
-connectToServer();
\ No newline at end of file
+connectToServer();
+loadAccount();
\ No newline at end of file
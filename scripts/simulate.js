@@ -0,0 +1,270 @@
+#!/usr/bin/env node
+/**
+ * simulate.js
+ * Plays computer-only games straight through gameLogic.js and the AI strategies
+ * (no sockets, no timers, no store) and reports balance statistics.
+ *
+ * Usage:
+ *   node scripts/simulate.js [--games 1000] [--players 2] [--rules classic]
+ *                            [--ai medium] [--rotate] [--seed text] [--json]
+ *
+ *   --games    Number of games to play
+ *   --players  Seats per game (2-4)
+ *   --rules    Rule preset name, or a JSON rule set such as '{"preset":"quick","diceCount":1}'
+ *   --ai       AI level per seat, comma separated; a shorter list repeats (e.g. hard,easy)
+ *   --rotate   Shift the levels one seat per game, so no level keeps the same seat
+ *   --seed     Base seed: the same seed and options replay the same games
+ *   --json     Print the report as JSON
+ */
+
+const crypto = require('crypto');
+const Logic = require('../gameLogic.js');
+const AI = require('../aiStrategies.js');
+const { DiceProvider } = require('../services/diceProvider');
+
+const { EVENT_TYPES, GAME_PHASES, TURN_OUTCOMES } = Logic;
+
+// Rolls after which a game is abandoned as stuck (a regression, real games need a few hundred)
+const MAX_ROLLS_PER_GAME = 10000;
+
+const DEFAULT_OPTIONS = {
+    games: 1000,
+    players: 2,
+    rules: 'classic',
+    ai: [AI.DEFAULT_AI_LEVEL],
+    rotate: false,
+    seed: 'simulate',
+    json: false
+};
+
+/**
+ * Seeded source of numbers in [0, 1), for the strategies that pick at random
+ * @param {string} seed - Any text
+ * @returns {function(): number}
+ */
+const seededRandom = (seed) => {
+    let state = crypto.createHash('sha256').update(seed).digest().readUInt32LE(0);
+    return () => { // mulberry32
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+/**
+ * A started game with every seat played by the computer
+ * @param {string} id - Game ID
+ * @param {number} maxPlayers - Number of seats
+ * @param {Object} rules - Rule set from Logic.createRules
+ * @returns {Object} The game state
+ */
+const createSimulatedGame = (id, maxPlayers, rules) => ({
+    id,
+    players: Array.from({ length: maxPlayers }, (_, playerIndex) => ({
+        playerId: `AI-${playerIndex}`,
+        id: 'AI',
+        playerIndex,
+        colors: Logic.getSeatColors(playerIndex, maxPlayers)
+    })),
+    maxPlayers,
+    rules,
+    currentPlayer: 0,
+    originalRolls: [],
+    currentRolls: [],
+    bonusRolls: 0,
+    sixesThisTurn: 0,
+    rolledValue: [],
+    phase: GAME_PHASES.AWAITING_ROLL,
+    gameStarted: true,
+    tokens: Logic.initializeTokens(),
+    winners: [],
+    moveLog: [],
+    lastMove: null,
+    pendingUndo: null,
+    gameOver: false,
+    vsComputer: true
+});
+
+/**
+ * Play one game to the end
+ * @param {Object} options
+ * @param {string} options.id - Game ID (also the dice seed)
+ * @param {number} options.players - Number of seats
+ * @param {Object} options.rules - Rule set
+ * @param {string[]} options.levels - AI level of each seat
+ * @returns {Object} `{ winners, finished, rolls, turns, forcedSkips, forfeits, captures, levels }`
+ */
+const playGame = ({ id, players, rules, levels }) => {
+    const game = createSimulatedGame(id, players, rules);
+    const dice = new DiceProvider({ seed: id });
+    dice.setup(game);
+
+    const random = seededRandom(id);
+    const strategies = levels.map(level => AI.getStrategy(level, { random }));
+    const stats = { rolls: 0, turns: 1, forcedSkips: 0, forfeits: 0 };
+
+    // Classify every roll before it is applied: applyRoll ends the turn by itself when
+    // the dice cannot be played, which is what a human sees as a forced skipTurn
+    const rollDice = (g) => {
+        const rolls = dice.roll(g);
+        const sixes = rolls.filter(r => r === 6).length;
+        stats.rolls++;
+        if (rules.threeSixesForfeit && g.sixesThisTurn + sixes >= 3) stats.forfeits++;
+        else if (!Logic.checkForValidMoves(g, g.currentPlayer, rolls)) stats.forcedSkips++;
+        return rolls;
+    };
+
+    while (!game.gameOver && stats.rolls < MAX_ROLLS_PER_GAME) {
+        const seat = game.currentPlayer;
+        const outcome = Logic.makeComputerMove(game, rollDice, (g, moves) => strategies[seat](g, moves));
+        if (outcome === TURN_OUTCOMES.TURN_OVER && !game.gameOver) stats.turns++;
+    }
+
+    return {
+        ...stats,
+        levels,
+        winners: [...game.winners],
+        finished: game.gameOver,
+        captures: game.moveLog.filter(e => e.type === EVENT_TYPES.CAPTURE).length
+    };
+};
+
+/**
+ * Play a series of games and aggregate the results
+ * @param {Object} [options] - See DEFAULT_OPTIONS
+ * @returns {Object} The report
+ */
+const simulate = (options = {}) => {
+    const { games, players, ai, rotate, seed } = { ...DEFAULT_OPTIONS, ...options };
+    const rules = Logic.createRules(options.rules || DEFAULT_OPTIONS.rules);
+    if (!Number.isInteger(players) || players < Logic.MIN_PLAYERS || players > Logic.MAX_PLAYERS) {
+        throw new Error(`players must be between ${Logic.MIN_PLAYERS} and ${Logic.MAX_PLAYERS}`);
+    }
+    if (!Number.isInteger(games) || games < 1) throw new Error('games must be a positive integer');
+    ai.forEach(level => AI.getStrategy(level)); // Fail fast on unknown levels
+
+    const seats = Array.from({ length: players }, (_, playerIndex) => ({
+        playerIndex, colors: Logic.getSeatColors(playerIndex, players), wins: 0, placeTotal: 0
+    }));
+    const levels = {};
+    const totals = { finished: 0, rolls: 0, turns: 0, captures: 0, forcedSkips: 0, forfeits: 0 };
+
+    for (let n = 0; n < games; n++) {
+        const shift = rotate ? n : 0;
+        const seatLevels = seats.map((_, i) => ai[(i + shift) % ai.length]);
+        const result = playGame({ id: `${seed}-${n}`, players, rules, levels: seatLevels });
+
+        Object.keys(totals).forEach(key => { totals[key] += key === 'finished' ? Number(result.finished) : result[key]; });
+        if (!result.finished) continue;
+
+        seatLevels.forEach(level => {
+            levels[level] = levels[level] || { seats: 0, wins: 0 };
+            levels[level].seats++;
+        });
+
+        result.winners.forEach((playerIndex, place) => { seats[playerIndex].placeTotal += place + 1; });
+        seats[result.winners[0]].wins++;
+        levels[seatLevels[result.winners[0]]].wins++;
+    }
+
+    const per = (value, count) => (count ? value / count : 0);
+    return {
+        games,
+        finished: totals.finished,
+        players,
+        rules,
+        seed,
+        seats: seats.map(({ playerIndex, colors, wins, placeTotal }) => ({
+            playerIndex,
+            colors,
+            level: rotate ? null : ai[playerIndex % ai.length],
+            winRate: per(wins, totals.finished),
+            averagePlace: per(placeTotal, totals.finished)
+        })),
+        levels: Object.entries(levels).map(([level, { seats: count, wins }]) => ({
+            level,
+            seats: count,
+            winRate: per(wins, count) // Share of the seats it played that won
+        })),
+        averageRolls: per(totals.rolls, games),
+        averageTurns: per(totals.turns, games),
+        capturesPerGame: per(totals.captures, games),
+        forcedSkipRate: per(totals.forcedSkips, totals.rolls),
+        forfeitRate: per(totals.forfeits, totals.rolls)
+    };
+};
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Options for simulate()
+ * @throws {Error} On unknown or incomplete options
+ */
+const parseArgs = (argv) => {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+            return argv[++i];
+        };
+        switch (arg) {
+            case '--games': options.games = Number(value()); break;
+            case '--players': options.players = Number(value()); break;
+            case '--rules': {
+                const rules = value();
+                options.rules = rules.trim().startsWith('{') ? JSON.parse(rules) : rules;
+                break;
+            }
+            case '--ai': options.ai = value().split(',').map(level => level.trim()).filter(Boolean); break;
+            case '--rotate': options.rotate = true; break;
+            case '--seed': options.seed = value(); break;
+            case '--json': options.json = true; break;
+            default: throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+    return options;
+};
+
+const percent = (rate) => `${(rate * 100).toFixed(1)}%`;
+
+const printReport = (report) => {
+    const { rules } = report;
+    const ending = rules.endCondition === 'firstFinish' ? ', first to finish' : '';
+    console.log(`${report.games} games, ${report.players} players, rules: ${rules.preset} ` +
+        `(${rules.diceCount} dice, exit on ${rules.exitValues.join('/')}${ending}), seed: ${report.seed}`);
+    if (report.finished < report.games) {
+        console.log(`WARNING: ${report.games - report.finished} games did not finish within ${MAX_ROLLS_PER_GAME} rolls`);
+    }
+    console.log('');
+    console.log('Seat  Colors            Level   Win rate  Avg place');
+    report.seats.forEach(seat => {
+        console.log(`${String(seat.playerIndex).padEnd(6)}${seat.colors.join(',').padEnd(18)}` +
+            `${(seat.level || '-').padEnd(8)}${percent(seat.winRate).padStart(8)}  ${seat.averagePlace.toFixed(2).padStart(9)}`);
+    });
+    if (report.levels.length > 1) {
+        console.log('');
+        report.levels.forEach(({ level, winRate }) => console.log(`${level.padEnd(8)} wins ${percent(winRate)} of its seats`));
+    }
+    console.log('');
+    console.log(`Average game length: ${report.averageTurns.toFixed(1)} turns, ${report.averageRolls.toFixed(1)} rolls`);
+    console.log(`Captures per game:   ${report.capturesPerGame.toFixed(2)}`);
+    console.log(`Forced skips:        ${percent(report.forcedSkipRate)} of rolls`);
+    if (rules.threeSixesForfeit) console.log(`Three-sixes forfeits: ${percent(report.forfeitRate)} of rolls`);
+};
+
+if (require.main === module) {
+    try {
+        const options = parseArgs(process.argv.slice(2));
+        const report = simulate(options);
+        if (options.json) console.log(JSON.stringify(report, null, 2));
+        else printReport(report);
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { simulate, playGame };
@@ -6,6 +6,9 @@ const marked = require('marked');
 const express = require('express');
 const hljs = require('highlight.js');
 const gameService = require('./services/gameService')
+const { AccountService } = require('./services/accountService');
+const { ERROR_CODES } = require('./services/gameErrors');
+const { issueToken, verifyToken } = require('./services/sessionService');
 
 
 
@@ -53,6 +56,131 @@ app.get('/documentation', (req, res) => {
         `);
     });
 });
+// The player behind an `Authorization: Bearer <session token>` header, or null
+const authenticatedPlayerId = (req) => {
+    const [scheme, token] = (req.get('authorization') || '').split(' ');
+    return scheme === 'Bearer' ? verifyToken(token) : null;
+};
+
+// Game listings: `?status=open` (public games waiting for players), `?status=finished&limit=&offset=`,
+// and `?status=active` (the games of the player behind the Bearer session token). The last two need the sqlite store.
+app.get('/games', async (req, res) => {
+    const service = gameService.getInstance();
+    try {
+        switch (req.query.status) {
+            case 'open':
+                return res.json({ games: service.listOpenGames() });
+            case 'finished':
+                return res.json({ games: await service.listFinishedGames({ limit: req.query.limit, offset: req.query.offset }) });
+            case 'active': {
+                const playerId = authenticatedPlayerId(req);
+                if (!playerId) return res.status(401).json({ error: 'Session token required', code: ERROR_CODES.UNAUTHENTICATED });
+                return res.json({ games: await service.listActiveGames(playerId) });
+            }
+            default:
+                return res.status(400).json({ error: 'Unsupported status filter, use open, finished or active', code: ERROR_CODES.INVALID_OPTIONS });
+        }
+    } catch (error) {
+        if (!error.code) console.error('Game listing failed:', error);
+        const status = error.code === ERROR_CODES.HISTORY_UNAVAILABLE ? 501 : error.code ? 400 : 500;
+        res.status(status).json({ error: error.message, code: error.code });
+    }
+});
+
+// Event log of a game, with the state rebuilt after event `?seq=` when given. Private rooms answer
+// their players (Bearer session token) and holders of an `?invite=` code or the `X-Room-Password`
+app.get('/games/:id/replay', async (req, res) => {
+    try {
+        res.json(await gameService.getInstance().getReplay(req.params.id, req.query.seq, {
+            playerId: authenticatedPlayerId(req),
+            inviteCode: req.query.invite,
+            password: req.get('x-room-password')
+        }));
+    } catch (error) {
+        const status = error.code === ERROR_CODES.GAME_NOT_FOUND ? 404
+            : [ERROR_CODES.ROOM_ACCESS_DENIED, ERROR_CODES.INVITE_EXPIRED].includes(error.code) ? 403
+                : error.code === ERROR_CODES.TOO_MANY_ATTEMPTS ? 429
+                    : error.code ? 400 : 500;
+        res.status(status).json({ error: error.message, code: error.code });
+    }
+});
+
+
+// HTTP status of each account error; other errors with a code are bad requests
+const ACCOUNT_ERROR_STATUS = {
+    [ERROR_CODES.UNAUTHENTICATED]: 401,
+    [ERROR_CODES.INVALID_CREDENTIALS]: 401,
+    [ERROR_CODES.ACCOUNT_NOT_FOUND]: 404,
+    [ERROR_CODES.USERNAME_TAKEN]: 409
+};
+
+const sendAccountError = (res, error) => {
+    if (!error.code) console.error('Account request failed:', error);
+    const status = ACCOUNT_ERROR_STATUS[error.code] || (error.code ? 400 : 500);
+    res.status(status).json({ error: error.message, code: error.code });
+};
+
+// Create an account; answers with its profile and a session token for the socket handshake
+app.post('/accounts/register', async (req, res) => {
+    try {
+        const account = await AccountService.getInstance().register(req.body || {});
+        res.status(201).json({ account, playerId: account.playerId, token: issueToken(account.playerId) });
+    } catch (error) {
+        sendAccountError(res, error);
+    }
+});
+
+app.post('/accounts/login', async (req, res) => {
+    try {
+        const account = await AccountService.getInstance().login(req.body || {});
+        res.json({ account, playerId: account.playerId, token: issueToken(account.playerId) });
+    } catch (error) {
+        sendAccountError(res, error);
+    }
+});
+
+// The signed-in player's own profile, and changes to its display name or avatar
+app.get('/accounts/me', async (req, res) => {
+    const playerId = authenticatedPlayerId(req);
+    if (!playerId) return res.status(401).json({ error: 'Session token required', code: ERROR_CODES.UNAUTHENTICATED });
+
+    const accounts = AccountService.getInstance();
+    await accounts.ready;
+    const account = accounts.describe(playerId);
+    if (!account) return res.status(404).json({ error: 'No account for this player', code: ERROR_CODES.ACCOUNT_NOT_FOUND });
+    res.json({ account });
+});
+
+app.patch('/accounts/me', async (req, res) => {
+    const playerId = authenticatedPlayerId(req);
+    if (!playerId) return res.status(401).json({ error: 'Session token required', code: ERROR_CODES.UNAUTHENTICATED });
+
+    try {
+        const { displayName, avatar } = req.body || {};
+        res.json({ account: await AccountService.getInstance().updateProfile(playerId, { displayName, avatar }) });
+    } catch (error) {
+        sendAccountError(res, error);
+    }
+});
+
+// Public profile and stats of any player with an account
+app.get('/players/:playerId', async (req, res) => {
+    const accounts = AccountService.getInstance();
+    await accounts.ready;
+    const account = accounts.describe(req.params.playerId);
+    if (!account) return res.status(404).json({ error: 'No account for this player', code: ERROR_CODES.ACCOUNT_NOT_FOUND });
+    res.json({ account });
+});
+
+// Accounts ranked by rating at one table size: `?players=2&page=1&pageSize=20`
+app.get('/leaderboard', async (req, res) => {
+    try {
+        const { players, page, pageSize } = req.query;
+        res.json(await AccountService.getInstance().leaderboard({ maxPlayers: players, page, pageSize }));
+    } catch (error) {
+        sendAccountError(res, error);
+    }
+});
 
 
 marked.setOptions({
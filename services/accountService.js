@@ -0,0 +1,358 @@
+/**
+ * accountService.js
+ * Player accounts: a username and password bound to a playerId, a public profile
+ * (display name and avatar) and stats collected from every finished game.
+ *
+ * Ranked games also update a Glicko-2 rating per table size (see glicko2.js), since
+ * a 2-player game and a 4-player game are different contests.
+ *
+ * Accounts go through the same store backends as games (see storage/), keyed by
+ * playerId. They are all loaded when the service starts, so profiles can be read
+ * synchronously while games are played; every change is written back at once.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const Logic = require('../gameLogic.js');
+const { GameError, ERROR_CODES } = require('./gameErrors');
+const { createAccountStore } = require('./storage');
+const { hashPasswordAsync, verifyPasswordAsync } = require('./roomAccess');
+const Glicko = require('./glicko2');
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_]{3,20}$/;
+const PASSWORD_LENGTH = { min: 8, max: 128 };
+const DISPLAY_NAME_MAX_LENGTH = 32;
+const AVATARS = ['🎲', '🐶', '🐱', '🦊', '🐼', '🐸', '🦁', '🐙', '🚀', '⭐'];
+
+// Checked against unknown usernames, so a failed login takes as long either way.
+// Hashed on the first such login; a failed hash is retried on the next one.
+let dummyPasswordHash = null;
+const getDummyPasswordHash = () => {
+    if (!dummyPasswordHash) {
+        dummyPasswordHash = hashPasswordAsync(uuidv4()).catch(error => {
+            dummyPasswordHash = null;
+            throw error;
+        });
+    }
+    return dummyPasswordHash;
+};
+
+// Largest leaderboard page
+const MAX_PAGE_SIZE = 100;
+
+const emptyStats = () => ({ gamesPlayed: 0, wins: 0, captures: 0, tokensLost: 0, finishes: 0, finishTurns: 0 });
+
+/**
+ * A rating as players see it: rounded, without the volatility
+ * @param {Object} rating - `{ rating, rd, volatility, games, wins }`
+ * @returns {Object} `{ rating, rd, games, wins }`
+ */
+const publicRating = ({ rating, rd, games, wins }) => ({ rating: Math.round(rating), rd: Math.round(rd), games, wins });
+
+/**
+ * What one seat did in a finished game, read from its event log. Moves taken back
+ * with undo are not counted.
+ * @param {Object} game - The finished game
+ * @param {Object} player - The seat
+ * @returns {Object} `{ captures, tokensLost, finishTurn }`, finishTurn being the seat's own turn
+ *   in which its last token reached the center (null if it did not finish)
+ */
+const summarizeSeat = (game, player) => {
+    const events = game.moveLog || [];
+    const undone = new Set(events.filter(e => e.type === Logic.EVENT_TYPES.UNDO).map(e => e.revertedSeq));
+    const owns = (tokenId) => player.colors.includes(String(tokenId).split('-')[0].toLowerCase());
+
+    let captures = 0;
+    let tokensLost = 0;
+    let turns = 0;
+    let lastRoller = null;
+    let finishTurn = null;
+
+    events.forEach((event, i) => {
+        switch (event.type) {
+            case Logic.EVENT_TYPES.ROLL:
+                // Bonus rolls belong to the same turn
+                if (event.playerIndex === player.playerIndex && lastRoller !== player.playerIndex) turns++;
+                lastRoller = event.playerIndex;
+                break;
+            case Logic.EVENT_TYPES.CAPTURE:
+                if (undone.has(event.seq)) break;
+                if (owns(event.by)) captures++;
+                if (owns(event.tokenId)) tokensLost++;
+                break;
+            case Logic.EVENT_TYPES.MOVE: {
+                const next = events[i + 1];
+                const taken = undone.has(event.seq) ||
+                    (next && next.type === Logic.EVENT_TYPES.CAPTURE && undone.has(next.seq));
+                if (event.completed && !taken && owns(event.tokenId)) finishTurn = turns;
+                break;
+            }
+            default:
+                break;
+        }
+    });
+
+    return { captures, tokensLost, finishTurn: Logic.hasPlayerFinished(game, player) ? finishTurn : null };
+};
+
+class AccountService {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.store] - Account store (save/load/list/delete); defaults to the configured backend
+     */
+    constructor({ store } = {}) {
+        this.store = store || createAccountStore();
+        // Accounts indexed by playerId, and playerIds by lower-case username
+        this.accounts = new Map();
+        this.usernames = new Map();
+        this.ready = this._loadAccounts();
+    }
+
+    /**
+     * Singleton pattern implementation, shared by the HTTP routes, the socket handshake and the game service
+     * @returns {AccountService}
+     */
+    static getInstance() {
+        return this.instance || (this.instance = new AccountService());
+    }
+
+    async _loadAccounts() {
+        for (const playerId of await this.store.list()) {
+            const account = await this.store.load(playerId);
+            if (!account) continue;
+            this.accounts.set(playerId, account);
+            this.usernames.set(account.username.toLowerCase(), playerId);
+        }
+    }
+
+    /**
+     * Create an account
+     * @param {Object} details
+     * @param {string} details.username - 3-20 letters, digits or underscores; unique regardless of case
+     * @param {string} details.password - 8-128 characters
+     * @param {string} [details.displayName] - Shown to other players; defaults to the username
+     * @param {string} [details.avatar] - One of AVATARS
+     * @returns {Promise<Object>} The account's profile (see describe)
+     * @throws {GameError} INVALID_ACCOUNT or USERNAME_TAKEN
+     */
+    async register({ username, password, displayName, avatar } = {}) {
+        await this.ready;
+        if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+            throw new GameError(ERROR_CODES.INVALID_ACCOUNT, 'Usernames are 3-20 letters, digits or underscores');
+        }
+        if (typeof password !== 'string' || password.length < PASSWORD_LENGTH.min || password.length > PASSWORD_LENGTH.max) {
+            throw new GameError(ERROR_CODES.INVALID_ACCOUNT,
+                `Passwords are ${PASSWORD_LENGTH.min}-${PASSWORD_LENGTH.max} characters`);
+        }
+        const key = username.toLowerCase();
+        if (this.usernames.has(key)) throw new GameError(ERROR_CODES.USERNAME_TAKEN, 'That username is taken');
+
+        const profile = this._validateProfile({ displayName: displayName || username, avatar: avatar || AVATARS[0] });
+
+        // Claimed before hashing and saving, so a second registration cannot slip in meanwhile
+        const playerId = uuidv4();
+        this.usernames.set(key, playerId);
+        const account = { playerId, username, ...profile, stats: emptyStats(), createdAt: Date.now() };
+        try {
+            account.passwordHash = await hashPasswordAsync(password);
+            this.accounts.set(account.playerId, account);
+            await this.store.save(account.playerId, account);
+        } catch (error) {
+            this.usernames.delete(key);
+            this.accounts.delete(account.playerId);
+            throw error;
+        }
+        return this.describe(account.playerId);
+    }
+
+    /**
+     * Check a username and password
+     * @param {Object} credentials - `{ username, password }`
+     * @returns {Promise<Object>} The account's profile
+     * @throws {GameError} INVALID_CREDENTIALS, for an unknown username and a wrong password alike
+     */
+    async login({ username, password } = {}) {
+        await this.ready;
+        const playerId = typeof username === 'string' ? this.usernames.get(username.toLowerCase()) : undefined;
+        const account = playerId && this.accounts.get(playerId);
+        const valid = await verifyPasswordAsync(password, account ? account.passwordHash : await getDummyPasswordHash());
+        if (!account || !valid) throw new GameError(ERROR_CODES.INVALID_CREDENTIALS, 'Wrong username or password');
+        return this.describe(playerId);
+    }
+
+    /**
+     * Change the display name or avatar
+     * @param {string} playerId - The account's player ID
+     * @param {Object} changes - `{ displayName?, avatar? }`
+     * @returns {Promise<Object>} The updated profile
+     * @throws {GameError} ACCOUNT_NOT_FOUND or INVALID_ACCOUNT
+     */
+    async updateProfile(playerId, { displayName, avatar } = {}) {
+        await this.ready;
+        const account = this.accounts.get(playerId);
+        if (!account) throw new GameError(ERROR_CODES.ACCOUNT_NOT_FOUND, 'No account for this player');
+
+        Object.assign(account, this._validateProfile({
+            displayName: displayName === undefined ? account.displayName : displayName,
+            avatar: avatar === undefined ? account.avatar : avatar
+        }));
+        await this.store.save(playerId, account);
+        return this.describe(playerId);
+    }
+
+    /**
+     * @returns {Object} `{ displayName, avatar }`, trimmed
+     * @throws {GameError} INVALID_ACCOUNT
+     * @private
+     */
+    _validateProfile({ displayName, avatar }) {
+        const name = typeof displayName === 'string' ? displayName.trim() : '';
+        if (!name || name.length > DISPLAY_NAME_MAX_LENGTH) {
+            throw new GameError(ERROR_CODES.INVALID_ACCOUNT, `Display names are 1-${DISPLAY_NAME_MAX_LENGTH} characters`);
+        }
+        if (!AVATARS.includes(avatar)) {
+            throw new GameError(ERROR_CODES.INVALID_ACCOUNT, `Avatar must be one of ${AVATARS.join(' ')}`);
+        }
+        return { displayName: name, avatar };
+    }
+
+    /**
+     * An account's public profile. Accounts are in memory once the service is ready,
+     * so this is safe to call while building game state.
+     * @param {string} playerId - A player ID
+     * @returns {Object|null} `{ playerId, username, displayName, avatar, createdAt, stats, ratings }`, or null
+     *   for guests; stats hold `gamesPlayed, wins, captures, tokensLost, averageFinishTurn`, ratings hold
+     *   `{ rating, rd, games, wins }` (rounded) per number of players the account has played ranked
+     */
+    describe(playerId) {
+        const account = this.accounts.get(playerId);
+        if (!account) return null;
+
+        const { gamesPlayed, wins, captures, tokensLost, finishes, finishTurns } = account.stats;
+        return {
+            playerId,
+            username: account.username,
+            displayName: account.displayName,
+            avatar: account.avatar,
+            createdAt: account.createdAt,
+            stats: { gamesPlayed, wins, captures, tokensLost, averageFinishTurn: finishes ? finishTurns / finishes : null },
+            ratings: Object.fromEntries(Object.entries(account.ratings || {})
+                .map(([players, rating]) => [players, publicRating(rating)]))
+        };
+    }
+
+    /**
+     * An account's rating at tables of one size
+     * @param {string} playerId - A player ID
+     * @param {number} maxPlayers - Number of seats
+     * @returns {Object|null} `{ rating, rd, volatility, games, wins }` (the starting rating before the
+     *   first ranked game), or null for guests
+     */
+    getRating(playerId, maxPlayers) {
+        const account = this.accounts.get(playerId);
+        if (!account) return null;
+        return (account.ratings && account.ratings[maxPlayers]) || { ...Glicko.DEFAULT_RATING, games: 0, wins: 0 };
+    }
+
+    /**
+     * Accounts ranked by rating at tables of one size. Only accounts with a ranked game at
+     * that size are listed; equal ratings are ordered by the more certain one (lower rd).
+     * @param {Object} [options]
+     * @param {number} [options.maxPlayers=2] - Number of seats
+     * @param {number} [options.page=1] - Page number, from 1
+     * @param {number} [options.pageSize=20] - Entries per page, up to 100
+     * @returns {Promise<Object>} `{ maxPlayers, page, pageSize, total, entries }`, each entry being
+     *   `{ rank, playerId, username, displayName, avatar, rating, rd, games, wins }`
+     * @throws {GameError} INVALID_OPTIONS for an unsupported table size or page
+     */
+    async leaderboard({ maxPlayers = 2, page = 1, pageSize = 20 } = {}) {
+        await this.ready;
+        [maxPlayers, page, pageSize] = [maxPlayers, page, pageSize].map(Number);
+        if (!Number.isInteger(maxPlayers) || maxPlayers < Logic.MIN_PLAYERS || maxPlayers > Logic.MAX_PLAYERS) {
+            throw new GameError(ERROR_CODES.INVALID_OPTIONS, `players must be between ${Logic.MIN_PLAYERS} and ${Logic.MAX_PLAYERS}`);
+        }
+        if (!Number.isInteger(page) || page < 1) throw new GameError(ERROR_CODES.INVALID_OPTIONS, 'page must be 1 or more');
+        if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+            throw new GameError(ERROR_CODES.INVALID_OPTIONS, `pageSize must be between 1 and ${MAX_PAGE_SIZE}`);
+        }
+
+        const ranked = [...this.accounts.values()]
+            .filter(account => account.ratings && account.ratings[maxPlayers])
+            .sort((a, b) => b.ratings[maxPlayers].rating - a.ratings[maxPlayers].rating ||
+                a.ratings[maxPlayers].rd - b.ratings[maxPlayers].rd);
+        const start = (page - 1) * pageSize;
+        return {
+            maxPlayers,
+            page,
+            pageSize,
+            total: ranked.length,
+            entries: ranked.slice(start, start + pageSize).map((account, i) => ({
+                rank: start + i + 1,
+                playerId: account.playerId,
+                username: account.username,
+                displayName: account.displayName,
+                avatar: account.avatar,
+                ...publicRating(account.ratings[maxPlayers])
+            }))
+        };
+    }
+
+    /**
+     * Add a finished game to the stats of every seated account, and to their ratings if it is rated
+     * @param {Object} game - The finished game (with game.result)
+     * @param {Object} [options]
+     * @param {boolean} [options.rated=false] - Update the ratings of the seated accounts (see _rateGame)
+     * @returns {Promise<void>}
+     */
+    async recordGame(game, { rated = false } = {}) {
+        await this.ready;
+        if (rated) this._rateGame(game);
+        const saves = game.players
+            .filter(player => this.accounts.has(player.playerId))
+            .map(player => {
+                const account = this.accounts.get(player.playerId);
+                const { captures, tokensLost, finishTurn } = summarizeSeat(game, player);
+                const stats = account.stats;
+
+                stats.gamesPlayed++;
+                if (game.winners[0] === player.playerIndex) stats.wins++;
+                stats.captures += captures;
+                stats.tokensLost += tokensLost;
+                if (finishTurn !== null) {
+                    stats.finishes++;
+                    stats.finishTurns += finishTurn;
+                }
+                return this.store.save(player.playerId, account);
+            });
+        await Promise.all(saves);
+    }
+
+    /**
+     * Update the ratings of the seated accounts from the final standings, everyone being
+     * rated against the ratings the others had before the game. Seats without an account
+     * are left out.
+     * @param {Object} game - The finished game
+     * @private
+     */
+    _rateGame(game) {
+        const seats = Logic.getStandings(game)
+            .map(standing => ({ standing, player: game.players[standing.playerIndex] }))
+            .filter(({ player }) => player && this.accounts.has(player.playerId))
+            .map(({ standing, player }) => ({
+                account: this.accounts.get(player.playerId),
+                before: this.getRating(player.playerId, game.maxPlayers),
+                won: game.winners[0] === standing.playerIndex,
+                forfeited: !!standing.forfeited
+            }));
+        if (seats.length < 2) return;
+
+        const updated = Glicko.rateStandings(seats.map(({ before, forfeited }) => ({ ...before, forfeited })));
+        seats.forEach(({ account, before, won }, i) => {
+            account.ratings = {
+                ...account.ratings,
+                [game.maxPlayers]: { ...updated[i], games: before.games + 1, wins: before.wins + (won ? 1 : 0) }
+            };
+        });
+    }
+}
+
+module.exports = { AccountService, AVATARS, summarizeSeat };
@@ -0,0 +1,30 @@
+/**
+ * builtinBot.js
+ * The server's own computer opponent: one of the aiStrategies difficulty levels behind the bot interface.
+ */
+
+const AI = require('../../aiStrategies.js');
+
+class BuiltinBot {
+    /**
+     * @param {string} level - One of AI.AI_LEVELS
+     */
+    constructor(level) {
+        this.name = level;
+        this.strategy = AI.getStrategy(level);
+    }
+
+    /**
+     * Pick a move
+     * @param {Object} view - Game state as seen by the bot (see toBotView)
+     * @param {Object[]} moves - Legal `{ tokenId, dieValue }` moves
+     * @returns {Promise<Object>} One of the moves
+     */
+    async chooseMove(view, moves) {
+        return this.strategy(view, moves);
+    }
+
+    close() {}
+}
+
+module.exports = BuiltinBot;
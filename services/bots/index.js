@@ -0,0 +1,140 @@
+/**
+ * Bots
+ * Every non-human seat is driven by a bot with the same interface:
+ *   chooseMove(view, moves) -> move (or a promise of one)
+ * where `view` is a plain copy of the game (see toBotView), `moves` the legal
+ * `{ tokenId, dieValue }` moves, and the answer one of those moves.
+ *
+ * Bots are looked up by name. The built-in levels ('easy', 'medium', 'hard') are always
+ * available; more are configured with:
+ *   BOTS - comma separated `name=path` (runs in the server process) or `name=worker:path`
+ *          (runs in a worker thread); paths are resolved from the working directory
+ */
+
+const path = require('path');
+const Logic = require('../../gameLogic.js');
+const AI = require('../../aiStrategies.js');
+const BuiltinBot = require('./builtinBot');
+const ModuleBot = require('./moduleBot');
+const WorkerBot = require('./workerBot');
+
+// Time a bot gets per decision before its move is chosen for it
+const DEFAULT_DECISION_TIMEOUT_MS = 5000;
+
+/**
+ * Parse the BOTS setting
+ * @param {string} spec - e.g. `deep=worker:./bots/deep.js,greedy=./bots/greedy.js`
+ * @returns {Object[]} `{ name, type, modulePath }` entries
+ * @throws {Error} If an entry is malformed
+ */
+function parseBotSpec(spec) {
+    return spec.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const [name, target] = entry.split('=').map(part => part && part.trim());
+        if (!name || !target) throw new Error(`Invalid BOTS entry: ${entry}`);
+
+        const isWorker = target.startsWith('worker:');
+        const modulePath = path.resolve(isWorker ? target.slice('worker:'.length) : target);
+        return { name, type: isWorker ? 'worker' : 'module', modulePath };
+    });
+}
+
+/**
+ * A plain copy of the game for a bot to decide on: the fields gameLogic and the
+ * built-in strategies read, without sockets, player IDs, the event log or the dice seed
+ * @param {Object} game - The live game
+ * @returns {Object} The view
+ */
+function toBotView(game) {
+    return {
+        id: game.id,
+        maxPlayers: game.maxPlayers,
+        rules: Logic.getRules(game),
+        currentPlayer: game.currentPlayer,
+        currentRolls: [...game.currentRolls],
+        rolledValue: [...(game.rolledValue || [])],
+        bonusRolls: game.bonusRolls,
+        phase: game.phase,
+        winners: [...game.winners],
+        gameOver: game.gameOver,
+        players: game.players.map(p => ({ playerIndex: p.playerIndex, colors: [...p.colors] })),
+        tokens: game.tokens.map(t => ({ ...t }))
+    };
+}
+
+class BotRegistry {
+    /**
+     * @param {Object[]} [entries] - Extra bots: `{ name, type: 'module'|'worker', modulePath }`
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Time allowed per decision
+     */
+    constructor(entries = [], { timeoutMs = DEFAULT_DECISION_TIMEOUT_MS } = {}) {
+        this.timeoutMs = timeoutMs;
+        this.bots = new Map(AI.AI_LEVELS.map(level => [level, new BuiltinBot(level)]));
+
+        entries.forEach(({ name, type, modulePath }) => {
+            if (this.bots.has(name)) throw new Error(`Bot name already taken: ${name}`);
+            this.bots.set(name, type === 'worker'
+                ? new WorkerBot(name, modulePath, { timeoutMs })
+                : new ModuleBot(name, modulePath));
+        });
+    }
+
+    /**
+     * @returns {string[]} Names of every available bot
+     */
+    names() {
+        return [...this.bots.keys()];
+    }
+
+    /**
+     * @param {string} name - Bot name
+     * @returns {boolean} Whether a bot with that name is available
+     */
+    has(name) {
+        return this.bots.has(name);
+    }
+
+    /**
+     * Ask a bot for a move. A bot that fails, times out or answers with an illegal move
+     * forfeits its choice: the first legal move is played instead.
+     * @param {string} name - Bot name (unknown names fall back to the default level)
+     * @param {Object} game - The live game
+     * @param {Object[]} moves - Legal `{ tokenId, dieValue }` moves (not empty)
+     * @returns {Promise<Object>} One of the moves
+     */
+    async decide(name, game, moves) {
+        const bot = this.bots.get(name) || this.bots.get(AI.DEFAULT_AI_LEVEL);
+        let timer;
+        try {
+            const deadline = new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error(`no answer within ${this.timeoutMs}ms`)), this.timeoutMs);
+            });
+            const choice = await Promise.race([bot.chooseMove(toBotView(game), moves.map(m => ({ ...m }))), deadline]);
+            const move = choice && moves.find(m => m.tokenId === choice.tokenId && m.dieValue === choice.dieValue);
+            if (move) return move;
+            console.warn(`Bot ${bot.name} chose an illegal move in game ${game.id}:`, choice);
+        } catch (error) {
+            console.error(`Bot ${bot.name} failed in game ${game.id}:`, error.message);
+        } finally {
+            clearTimeout(timer);
+        }
+        return moves[0];
+    }
+
+    close() {
+        this.bots.forEach(bot => bot.close());
+    }
+}
+
+/**
+ * Create the bot registry configured for this server
+ * @param {Object} [config]
+ * @param {string} [config.spec=process.env.BOTS] - Extra bots (see parseBotSpec)
+ * @param {number} [config.timeoutMs] - Time allowed per decision
+ * @returns {BotRegistry}
+ */
+function createBotRegistry({ spec = process.env.BOTS || '', timeoutMs } = {}) {
+    return new BotRegistry(parseBotSpec(spec), { timeoutMs });
+}
+
+module.exports = { createBotRegistry, BotRegistry, toBotView, parseBotSpec };
@@ -0,0 +1,34 @@
+/**
+ * moduleBot.js
+ * Bot loaded from a local module that exports `chooseMove(view, moves)` (sync or async).
+ * The module runs inside the server process; use a worker bot for untrusted or slow code.
+ */
+
+class ModuleBot {
+    /**
+     * @param {string} name - Name the bot is registered under
+     * @param {string} modulePath - Absolute path of the module
+     * @throws {Error} If the module does not export chooseMove
+     */
+    constructor(name, modulePath) {
+        this.name = name;
+        this.impl = require(modulePath);
+        if (typeof this.impl.chooseMove !== 'function') {
+            throw new Error(`Bot module ${modulePath} does not export chooseMove(view, moves)`);
+        }
+    }
+
+    /**
+     * Pick a move
+     * @param {Object} view - Game state as seen by the bot (see toBotView)
+     * @param {Object[]} moves - Legal `{ tokenId, dieValue }` moves
+     * @returns {Promise<Object>} The chosen move
+     */
+    async chooseMove(view, moves) {
+        return this.impl.chooseMove(view, moves);
+    }
+
+    close() {}
+}
+
+module.exports = ModuleBot;
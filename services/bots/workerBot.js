@@ -0,0 +1,84 @@
+/**
+ * workerBot.js
+ * Bot whose module runs in a worker thread, so a slow or crashing bot cannot block the game server.
+ * The worker is started on first use and replaced after it crashes or misses a deadline.
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const HOST_SCRIPT = path.join(__dirname, 'workerHost.js');
+
+class WorkerBot {
+    /**
+     * @param {string} name - Name the bot is registered under
+     * @param {string} modulePath - Absolute path of the bot module
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs=5000] - Time allowed per decision before the worker is restarted
+     */
+    constructor(name, modulePath, { timeoutMs = 5000 } = {}) {
+        this.name = name;
+        this.modulePath = modulePath;
+        this.timeoutMs = timeoutMs;
+        this.worker = null;
+        this.pending = new Map();
+        this.nextId = 1;
+    }
+
+    _startWorker() {
+        const worker = new Worker(HOST_SCRIPT, { workerData: { modulePath: this.modulePath } });
+        worker.unref(); // Never keep the server alive just for a bot
+
+        worker.on('message', ({ id, move, error }) => {
+            const request = this.pending.get(id);
+            if (!request) return;
+            this.pending.delete(id);
+            clearTimeout(request.timer);
+            if (error) request.reject(new Error(error));
+            else request.resolve(move);
+        });
+        const fail = (error) => {
+            if (this.worker === worker) this.worker = null;
+            this.pending.forEach(({ reject, timer }) => {
+                clearTimeout(timer);
+                reject(error);
+            });
+            this.pending.clear();
+        };
+        worker.on('error', fail);
+        worker.on('exit', (code) => fail(new Error(`Bot worker ${this.name} exited with code ${code}`)));
+
+        this.worker = worker;
+        return worker;
+    }
+
+    /**
+     * Pick a move in the worker
+     * @param {Object} view - Game state as seen by the bot (see toBotView)
+     * @param {Object[]} moves - Legal `{ tokenId, dieValue }` moves
+     * @returns {Promise<Object>} The chosen move
+     */
+    chooseMove(view, moves) {
+        const worker = this.worker || this._startWorker();
+        const id = this.nextId++;
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                reject(new Error(`Bot ${this.name} did not answer within ${this.timeoutMs}ms`));
+                this.close(); // A stuck worker is replaced on the next decision
+            }, this.timeoutMs);
+            this.pending.set(id, { resolve, reject, timer });
+            worker.postMessage({ id, view, moves });
+        });
+    }
+
+    close() {
+        if (!this.worker) return;
+        const worker = this.worker;
+        this.worker = null;
+        worker.terminate();
+    }
+}
+
+module.exports = WorkerBot;
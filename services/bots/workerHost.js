@@ -0,0 +1,18 @@
+/**
+ * workerHost.js
+ * Worker thread entry point for worker bots: loads the bot module given in workerData
+ * and answers `{ id, view, moves }` requests with `{ id, move }` or `{ id, error }`.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+
+const bot = require(workerData.modulePath);
+
+parentPort.on('message', async ({ id, view, moves }) => {
+    try {
+        const move = await bot.chooseMove(view, moves);
+        parentPort.postMessage({ id, move });
+    } catch (error) {
+        parentPort.postMessage({ id, error: error.message });
+    }
+});
@@ -0,0 +1,145 @@
+/**
+ * chatService.js
+ * Chat messages and quick reactions exchanged by the players of a game.
+ *
+ * Messages are capped in length, rate limited per player and passed through a
+ * profanity filter before they are stored in the game's chat history (game.chat)
+ * and sent to the other players. Reactions are limited to a fixed emoji set, so
+ * they can be shown to spectators as well.
+ *
+ * The filter is any object with `clean(text) -> text`. The built-in one masks
+ * words from a small list; another one is configured with:
+ *   CHAT_FILTER - path of a module exporting `clean(text)` (resolved from the working directory)
+ */
+
+const path = require('path');
+const { GameError, ERROR_CODES } = require('./gameErrors');
+
+const REACTIONS = ['👍', '👏', '😂', '😮', '😢', '😡', '🎲', '🔥'];
+const MAX_MESSAGE_LENGTH = 200;
+const HISTORY_SIZE = 50; // Messages kept with the game
+
+// At most `limit` sends per player and game within `windowMs`
+const RATE_LIMITS = {
+    chat: { limit: 5, windowMs: 10 * 1000 },
+    reaction: { limit: 10, windowMs: 10 * 1000 }
+};
+
+const DEFAULT_BLOCKED_WORDS = ['fuck', 'shit', 'bitch', 'bastard', 'asshole', 'cunt', 'dick', 'piss', 'wank'];
+
+// Endings masked together with a blocked word; other longer words ("Dickens") are left alone
+const BLOCKED_SUFFIXES = ['s', 'es', 'ed', 'er', 'ers', 'ing', 'in', 'y', 'ty'];
+
+/**
+ * The built-in filter: masks blocked words and their common forms ("shitty" -> "******")
+ * @param {string[]} [words] - Blocked words
+ * @returns {{ clean: function(string): string }}
+ */
+const createWordListFilter = (words = DEFAULT_BLOCKED_WORDS) => {
+    const escaped = words.map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const pattern = new RegExp(`\\b(?:${escaped.join('|')})(?:${BLOCKED_SUFFIXES.join('|')})?\\b`, 'gi');
+    return { clean: (text) => text.replace(pattern, match => '*'.repeat(match.length)) };
+};
+
+class ChatService {
+    /**
+     * @param {Object} [options]
+     * @param {{ clean: function(string): string }} [options.filter] - Profanity filter
+     * @param {function(): number} [options.now=Date.now] - Clock used for rate limits and timestamps
+     */
+    constructor({ filter = createWordListFilter(), now = Date.now } = {}) {
+        this.filter = filter;
+        this.now = now;
+        // Recent send times indexed by `kind:gameId:playerId`
+        this.sent = new Map();
+    }
+
+    /**
+     * Add a chat message to a game's history
+     * @param {Object} game - The game
+     * @param {Object} player - The seated player sending it
+     * @param {string} text - The message
+     * @returns {Object} The stored message `{ id, playerIndex, text, at }`
+     * @throws {GameError} INVALID_MESSAGE or CHAT_RATE_LIMITED
+     */
+    postMessage(game, player, text) {
+        const trimmed = typeof text === 'string' ? text.trim() : '';
+        if (!trimmed) throw new GameError(ERROR_CODES.INVALID_MESSAGE, 'Message is empty');
+        if (trimmed.length > MAX_MESSAGE_LENGTH) {
+            throw new GameError(ERROR_CODES.INVALID_MESSAGE, `Messages are limited to ${MAX_MESSAGE_LENGTH} characters`);
+        }
+        this._throttle('chat', game.id, player.playerId);
+
+        game.chat = game.chat || [];
+        const last = game.chat[game.chat.length - 1];
+        const message = {
+            id: last ? last.id + 1 : 1,
+            playerIndex: player.playerIndex,
+            text: this.filter.clean(trimmed),
+            at: this.now()
+        };
+        game.chat.push(message);
+        if (game.chat.length > HISTORY_SIZE) game.chat.splice(0, game.chat.length - HISTORY_SIZE);
+        return message;
+    }
+
+    /**
+     * Check a quick reaction (reactions are not stored)
+     * @param {Object} game - The game
+     * @param {Object} player - The seated player reacting
+     * @param {string} reaction - One of REACTIONS
+     * @returns {Object} `{ playerIndex, reaction, at }`
+     * @throws {GameError} INVALID_MESSAGE or CHAT_RATE_LIMITED
+     */
+    react(game, player, reaction) {
+        if (!REACTIONS.includes(reaction)) {
+            throw new GameError(ERROR_CODES.INVALID_MESSAGE, `Reaction must be one of ${REACTIONS.join(' ')}`);
+        }
+        this._throttle('reaction', game.id, player.playerId);
+        return { playerIndex: player.playerIndex, reaction, at: this.now() };
+    }
+
+    /**
+     * Forget the rate limit state of a game
+     * @param {string} gameId - The ID of the game
+     */
+    forgetGame(gameId) {
+        [...this.sent.keys()].filter(key => key.split(':')[1] === gameId).forEach(key => this.sent.delete(key));
+    }
+
+    /**
+     * Count a send against the player's rate limit
+     * @throws {GameError} CHAT_RATE_LIMITED if the limit is reached
+     * @private
+     */
+    _throttle(kind, gameId, playerId) {
+        const { limit, windowMs } = RATE_LIMITS[kind];
+        const key = `${kind}:${gameId}:${playerId}`;
+        const now = this.now();
+        const recent = (this.sent.get(key) || []).filter(at => now - at < windowMs);
+
+        if (recent.length >= limit) {
+            this.sent.set(key, recent);
+            throw new GameError(ERROR_CODES.CHAT_RATE_LIMITED, 'You are sending too fast, wait a moment',
+                { retryInMs: windowMs - (now - recent[0]) });
+        }
+        recent.push(now);
+        this.sent.set(key, recent);
+    }
+}
+
+/**
+ * Create the chat service configured for this server
+ * @param {Object} [options]
+ * @param {string} [options.filterPath=process.env.CHAT_FILTER] - Module exporting `clean(text)`
+ * @returns {ChatService}
+ */
+const createChatService = ({ filterPath = process.env.CHAT_FILTER } = {}) => {
+    if (!filterPath) return new ChatService();
+
+    const filter = require(path.resolve(filterPath));
+    if (typeof filter.clean !== 'function') throw new Error(`CHAT_FILTER module ${filterPath} must export clean(text)`);
+    return new ChatService({ filter });
+};
+
+module.exports = { ChatService, createChatService, createWordListFilter, REACTIONS, MAX_MESSAGE_LENGTH };
@@ -0,0 +1,109 @@
+/**
+ * diceProvider.js
+ * Source of every die rolled by the server, for humans and the computer alike.
+ *
+ * Each game gets a secret seed. Die number n (counting from 0 over the whole game) is
+ * derived from HMAC-SHA256(seed, n): the first byte below 252 gives `byte % 6 + 1`.
+ * The SHA-256 hash of the seed is published when the game starts (commit) and the seed
+ * itself once the game is over (reveal), so players can recompute every roll.
+ *
+ * Modes:
+ *   commit-reveal - a fresh random seed per game (live play)
+ *   seeded        - every game uses the configured seed, so dice repeat exactly (tests, replays)
+ */
+
+const crypto = require('crypto');
+const Logic = require('../gameLogic.js');
+
+const ALGORITHM = 'hmac-sha256-commit-reveal';
+
+// 252 is the largest multiple of 6 below 256: rejecting higher bytes keeps the faces uniform
+const UNBIASED_LIMIT = 252;
+
+const hashSeed = (seed) => crypto.createHash('sha256').update(seed).digest('hex');
+
+/**
+ * Derive a single die from a seed
+ * @param {string} seed - The game's seed
+ * @param {number} n - Index of the die within the game (0-based)
+ * @returns {number} A value from 1 to 6
+ */
+const drawDie = (seed, n) => {
+    for (let attempt = 0; ; attempt++) {
+        const message = attempt === 0 ? String(n) : `${n}:${attempt}`;
+        const byte = crypto.createHmac('sha256', seed).update(message).digest()
+            .find(b => b < UNBIASED_LIMIT);
+        if (byte !== undefined) return (byte % 6) + 1;
+    }
+};
+
+/**
+ * Check recorded rolls against a revealed seed
+ * @param {string} seed - The revealed seed
+ * @param {string} commitment - The hash published at game start
+ * @param {Object[]} events - The game's event log
+ * @returns {boolean} True if the seed matches the commitment and produced every rolled die
+ */
+const verifyRolls = (seed, commitment, events) => {
+    if (hashSeed(seed) !== commitment) return false;
+    const dice = events.filter(e => e.type === Logic.EVENT_TYPES.ROLL).flatMap(e => e.dice);
+    return dice.every((value, n) => value === drawDie(seed, n));
+};
+
+class DiceProvider {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.seed] - Fixed seed for every game (seeded mode); omit for commit-reveal
+     */
+    constructor({ seed } = {}) {
+        this.seed = seed || null;
+        this.mode = this.seed ? 'seeded' : 'commit-reveal';
+    }
+
+    /**
+     * Give a new game its seed
+     * @param {Object} game - The game being created
+     * @returns {string} The commitment (hash of the seed) to publish
+     */
+    setup(game) {
+        const seed = this.seed || crypto.randomBytes(32).toString('hex');
+        game.rng = { algorithm: ALGORITHM, commitment: hashSeed(seed), seed, draws: 0 };
+        return game.rng.commitment;
+    }
+
+    /**
+     * Roll the dice for the game's current rule set
+     * @param {Object} game - The game to roll for
+     * @returns {number[]} One value (1-6) per die
+     */
+    roll(game) {
+        if (!game.rng) this.setup(game); // Games saved before the dice provider existed
+        const { seed } = game.rng;
+        return Array.from({ length: Logic.getRules(game).diceCount }, () => drawDie(seed, game.rng.draws++));
+    }
+
+    /**
+     * Public dice information for a game. The seed is only revealed once the game is over.
+     * @param {Object} game - The game
+     * @returns {Object|null} `{ algorithm, commitment, draws, seed?, verified? }`
+     */
+    audit(game) {
+        if (!game.rng) return null;
+        const { algorithm, commitment, draws, seed } = game.rng;
+        if (!game.gameOver) return { algorithm, commitment, draws };
+        return { algorithm, commitment, draws, seed, verified: verifyRolls(seed, commitment, game.moveLog || []) };
+    }
+}
+
+/**
+ * Create the dice provider configured for this server
+ * @param {Object} [options]
+ * @param {string} [options.seed=process.env.DICE_SEED] - Switches to seeded mode
+ * @returns {DiceProvider}
+ */
+const createDiceProvider = ({ seed = process.env.DICE_SEED } = {}) => {
+    if (seed) console.warn('DICE_SEED is set; every game rolls the same predictable dice. Use it for tests only.');
+    return new DiceProvider({ seed });
+};
+
+module.exports = { DiceProvider, createDiceProvider, drawDie, verifyRolls };
@@ -0,0 +1,59 @@
+/**
+ * gameErrors.js
+ * Typed errors raised by the game services.
+ * Every rejection carries a stable `code` so clients can react without parsing messages.
+ */
+
+const ERROR_CODES = {
+    GAME_NOT_FOUND: 'GAME_NOT_FOUND',
+    GAME_FULL: 'GAME_FULL',
+    PLAYER_NOT_FOUND: 'PLAYER_NOT_FOUND',
+    OUT_OF_PHASE: 'OUT_OF_PHASE',
+    NOT_YOUR_TURN: 'NOT_YOUR_TURN',
+    NOT_YOUR_TOKEN: 'NOT_YOUR_TOKEN',
+    UNAUTHENTICATED: 'UNAUTHENTICATED',
+    TOKEN_NOT_FOUND: 'TOKEN_NOT_FOUND',
+    INVALID_ROLL: 'INVALID_ROLL',
+    INVALID_MOVE: 'INVALID_MOVE',
+    INVALID_OPTIONS: 'INVALID_OPTIONS',
+    REPLAY_UNAVAILABLE: 'REPLAY_UNAVAILABLE',
+    UNDO_DISABLED: 'UNDO_DISABLED',
+    NOTHING_TO_UNDO: 'NOTHING_TO_UNDO',
+    UNDO_PENDING: 'UNDO_PENDING',
+    NO_UNDO_REQUEST: 'NO_UNDO_REQUEST',
+    NOT_HOST: 'NOT_HOST',
+    SPECTATOR_READ_ONLY: 'SPECTATOR_READ_ONLY',
+    INVALID_MESSAGE: 'INVALID_MESSAGE',
+    CHAT_RATE_LIMITED: 'CHAT_RATE_LIMITED',
+    ROOM_LOCKED: 'ROOM_LOCKED',
+    ROOM_ACCESS_DENIED: 'ROOM_ACCESS_DENIED',
+    TOO_MANY_ATTEMPTS: 'TOO_MANY_ATTEMPTS',
+    INVITE_EXPIRED: 'INVITE_EXPIRED',
+    NOT_ENOUGH_PLAYERS: 'NOT_ENOUGH_PLAYERS',
+    PLAYERS_NOT_READY: 'PLAYERS_NOT_READY',
+    INVALID_ACCOUNT: 'INVALID_ACCOUNT',
+    USERNAME_TAKEN: 'USERNAME_TAKEN',
+    INVALID_CREDENTIALS: 'INVALID_CREDENTIALS',
+    ACCOUNT_NOT_FOUND: 'ACCOUNT_NOT_FOUND',
+    RANKED_UNAVAILABLE: 'RANKED_UNAVAILABLE',
+    HISTORY_UNAVAILABLE: 'HISTORY_UNAVAILABLE'
+};
+
+/**
+ * Error raised when a game action is rejected
+ */
+class GameError extends Error {
+    /**
+     * @param {string} code - One of ERROR_CODES
+     * @param {string} message - Human readable description
+     * @param {Object} [details] - Extra context sent to the client (e.g. the current phase)
+     */
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'GameError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+module.exports = { GameError, ERROR_CODES };
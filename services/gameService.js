@@ -4,33 +4,102 @@
  * Handles game creation, player management, and game state transitions
  */
 
+const { EventEmitter } = require('events');
 const { v4: uuidv4 } = require("uuid");
 const Logic = require('../gameLogic.js');
-const path = require('path')
-const fs = require("fs");
+const AI = require('../aiStrategies.js');
+const { GameError, ERROR_CODES } = require('./gameErrors');
+const { createGameStore } = require('./storage');
+const { replayEvents } = require('./replayService');
+const { createDiceProvider } = require('./diceProvider');
+const { createBotRegistry } = require('./bots');
+const { createChatService } = require('./chatService');
+const MatchmakingQueue = require('./matchmakingQueue');
+const RoomAccess = require('./roomAccess');
+const { AccountService } = require('./accountService');
+
+// Pause before the computer plays, and before it uses a bonus roll
+const COMPUTER_TURN_DELAY_MS = 1500;
+const COMPUTER_BONUS_ROLL_DELAY_MS = 500;
+
+// Seconds announced between the host's start and the first roll
+const DEFAULT_START_COUNTDOWN_S = 5;
+const MAX_START_COUNTDOWN_S = 30;
+
+// Turn clocks of multiplayer games: seconds to roll, seconds to play each die, and the
+// timeouts in a row after which a seat forfeits
+const DEFAULT_TURN_TIMER = { rollSeconds: 30, moveSeconds: 30, maxTimeouts: 3 };
+const TURN_TIMER_LIMITS = { rollSeconds: [5, 600], moveSeconds: [5, 600], maxTimeouts: [1, 10] };
+
+// Time a player who disconnects from a game in progress has to come back before the seat is abandoned
+const ABANDON_AFTER_MS = 5 * 60 * 1000;
+
+// Days after which untouched saves are deleted; unset keeps every save (finished games feed listings and replays)
+const GAME_RETENTION_DAYS = Number(process.env.GAME_RETENTION_DAYS) || null;
+
+// How often idle games are evicted from memory (and old saves pruned, see cleanupOldGames)
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Largest page of finished games
+const MAX_HISTORY_PAGE = 100;
+
+// How often players waiting for a ranked game are matched again, as their rating windows widen
+const RANKED_SWEEP_MS = 5000;
+
+// Wrong passwords a private room accepts within the window before it stops checking them for a while
+const PASSWORD_ATTEMPTS = { limit: 5, windowMs: 60 * 1000 };
 
 /**
  * GameService class provides game management functionality
- * Implemented as a singleton to ensure consistent game state across the application
+ * Implemented as a singleton to ensure consistent game state across the application.
+ * Emits `gameUpdated` (game, { rolled }) after changes made by the server itself, such as computer turns,
+ * `countdown` (game, { secondsLeft, startsAt } or { cancelled: true }) while a game is about to start,
+ * `gameEnded` (game, result) once when a game is over (see _recordResult), and `matchFound` (game, seats)
+ * when waiting ranked players are matched outside of a findMatch call.
  */
-class GameService {
+class GameService extends EventEmitter {
     /**
      * Initialize the game service with empty collections
+     * @param {Object} [options]
+     * @param {Object} [options.store] - Game store (save/load/list/delete); defaults to the configured backend
+     * @param {Object} [options.dice] - Dice provider (see diceProvider.js); defaults to the configured mode
+     * @param {Object} [options.bots] - Bot registry (see bots/); defaults to the built-in and configured bots
+     * @param {Object} [options.chat] - Chat service (see chatService.js); defaults to the configured filter
+     * @param {Object} [options.accounts] - Account service (see accountService.js); defaults to the shared instance
      */
-    constructor() {
+    constructor({ store, dice, bots, chat, accounts } = {}) {
+        super();
         // Store active games indexed by game ID
         this.games = {};
         // Map socket IDs to game IDs for quick lookup
         this.playerSockets = {};
-        this.SAVE_DIR = path.join(__dirname, 'game_states'); // Folder for saves
-        this._ensureSaveDir();
-    }
-
-    // Create directory if it doesn't exist
-    _ensureSaveDir() {
-        if (!fs.existsSync(this.SAVE_DIR)) {
-            fs.mkdirSync(this.SAVE_DIR);
-        }
+        // Read-only viewers: socket IDs per game ID, and the game each socket watches
+        this.spectators = {};
+        this.spectatorSockets = {};
+        // Persistence backend for saved games (see services/storage)
+        this.store = store || createGameStore();
+        // Source of every die rolled in this service
+        this.dice = dice || createDiceProvider();
+        // Bots that play the computer seats
+        this.bots = bots || createBotRegistry();
+        // Chat and reactions between the players of a game
+        this.chat = chat || createChatService();
+        // Player accounts: display names on the seats, stats updated when a game ends
+        this.accounts = accounts || AccountService.getInstance();
+        // Players waiting for a match (see findMatch), and the next ranked matching round
+        this.matchmaking = new MatchmakingQueue();
+        this.rankedTimer = null;
+        // Pending computer turns indexed by game ID
+        this.computerTimers = {};
+        // Running start countdowns indexed by game ID
+        this.countdownTimers = {};
+        // Turn clocks of human seats indexed by game ID
+        this.turnTimers = {};
+        // Times of recent wrong (or still running) room password checks indexed by game ID
+        this.passwordFailures = {};
+        // One cleanup sweep per service; it never keeps the process alive on its own
+        this.cleanupTimer = setInterval(() => this.cleanupOldGames(), CLEANUP_INTERVAL_MS);
+        this.cleanupTimer.unref();
     }
     /**
      * Singleton pattern implementation to ensure only one instance exists
@@ -41,11 +110,15 @@ class GameService {
 
     }
 
+    /**
+     * Persist a game through the store. Saving runs in the background;
+     * failures are logged and never interrupt play.
+     * @param {string} gameId - The ID of the game to save
+     * @returns {Promise<void>} Resolves once the save has been written
+     */
     saveGameState(gameId) {
         const game = this.games[gameId];
-        if (!game) return;
-
-        const filePath = path.join(this.SAVE_DIR, `${gameId}.json`);
+        if (!game) return Promise.resolve();
 
         // Create save-safe version (remove sockets and timers)
         const dataToSave = {
@@ -54,7 +127,10 @@ class GameService {
                 playerId: player.playerId,
                 playerIndex: player.playerIndex,
                 colors: player.colors,
-                tokens: player.tokens
+                bot: player.bot,
+                tokens: player.tokens,
+                timeouts: player.timeouts,
+                forfeited: player.forfeited
             })),
             tokens: game.tokens,
             currentPlayer: game.currentPlayer,
@@ -65,44 +141,61 @@ class GameService {
             createdAt: game.createdAt
         };
 
-        fs.writeFileSync(filePath, JSON.stringify(dataToSave, null, 2));
+        return this.store.save(gameId, dataToSave).catch(error => {
+            console.error(`Failed to save game ${gameId}:`, error);
+        });
     }
 
-    // Load game state from file
+    // Load game state from the store
     loadGameState(gameId) {
-        const filePath = path.join(this.SAVE_DIR, `${gameId}.json`);
-        if (!fs.existsSync(filePath)) return null;
-
-        const rawData = fs.readFileSync(filePath, 'utf-8');
-        return JSON.parse(rawData);
+        return this.store.load(gameId);
     }
 
 
     // Initialize game from saved state (if available)
-    initializeGame(gameId) {
-        const savedState = this.loadGameState(gameId);
+    async initializeGame(gameId) {
+        const savedState = await this.loadGameState(gameId);
         if (!savedState) return null;
 
+        // Another request may have restored the game while we were loading
+        if (this.games[gameId]) return this.games[gameId];
+
         // Restore game state with proper defaults
         const restoredGame = {
             ...savedState,
             // Players need socket-related properties initialized
             players: savedState.players.map(p => ({
                 ...p,
-                id: null,  // Will be set when player rejoins
+                // Computer seats keep their marker; humans get a socket ID when they rejoin
+                id: String(p.playerId).startsWith('AI-') ? 'AI' : null,
                 disconnected: true,
                 disconnectTimer: null,
                 // Ensure all required player properties exist
                 tokens: p.tokens || [],
-                colors: p.colors || (p.playerIndex === 0 ? ['red', 'yellow'] : ['green', 'blue'])
+                colors: p.colors || Logic.getSeatColors(p.playerIndex, savedState.maxPlayers || 2)
             })),
+            maxPlayers: savedState.maxPlayers || 2,
 
             // Initialize volatile properties
             playerSockets: {},
             lastActivity: Date.now(),
 
+            // Games saved before house rules existed play by the defaults
+            rules: savedState.rules || Logic.createRules(),
+            settings: { allowUndo: true, aiLevel: AI.DEFAULT_AI_LEVEL, ...savedState.settings },
+
+            // Games saved before the phase machine get a phase derived from their flags;
+            // a start countdown does not survive a restart, so the host starts again
+            phase: savedState.phase === Logic.GAME_PHASES.STARTING
+                ? Logic.GAME_PHASES.WAITING_FOR_PLAYERS
+                : Logic.derivePhase(savedState),
+            startsAt: null,
+
             // Ensure game flow properties exist
             currentRolls: savedState.currentRolls || [],
+            bonusRolls: savedState.bonusRolls || 0,
+            sixesThisTurn: savedState.sixesThisTurn || 0,
+            moveLog: savedState.moveLog || [],
             rolledValue: savedState.rolledValue || [],
             diceValue: savedState.diceValue || 0,
 
@@ -120,39 +213,231 @@ class GameService {
     }
 
 
+    /**
+     * Reject an action that does not belong to the game's current phase
+     * @param {Object} game - The game being acted on
+     * @param {string[]} allowedPhases - Phases in which the action is accepted
+     * @param {string} action - Name of the attempted action (for the error message)
+     * @throws {GameError} OUT_OF_PHASE if the game is in any other phase
+     */
+    _assertPhase(game, allowedPhases, action) {
+        if (!allowedPhases.includes(game.phase)) {
+            throw new GameError(
+                ERROR_CODES.OUT_OF_PHASE,
+                `Cannot ${action} while the game is in phase ${game.phase}`,
+                { phase: game.phase, allowedPhases }
+            );
+        }
+    }
+
+    /**
+     * Seat a player at the next free place and hand out their colors
+     * @param {Object} game - The game to seat the player in
+     * @param {string} playerId - The persistent player ID
+     * @param {string} socketId - The socket ID of the player ('AI' for computer seats)
+     * @param {string} [bot] - Name of the bot playing a computer seat
+     * @returns {Object} The newly seated player
+     * @throws {GameError} If every seat is taken
+     */
+    _seatPlayer(game, playerId, socketId, bot) {
+        if (game.players.length >= game.maxPlayers) throw new GameError(ERROR_CODES.GAME_FULL, 'Game is already full');
+
+        const playerIndex = game.players.length;
+        // Seats get the sets in table order, skipping any a seated player picked with chooseColors
+        const colors = Logic.getColorSets(game.maxPlayers)
+            .find(set => !game.players.some(p => p.colors[0] === set[0]));
+        const player = { playerId, id: socketId, playerIndex, colors };
+        if (bot) player.bot = bot;
+        game.players.push(player);
+        Logic.recordEvent(game, Logic.EVENT_TYPES.JOIN, { playerIndex, playerId, colors: player.colors, ...(bot && { bot }) });
+        return player;
+    }
+
+    /**
+     * Seat a bot at the next free place
+     * @param {Object} game - The game
+     * @param {string} bot - Name of a registered bot
+     * @returns {Object} The computer seat
+     */
+    _seatBot(game, bot) {
+        // Seats move up when the host removes one, so the seat count alone may already be taken
+        let n = game.players.length;
+        while (game.players.some(p => p.playerId === `AI-${n}`)) n++;
+        return this._seatPlayer(game, `AI-${n}`, 'AI', bot);
+    }
+
+    /**
+     * Validate the size and rule set asked for a table
+     * @param {number|string} maxPlayers - Number of seats
+     * @param {string|Object} [rules] - A preset name or `{ preset, ...overrides }`
+     * @returns {Object} `{ maxPlayers, rules }` with the normalized rule set
+     * @throws {GameError} INVALID_OPTIONS
+     * @private
+     */
+    _parseTableOptions(maxPlayers, rules) {
+        maxPlayers = Number(maxPlayers);
+        if (!Number.isInteger(maxPlayers) || maxPlayers < Logic.MIN_PLAYERS || maxPlayers > Logic.MAX_PLAYERS) {
+            throw new GameError(ERROR_CODES.INVALID_OPTIONS, `maxPlayers must be between ${Logic.MIN_PLAYERS} and ${Logic.MAX_PLAYERS}`);
+        }
+        try {
+            return { maxPlayers, rules: Logic.createRules(rules) };
+        } catch (error) {
+            throw new GameError(ERROR_CODES.INVALID_OPTIONS, error.message);
+        }
+    }
+
+    /**
+     * Validate the turn clocks asked for a table
+     * @param {Object|boolean} [turnTimer] - `{ rollSeconds, moveSeconds, maxTimeouts }`, false to turn them off
+     * @returns {Object|null} The full timer settings, or null
+     * @throws {GameError} INVALID_OPTIONS
+     * @private
+     */
+    _parseTurnTimer(turnTimer) {
+        if (turnTimer === false || turnTimer === null) return null;
+        const timer = { ...DEFAULT_TURN_TIMER, ...(typeof turnTimer === 'object' ? turnTimer : {}) };
+        return Object.fromEntries(Object.entries(TURN_TIMER_LIMITS).map(([key, [min, max]]) => {
+            const value = Number(timer[key]);
+            if (!Number.isInteger(value) || value < min || value > max) {
+                throw new GameError(ERROR_CODES.INVALID_OPTIONS, `turnTimer.${key} must be between ${min} and ${max}`);
+            }
+            return [key, value];
+        }));
+    }
+
     /**
      * Create a new game instance
      * @param {string} socketId - The socket ID of the player creating the game
      * @param {boolean} vsComputer - Whether this is a single-player game against AI
+     * @param {string} playerId - The persistent ID of the creating player
+     * @param {Object} [options] - Game options
+     * @param {number} [options.maxPlayers=2] - Number of seats (2, 3 or 4)
+     * @param {string|Object} [options.rules] - House rules: a preset name or `{ preset, ...overrides }`
+     * @param {boolean} [options.allowUndo=true] - Whether players may take back moves
+     * @param {boolean} [options.ranked=false] - Rated game (see findMatch): no undo, no computer seats,
+     *   and the dice must be the server's commit-reveal dice
+     * @param {string} [options.aiLevel='medium'] - Computer difficulty: 'easy', 'medium' or 'hard'
+     * @param {string} [options.bot] - Registered bot for the computer seats (defaults to the aiLevel bot)
+     * @param {boolean} [options.isPublic=false] - List the game in the public lobby while seats are open
+     * @param {boolean} [options.privateRoom=false] - Only players with an invite code or the password may join
+     * @param {string} [options.password] - Room password (makes the room private)
+     * @param {boolean} [options.readyCheck=true] - Wait for the players to get ready and the host to start,
+     *   instead of starting as soon as every seat is taken
+     * @param {number} [options.startCountdown=5] - Seconds announced before a started game begins (0-30)
+     * @param {Object|boolean} [options.turnTimer] - Turn clocks `{ rollSeconds, moveSeconds, maxTimeouts }`
+     *   (missing fields take the defaults), or false to turn them off. Off against the computer.
+     * @returns {Promise<Object>} The newly created game object (a private room holds its first invite in room.invites)
+     * @throws {GameError} If maxPlayers, the rule set, the AI level, the bot, the password, the countdown
+     *   or the turn timer is not supported, or RANKED_UNAVAILABLE
+     */
+    async createGame(socketId, vsComputer, playerId, { password, ...options } = {}) {
+        if (password !== undefined && !RoomAccess.isValidPassword(password)) {
+            const { min, max } = RoomAccess.PASSWORD_LENGTH;
+            throw new GameError(ERROR_CODES.INVALID_OPTIONS, `password must be ${min} to ${max} characters`);
+        }
+        // Games against the computer have no room to protect
+        const passwordHash = password !== undefined && !vsComputer ? await RoomAccess.hashPasswordAsync(password) : null;
+        return this._openGame(socketId, vsComputer, playerId, { ...options, passwordHash });
+    }
+
+    /**
+     * Create a game once its room password is hashed (see createGame)
+     * @param {string} socketId - The socket ID of the player creating the game
+     * @param {boolean} vsComputer - Whether this is a single-player game against AI
+     * @param {string} playerId - The persistent ID of the creating player
+     * @param {Object} [options] - The options of createGame, with `passwordHash` instead of `password`
      * @returns {Object} The newly created game object
+     * @throws {GameError} As createGame
+     * @private
      */
-    createGame(socketId, vsComputer, playerId) {
+    _openGame(socketId, vsComputer, playerId, { maxPlayers = 2, rules, allowUndo = true, ranked = false, aiLevel = AI.DEFAULT_AI_LEVEL, bot, isPublic = false, privateRoom = false, passwordHash = null, readyCheck = true, startCountdown = DEFAULT_START_COUNTDOWN_S, turnTimer } = {}) {
+        if (ranked) {
+            if (vsComputer) throw new GameError(ERROR_CODES.INVALID_OPTIONS, 'Games against the computer are never ranked');
+            this._assertRankedDice();
+        }
+        const table = this._parseTableOptions(maxPlayers, rules);
+        maxPlayers = table.maxPlayers;
+        const gameRules = table.rules;
+        if (!AI.AI_LEVELS.includes(aiLevel)) {
+            throw new GameError(ERROR_CODES.INVALID_OPTIONS, `aiLevel must be one of ${AI.AI_LEVELS.join(', ')}`);
+        }
+        if (bot !== undefined && !this.bots.has(bot)) throw new GameError(ERROR_CODES.INVALID_OPTIONS, `Unknown bot: ${bot}`);
+        const isPrivate = !vsComputer && (!!privateRoom || !!passwordHash);
+        startCountdown = Number(startCountdown);
+        if (!Number.isInteger(startCountdown) || startCountdown < 0 || startCountdown > MAX_START_COUNTDOWN_S) {
+            throw new GameError(ERROR_CODES.INVALID_OPTIONS, `startCountdown must be between 0 and ${MAX_START_COUNTDOWN_S} seconds`);
+        }
+        turnTimer = vsComputer ? null : this._parseTurnTimer(turnTimer);
+
         // Generate a short, unique game ID
         const id = uuidv4().slice(0, 6);
 
-        // Initialize players array with the creator
-        const players = [{ playerId, id: socketId, playerIndex: 0, colors: ['red', 'yellow'] }];
-
-        // Add AI player if single-player mode
-        if (vsComputer) players.push({ playerId: 'AI', id: 'AI', playerIndex: 1, colors: ['green', 'blue'] });
-
         // Create game state object
         const game = {
             id,
-            players,
+            players: [],
+            maxPlayers,
+            rules: gameRules,         // House rules shared by humans and the AI
+            settings: {               // Table settings that do not affect the rules
+                allowUndo: allowUndo !== false && !ranked, // Ranked moves are final
+                ranked: !!ranked,
+                aiLevel,
+                isPublic: !!isPublic && !vsComputer && !isPrivate,
+                readyCheck: !vsComputer && readyCheck !== false,
+                startCountdown,
+                turnTimer                 // null when turns are not timed
+            },
+            hostId: playerId,         // Player allowed to manage the room before the start
+            room: {                   // Who may take a seat (see roomAccess.js)
+                isPrivate,
+                passwordHash: isPrivate ? passwordHash : null,
+                invites: isPrivate ? [RoomAccess.createInvite()] : [],
+                locked: false,
+                kicked: []            // Players removed by the host, who may not come back
+            },
             currentPlayer: 0,
             originalRolls: [],        // Store original dice rolls
             currentRolls: [],         // Remaining dice rolls to be used
+            bonusRolls: 0,            // Extra rolls earned this turn
+            sixesThisTurn: 0,         // Sixes rolled this turn (three-sixes rule)
             rolledValue: [],          // Store the rolled value for the current turn
+            phase: Logic.GAME_PHASES.WAITING_FOR_PLAYERS, // Authoritative turn phase
             gameStarted: !!vsComputer,// Game starts immediately in single-player mode
             tokens: Logic.initializeTokens(),
             winners: [],              // Store winning players in order
+            moveLog: [],              // Append-only event log (rolls, moves, joins...), see Logic.EVENT_TYPES
+            lastMove: null,           // Snapshot from before the last move, for undo
+            pendingUndo: null,        // Undo request waiting for the opponents' consent
+            chat: [],                 // Recent chat messages (see chatService.js)
             gameOver: false,
             vsComputer: !!vsComputer,
             createdAt: Date.now(),
             lastActivity: Date.now()
         };
 
+        // Commit to the dice before anyone has joined
+        const diceCommitment = this.dice.setup(game);
+
+        Logic.recordEvent(game, Logic.EVENT_TYPES.CREATE, {
+            playerIndex: null,
+            maxPlayers,
+            rules: gameRules,
+            vsComputer: game.vsComputer,
+            readyCheck: game.settings.readyCheck,
+            diceCommitment
+        });
+
+        // Seat the creator first
+        this._seatPlayer(game, playerId, socketId);
+
+        // Fill every remaining seat with the computer in single-player mode
+        if (vsComputer) {
+            while (game.players.length < maxPlayers) {
+                this._seatBot(game, bot || aiLevel);
+            }
+            Logic.setPhase(game, Logic.GAME_PHASES.AWAITING_ROLL);
+        }
+
         // Store game in collection
         this.games[id] = game;
 
@@ -164,38 +449,122 @@ class GameService {
 
 
 
+    /**
+     * Check that a newcomer may enter a room: kicked players never may, and a private
+     * room needs a valid invite code or its password. Passwords are checked off the event
+     * loop, and after too many wrong ones the room stops checking them for a while.
+     * @param {Object} game - The game
+     * @param {string} playerId - The authenticated ID of the newcomer
+     * @param {Object} [credentials] - `{ password, inviteCode }`
+     * @returns {Promise<void>}
+     * @throws {GameError} ROOM_ACCESS_DENIED, INVITE_EXPIRED or TOO_MANY_ATTEMPTS
+     * @private
+     */
+    async _assertRoomAccess(game, playerId, { password, inviteCode } = {}) {
+        const room = game.room;
+        if (!room) return; // Saved before rooms had access rules
+        if (room.kicked.includes(playerId)) {
+            throw new GameError(ERROR_CODES.ROOM_ACCESS_DENIED, 'You were removed from this room by the host');
+        }
+        if (!room.isPrivate) return;
+
+        if (inviteCode) {
+            const invite = RoomAccess.findInvite(room.invites, inviteCode);
+            if (!invite) throw new GameError(ERROR_CODES.ROOM_ACCESS_DENIED, 'Unknown invite code');
+            if (invite.expiresAt <= Date.now()) {
+                throw new GameError(ERROR_CODES.INVITE_EXPIRED, 'This invite has expired, ask the host for a new one',
+                    { expiresAt: invite.expiresAt });
+            }
+            return;
+        }
+        if (!room.passwordHash) {
+            throw new GameError(ERROR_CODES.ROOM_ACCESS_DENIED, 'This room is private, ask the host for an invite');
+        }
+
+        this._assertPasswordAttemptsLeft(game.id);
+        // Count the attempt before checking it, so guesses sent all at once cannot run past the limit
+        const attempt = Date.now();
+        (this.passwordFailures[game.id] = this.passwordFailures[game.id] || []).push(attempt);
+        if (await RoomAccess.verifyPasswordAsync(password, room.passwordHash)) {
+            const attempts = this.passwordFailures[game.id] || [];
+            if (attempts.includes(attempt)) attempts.splice(attempts.indexOf(attempt), 1);
+            return;
+        }
+        throw new GameError(ERROR_CODES.ROOM_ACCESS_DENIED, 'Wrong password for this private room');
+    }
+
+    /**
+     * Refuse to check a room's password while it has seen too many wrong ones recently
+     * @param {string} gameId - The ID of the game
+     * @throws {GameError} TOO_MANY_ATTEMPTS
+     * @private
+     */
+    _assertPasswordAttemptsLeft(gameId) {
+        const { limit, windowMs } = PASSWORD_ATTEMPTS;
+        const now = Date.now();
+        const recent = (this.passwordFailures[gameId] || []).filter(at => now - at < windowMs);
+        if (recent.length) this.passwordFailures[gameId] = recent;
+        else delete this.passwordFailures[gameId];
+
+        if (recent.length >= limit) {
+            throw new GameError(ERROR_CODES.TOO_MANY_ATTEMPTS, 'Too many wrong passwords for this room, wait a moment',
+                { retryInMs: windowMs - (now - recent[0]) });
+        }
+    }
+
     /**
      * Handle a player joining an existing game
      * @param {string} socketId - The socket ID of the joining player
      * @param {string} gameId - The ID of the game to join
-     * @returns {Object} The updated game object
-     * @throws {Error} If the game doesn't exist or is full
+     * @param {string} playerId - The authenticated ID of the joining player
+     * @param {Object} [credentials] - Needed for a private room: `{ password, inviteCode }`
+     * @returns {Promise<Object>} The updated game object
+     * @throws {GameError} If the game doesn't exist, is full, locked, private or has already started
      */
-    joinGame(socketId, gameId, playerId) {
+    async joinGame(socketId, gameId, playerId, credentials = {}) {
         const game = this.games[gameId];
 
         // Validate game exists and has room
-        if (!game) throw new Error('Game does not exist');
+        if (!game) throw new GameError(ERROR_CODES.GAME_NOT_FOUND, 'Game does not exist');
 
+        if (!game.players.some(p => p.playerId === playerId)) {
+            this._assertPhase(game, [Logic.GAME_PHASES.WAITING_FOR_PLAYERS], 'join');
+            await this._assertRoomAccess(game, playerId, credentials);
+        }
+        // The room may have changed while the password was checked
+        return this._seatNewcomer(game, socketId, playerId);
+    }
+
+    /**
+     * Seat a player who may enter the room, or give a seated player their seat back
+     * @param {Object} game - The game
+     * @param {string} socketId - The socket ID of the player
+     * @param {string} playerId - The authenticated ID of the player
+     * @returns {Object} The updated game object
+     * @throws {GameError} If the game is full, locked or has already started
+     * @private
+     */
+    _seatNewcomer(game, socketId, playerId) {
+        const gameId = game.id;
 
         // Check if player was already in the game (reconnecting)
         const existingPlayer = game.players.find(p => p.playerId === playerId);
         if (existingPlayer) {
-            existingPlayer.id = socketId; // Update socket ID
-            this.playerSockets[socketId] = gameId;
+            this._reconnectSeat(game, existingPlayer, socketId);
             return game;
-        } else {
-            if (game.players.length >= 2) throw new Error('Game is already full');
         }
 
-        // Add player to the game
-        game.players.push({ playerId, id: socketId, playerIndex: 1, colors: ['green', 'blue'] });
+        // New players can only take a seat before the game starts
+        this._assertPhase(game, [Logic.GAME_PHASES.WAITING_FOR_PLAYERS], 'join');
+        if (game.room && game.room.locked) throw new GameError(ERROR_CODES.ROOM_LOCKED, 'The host has locked this room');
+
+        // Add player to the next free seat
+        this._seatPlayer(game, playerId, socketId);
 
         // Associate socket with game
         this.playerSockets[socketId] = gameId;
 
-        // Mark game as started
-        game.gameStarted = true;
+        this._startWhenFull(game);
         game.lastActivity = Date.now(); // Update activity timestamp
 
         this.saveGameState(gameId)
@@ -205,224 +574,1011 @@ class GameService {
 
 
     /**
-     * Roll the dice for a player's turn
-     * @param {string} socketId - The socket ID of the player rolling
-     * @returns {Object} The updated game object
-     * @throws {Error} If it's not the player's turn
+     * Start a game without a ready-check as soon as every seat is taken, with the first turn's clock running
+     * @param {Object} game - The game
+     * @private
      */
+    _startWhenFull(game) {
+        if (game.settings.readyCheck || game.players.length < game.maxPlayers) return;
+        game.gameStarted = true;
+        Logic.setPhase(game, Logic.GAME_PHASES.AWAITING_ROLL);
+        this._scheduleNextTurn(game);
+    }
 
-
-    rollDice(gameId, playerId) {
-        const game = this.games[gameId];
-        if (!game) throw new Error('Game not found');
-
-        // Find player by playerId
-        const player = game.players.find(p => p.playerId === playerId);
-        if (!player) throw new Error('Player not found in game');
-
-        // Validate it's the player's turn using playerIndex
-        if (player.playerIndex !== game.currentPlayer) {
-            game.rolledValue = []; // Clear any existing rolls
-            throw new Error(`Not your turn. Current player: ${game.currentPlayer}`);
+    /**
+     * Queue a player for a public game. Players asking for the same number of seats and the
+     * same rule set are matched in arrival order; the game is created as soon as enough wait.
+     * Ranked players are matched with players of a similar rating at that table size instead
+     * (see matchmakingQueue.js); those matched later are announced with `matchFound`.
+     * @param {string} socketId - The socket ID of the waiting player
+     * @param {string} playerId - The authenticated ID of the waiting player
+     * @param {Object} [options]
+     * @param {number} [options.maxPlayers=2] - Number of seats
+     * @param {string|Object} [options.rules] - A preset name or `{ preset, ...overrides }`
+     * @param {boolean} [options.ranked=false] - Play a rated game; needs an account
+     * @returns {Object} `{ matched: false, maxPlayers, rules, ranked, waiting }` while waiting, or
+     *   `{ matched: true, game, seats }` with `{ socketId, playerId, playerIndex, colors }` per seat
+     * @throws {GameError} INVALID_OPTIONS for an unsupported table, RANKED_UNAVAILABLE for a guest
+     *   or when the server rolls seeded dice
+     */
+    findMatch(socketId, playerId, { maxPlayers = 2, rules, ranked = false } = {}) {
+        const table = this._parseTableOptions(maxPlayers, rules);
+        const entry = { socketId, playerId, ...table };
+        if (ranked) {
+            this._assertRankedDice();
+            const rating = this.accounts.getRating(playerId, table.maxPlayers);
+            if (!rating) throw new GameError(ERROR_CODES.RANKED_UNAVAILABLE, 'Sign in to play ranked games');
+            Object.assign(entry, { ranked: true, rating: rating.rating });
         }
 
-        // Generate two random dice rolls (1-6)
-        const rolls = [1, 2].map(() => Math.floor(Math.random() * 6) + 1);
-
-        game.originalRolls = [...rolls];
-        game.currentRolls = [...rolls]; // These are the rolls currently available for token movement
-        game.rolledValue = [...rolls];  // This specifically holds the values to be displayed
-
-        // Temporarily set game.diceValue for internal validation checks, then reset it.
-        let hasValidMove = false;
-        // Loop through the rolled dice to check if any move is valid
-        for (const val of game.currentRolls) {
-            game.diceValue = val; // Set the current dice value for the isValidMove check
-            if (Logic.checkForValidMoves(game, player.playerIndex)) {
-                hasValidMove = true;
-                break; // Found at least one valid move, no need to check further
-            }
+        const group = this.matchmaking.add(entry);
+        if (!group) {
+            this._scheduleRankedMatching();
+            return { matched: false, ...this.matchmaking.status(socketId) };
         }
+        return { matched: true, ...this._startMatch(group) };
+    }
 
-        // Reset the dice value after checking
-        game.diceValue = 0;
+    /**
+     * Create the game of a matched group, seated in queue order
+     * @param {Object[]} group - Queue entries, oldest first
+     * @returns {Object} `{ game, seats }` (see findMatch)
+     * @private
+     */
+    _startMatch(group) {
+        const [host, ...guests] = group;
+        const { maxPlayers, rules, ranked } = host;
+        // Everyone asked to play now: no ready-check
+        const game = this._openGame(host.socketId, false, host.playerId, { maxPlayers, rules, ranked, readyCheck: false });
+        guests.forEach(guest => this._seatNewcomer(game, guest.socketId, guest.playerId)); // Public table: no room checks
+
+        const seats = group.map(({ socketId: id, playerId: pid }) => {
+            const { playerIndex, colors } = game.players.find(p => p.playerId === pid);
+            return { socketId: id, playerId: pid, playerIndex, colors };
+        });
+        return { game, seats };
+    }
 
-        // If no valid moves are possible with the rolled dice, end the turn immediately.
-        if (!hasValidMove) {
-            Logic.nextTurn(game);
+    /**
+     * Match waiting ranked players again every few seconds while any are queued, since
+     * their rating windows widen as they wait. Each game formed emits `matchFound`.
+     * @private
+     */
+    _scheduleRankedMatching() {
+        if (this.rankedTimer || !this.matchmaking.hasRanked()) return;
+        this.rankedTimer = setTimeout(() => {
+            this.rankedTimer = null;
+            this.matchmaking.matchRanked().forEach(group => {
+                try {
+                    const { game, seats } = this._startMatch(group);
+                    this.emit('matchFound', game, seats);
+                } catch (error) {
+                    console.error('Failed to start a ranked match:', error);
+                }
+            });
+            this._scheduleRankedMatching();
+        }, RANKED_SWEEP_MS);
+    }
 
-            // If it's an AI game and it's now the AI's turn, trigger the AI move after a delay.
-            if (game.vsComputer && game.players[game.currentPlayer].id === 'AI') {
-                setTimeout(() => {
-                    Logic.makeComputerMove(game);
-                }, 1500); // Small delay for better user experience
-            }
+    /**
+     * Ranked results must not be predictable: refuse them while the server rolls seeded dice
+     * @throws {GameError} RANKED_UNAVAILABLE
+     * @private
+     */
+    _assertRankedDice() {
+        if (this.dice.mode !== 'commit-reveal') {
+            throw new GameError(ERROR_CODES.RANKED_UNAVAILABLE, 'Ranked games need the server\'s commit-reveal dice');
         }
-        this.saveGameState(gameId)
-        return game;
     }
+
     /**
-     * Play a token move using a specific dice roll
-     * @param {string} socketId - The socket ID of the player making the move
-     * @param {string} tokenId - The ID of the token to move
-     * @param {number} rollIdx - The index of the roll to use
-     * @returns {Object} The updated game object
-     * @throws {Error} If the move is invalid
+     * Leave the matchmaking queue
+     * @param {string} socketId - The waiting socket
+     * @returns {boolean} True if the socket was waiting
      */
-    playRoll(gameId, socketId, tokenId, rolledValue) {
-        const game = this.games[gameId];
-        if (!game) throw new Error('Game not found');
+    cancelMatch(socketId) {
+        return this.matchmaking.remove(socketId);
+    }
 
-        // Find the token
-        const token = game.tokens.find(t => t.id === tokenId);
-        if (!token) throw new Error('Token not found');
+    /**
+     * Public games that are still waiting for players
+     * @returns {Object[]} `{ gameId, maxPlayers, players, rules, createdAt }`, oldest first
+     */
+    listOpenGames() {
+        return Object.values(this.games)
+            .filter(game => game.settings && game.settings.isPublic && !(game.room && game.room.locked) &&
+                game.phase === Logic.GAME_PHASES.WAITING_FOR_PLAYERS &&
+                game.players.length < game.maxPlayers)
+            .sort((a, b) => a.createdAt - b.createdAt)
+            .map(game => ({
+                gameId: game.id,
+                maxPlayers: game.maxPlayers,
+                players: game.players.length,
+                rules: game.rules,
+                createdAt: game.createdAt
+            }));
+    }
 
-        // Find player by socketId to verify ownership
-        const player = game.players.find(p => p.id === socketId);
-        if (!player) throw new Error('Player not found in game');
+    /**
+     * Whether the turn belongs to a computer seat that still has to roll
+     * @param {Object} game - The game
+     * @returns {boolean}
+     */
+    _isComputerToRoll(game) {
+        const seat = game.players[game.currentPlayer];
+        return !game.gameOver && !!seat && seat.id === 'AI' && game.phase === Logic.GAME_PHASES.AWAITING_ROLL;
+    }
 
-        // Find a matching die face in currentRolls
-        const idx = game.currentRolls.findIndex(v => v === rolledValue);
-        if (idx < 0) throw new Error('Invalid roll value');
+    /**
+     * Arrange what the current turn needs after any change: the computer plays its seats
+     * (bonus rolls and consecutive computer seats are chained until a human is up again),
+     * and a human seat gets its turn clock.
+     * @param {Object} game - The game
+     * @param {number} [delay] - Milliseconds before the computer rolls
+     */
+    _scheduleNextTurn(game, delay = COMPUTER_TURN_DELAY_MS) {
+        this._recordResult(game);
+        this._armTurnTimer(game);
+        if (!this._isComputerToRoll(game) || this.computerTimers[game.id]) return;
+
+        // The timer entry stays until the turn is over, so a slow bot is never scheduled twice
+        this.computerTimers[game.id] = setTimeout(async () => {
+            let outcome = null;
+            try {
+                outcome = await this._playComputerTurn(game);
+            } catch (error) {
+                console.error(`Computer turn failed in game ${game.id}:`, error);
+            } finally {
+                delete this.computerTimers[game.id];
+            }
+            if (outcome) {
+                this._scheduleNextTurn(game, outcome === Logic.TURN_OUTCOMES.ROLL_AGAIN ? COMPUTER_BONUS_ROLL_DELAY_MS : COMPUTER_TURN_DELAY_MS);
+            }
+        }, delay);
+    }
 
-        // Use that face to move
-        game.diceValue = rolledValue;
+    /**
+     * Roll for the computer seat and let its bot spend the dice.
+     * Every step is saved and announced with `gameUpdated`.
+     * @param {Object} game - The game
+     * @returns {Promise<string|null>} The TURN_OUTCOMES value, or null if the turn was taken away meanwhile
+     */
+    async _playComputerTurn(game) {
+        // The game may have been evicted, or an undo handed the turn back to a human
+        if (this.games[game.id] !== game || !this._isComputerToRoll(game)) return null;
+        const seat = game.players[game.currentPlayer];
+
+        let outcome = Logic.applyRoll(game, this.dice.roll(game));
+        this._announceServerAction(game, { rolled: true });
 
-        // Validate the move
-        if (!Logic.isValidMove(game, token)) throw new Error('Invalid move');
+        while (outcome === Logic.TURN_OUTCOMES.MOVE) {
+            const move = await this.bots.decide(seat.bot || game.settings.aiLevel, game, Logic.getLegalMoves(game));
 
-        // Execute the move
-        Logic.moveToken(game, token);
+            // Nothing else may have changed the turn while the bot was thinking
+            if (this.games[game.id] !== game || game.phase !== Logic.GAME_PHASES.AWAITING_MOVE ||
+                game.currentPlayer !== seat.playerIndex) return null;
 
-        // Remove exactly that one die from currentRolls
-        game.currentRolls.splice(idx, 1);
+            outcome = Logic.playMove(game, game.tokens.find(t => t.id === move.tokenId), move.dieValue).outcome;
+            this._announceServerAction(game);
+        }
+        return outcome;
+    }
 
-        // If no more rolls or no valid moves remain, advance turn
-        if (
-            game.currentRolls.length === 0 ||
-            !Logic.checkForValidMoves(game, game.currentPlayer)
-        ) {
-            Logic.nextTurn(game);
+    /**
+     * Start the clock of the step a human seat has to play (roll, or each die to move).
+     * A step keeps its deadline across calls, reconnects and restarts; a new step gets a fresh one.
+     * @param {Object} game - The game
+     * @private
+     */
+    _armTurnTimer(game) {
+        const timer = game.settings && game.settings.turnTimer;
+        const seat = game.players[game.currentPlayer];
+        const timed = !!timer && !game.gameOver && !!seat && seat.id !== 'AI' &&
+            [Logic.GAME_PHASES.AWAITING_ROLL, Logic.GAME_PHASES.AWAITING_MOVE].includes(game.phase);
+        if (!timed) {
+            this._clearTurnTimer(game);
+            return;
         }
 
-        // If it’s AI’s turn, schedule the AI move
-        if (game.vsComputer && game.currentPlayer === 1) {
-            setTimeout(() => {
-                Logic.makeComputerMove(game);
-            }, 1000);
+        // Any roll, move, skip or undo starts a new step; disconnects do not
+        const steps = game.moveLog.filter(e => e.type !== Logic.EVENT_TYPES.DISCONNECT).length;
+        const key = `${game.currentPlayer}:${game.phase}:${steps}`;
+        if (game.turnClock && game.turnClock.key === key) {
+            if (this.turnTimers[game.id]) return; // Already ticking
+        } else {
+            const seconds = game.phase === Logic.GAME_PHASES.AWAITING_ROLL ? timer.rollSeconds : timer.moveSeconds;
+            game.turnClock = { key, playerIndex: game.currentPlayer, phase: game.phase, deadline: Date.now() + seconds * 1000 };
         }
 
-        this.saveGameState(gameId)
-        return game;
+        clearTimeout(this.turnTimers[game.id]);
+        this.turnTimers[game.id] = setTimeout(() => this._onTurnTimeout(game, key), Math.max(0, game.turnClock.deadline - Date.now()));
     }
 
     /**
-     * Skip the current player's turn
-     * @param {string} socketId - The socket ID of the player skipping
-     * @returns {Object} The updated game object
+     * @param {Object} game - The game
+     * @private
      */
-    skipTurn(gameId, socketId) {
-        const game = this.games[gameId];
-        if (!game) throw new Error('Game not found');
-
-
-        const pIdx = game.players.findIndex(p => p.id === socketId);
-        if (!pIdx) throw new Error('Player with index not found');
-        // Validate it's the player's turn
-        if (pIdx !== game.currentPlayer) throw new Error('Not your turn');
+    _clearTurnTimer(game) {
+        clearTimeout(this.turnTimers[game.id]);
+        delete this.turnTimers[game.id];
+        game.turnClock = null;
+    }
 
-        // End the current turn
-        Logic.nextTurn(game);
+    /**
+     * The clock ran out: the seat forfeits after too many timeouts in a row, otherwise the
+     * server rolls if needed and plays the dice with the table's AI strategy.
+     * @param {Object} game - The game
+     * @param {string} key - Step the clock was started for
+     * @private
+     */
+    _onTurnTimeout(game, key) {
+        delete this.turnTimers[game.id];
+        if (this.games[game.id] !== game || !game.turnClock || game.turnClock.key !== key) return;
+
+        const seat = game.players[game.currentPlayer];
+        seat.timeouts = (seat.timeouts || 0) + 1;
+        game.turnClock = null;
+
+        if (seat.timeouts >= game.settings.turnTimer.maxTimeouts) {
+            this._forfeit(game, seat, Logic.FORFEIT_REASONS.TIMED_OUT);
+            this._announceServerAction(game);
+            this._scheduleNextTurn(game);
+            return;
+        }
 
-        // If AI's turn, trigger AI move
-        if (game.vsComputer && game.currentPlayer === 1) {
-            setTimeout(() => {
-                Logic.makeComputerMove(game);
-            }, 1000);
+        Logic.recordEvent(game, Logic.EVENT_TYPES.TIMEOUT, { playerIndex: seat.playerIndex, timeouts: seat.timeouts });
+        const rolled = game.phase === Logic.GAME_PHASES.AWAITING_ROLL;
+        let outcome = rolled ? Logic.applyRoll(game, this.dice.roll(game)) : Logic.TURN_OUTCOMES.MOVE;
+        const chooseMove = AI.getStrategy(game.settings.aiLevel);
+        while (outcome === Logic.TURN_OUTCOMES.MOVE) {
+            const move = chooseMove(game, Logic.getLegalMoves(game));
+            outcome = Logic.playMove(game, game.tokens.find(t => t.id === move.tokenId), move.dieValue).outcome;
         }
 
-        this.saveGameState(gameId)
-        return game;
+        this._announceServerAction(game, { rolled });
+        this._scheduleNextTurn(game);
     }
 
-
     /**
-     * Handle a player disconnecting
-     * @param {string} socketId - The socket ID of the disconnected player
-     * @returns {string|undefined} The game ID the player was in, if any
+     * Take a seat out of a game in progress. When no other human seat is left playing,
+     * the game ends right away instead of leaving the computer seats to play it out.
+     * @param {Object} game - The game
+     * @param {Object} player - The seat forfeiting
+     * @param {string} reason - One of Logic.FORFEIT_REASONS
+     * @private
      */
-    handleDisconnect(socketId) {
-        const gameId = this.playerSockets[socketId];
-        const game = this.games[gameId];
-        if (!game) return null;
-
-        delete this.playerSockets[socketId];
-
-        const player = game.players.find(p => p.id === socketId);
-        if (!player) return gameId;
-
-        // Only set timer if it's not already set (prevent multiple timers)
-        if (!player.disconnectTimer) {
-            player.disconnected = true;
-            player.disconnectTimer = setTimeout(() => {
-                const index = game.players.findIndex(p => p.id === socketId);
-                if (index !== -1) {
-                    game.players.splice(index, 1);
-
-                    // Only cleanup if no human players left
-                    if (!game.players.some(p => p.id !== 'AI')) {
-                        // Save state before deletion if needed
-                        this.saveGameState(gameId);
-                        delete this.games[gameId];
-                    }
-                }
-            }, 60 * 60 * 1000);
-        }
-        return gameId;
+    _forfeit(game, player, reason) {
+        const humansLeft = game.players.some(p => p !== player && p.id !== 'AI' && !p.forfeited &&
+            !game.winners.includes(p.playerIndex));
+        Logic.forfeitSeat(game, player.playerIndex, reason, { endGame: !humansLeft });
     }
 
+    /**
+     * Store the result of a game that just ended, add it to the players' stats and emit `gameEnded`, once per game.
+     * A ranked game is rated when someone won it and its dice check out against the commitment.
+     * @param {Object} game - The game
+     * @private
+     */
+    _recordResult(game) {
+        if (!game.gameOver || game.result) return;
+
+        const ranked = !!(game.settings && game.settings.ranked);
+        const audit = ranked ? this.dice.audit(game) : null;
+        const rated = ranked && game.winners.length > 0 && !!(audit && audit.verified);
+        game.result = {
+            reason: game.endReason || Logic.GAME_END_REASONS.COMPLETED,
+            winner: game.winners.length ? game.winners[0] : null,
+            winners: [...game.winners],
+            standings: Logic.getStandings(game),
+            forfeited: game.players.filter(p => p.forfeited).map(p => ({ playerIndex: p.playerIndex, reason: p.forfeited })),
+            ranked,
+            rated,
+            endedAt: Date.now()
+        };
+        this.saveGameState(game.id);
+        this.accounts.recordGame(game, { rated }).catch(error => {
+            console.error(`Failed to record game ${game.id} in player stats:`, error);
+        });
+        this.emit('gameEnded', game, game.result);
+    }
 
+    /**
+     * The clock of the step being played, as clients see it
+     * @param {Object} game - The game
+     * @returns {Object|null} `{ playerIndex, phase, deadline, remainingMs, timeouts, maxTimeouts }`,
+     *   or null when the turn is not timed
+     */
+    describeTurnClock(game) {
+        const clock = game.turnClock;
+        if (!clock) return null;
+        const seat = game.players[clock.playerIndex];
+        return {
+            playerIndex: clock.playerIndex,
+            phase: clock.phase,
+            deadline: clock.deadline,
+            remainingMs: Math.max(0, clock.deadline - Date.now()),
+            timeouts: (seat && seat.timeouts) || 0,
+            maxTimeouts: game.settings.turnTimer.maxTimeouts
+        };
+    }
 
+    /**
+     * Save a step the server made on its own (computer turns, timeouts) and tell the controllers to broadcast it
+     * @param {Object} game - The game
+     * @param {Object} [details] - `{ rolled: true }` when the step was a roll
+     */
+    _announceServerAction(game, details = {}) {
+        this._recordResult(game);
+        game.lastActivity = Date.now();
+        this.saveGameState(game.id);
+        this.emit('gameUpdated', game, details);
+    }
 
-    // Add this method to GameService class
-    verifyPlayerInGame(gameId, playerId) {
-        // Try to load game if not in memory
-        if (!this.games[gameId]) {
-            this.initializeGame(gameId);
+    /**
+     * Find the seated human player behind an authenticated ID
+     * @param {Object} game - The game being acted on
+     * @param {string} playerId - The authenticated player ID
+     * @returns {Object} The player
+     * @throws {GameError} If the player is not seated or is a computer seat
+     */
+    _findHumanPlayer(game, playerId) {
+        const player = game.players.find(p => p.playerId === playerId);
+        if (!player || player.id === 'AI') {
+            throw new GameError(ERROR_CODES.PLAYER_NOT_FOUND, 'Player not found in game');
         }
+        return player;
+    }
 
-        const game = this.games[gameId];
-        if (!game) return false;
+    /**
+     * Check that a player is the game's host (its creator)
+     * @param {Object} game - The game
+     * @param {string} playerId - The authenticated player ID
+     * @param {string} action - What the player tried to do (for the error message)
+     * @returns {Object} The host's seat
+     * @throws {GameError} PLAYER_NOT_FOUND or NOT_HOST
+     */
+    _assertHost(game, playerId, action) {
+        const player = this._findHumanPlayer(game, playerId);
+        const hostId = game.hostId || game.players[0].playerId; // Games saved before hostId was recorded
+        if (player.playerId !== hostId) throw new GameError(ERROR_CODES.NOT_HOST, `Only the host can ${action}`);
+        return player;
+    }
 
-        // Check if player was in this game
-        return game.players.some(p => p.playerId === playerId);
+    /**
+     * Load a game and check that the host may change its room before the start
+     * @param {string} gameId - The ID of the game
+     * @param {string} playerId - The authenticated ID of the host
+     * @param {string} action - What the host is doing (for error messages)
+     * @returns {Object} The game
+     * @throws {GameError} GAME_NOT_FOUND, NOT_HOST or OUT_OF_PHASE
+     * @private
+     */
+    _hostRoom(gameId, playerId, action) {
+        const game = this.games[gameId];
+        if (!game) throw new GameError(ERROR_CODES.GAME_NOT_FOUND, 'Game not found');
+        this._assertHost(game, playerId, action);
+        this._assertPhase(game, [Logic.GAME_PHASES.WAITING_FOR_PLAYERS], action);
+        if (!game.room) game.room = { isPrivate: false, passwordHash: null, invites: [], locked: false, kicked: [] };
+        return game;
     }
 
-    // Modify rejoinGame to be more secure
-    rejoinGame(socketId, gameId, playerId) {
-        // First verify player was in this game
-        if (!this.verifyPlayerInGame(gameId, playerId)) {
-            throw new Error("Player was not part of this game");
-        } else {
-            console.log(`Player ${playerId} verified in game ${gameId}`);
+    /**
+     * Check a seat index given by the host
+     * @param {Object} game - The game
+     * @param {*} playerIndex - Requested seat
+     * @returns {number} The seat index
+     * @throws {GameError} PLAYER_NOT_FOUND if no one sits there
+     * @private
+     */
+    _seatIndex(game, playerIndex) {
+        const index = Number(playerIndex);
+        if (!Number.isInteger(index) || !game.players[index]) {
+            throw new GameError(ERROR_CODES.PLAYER_NOT_FOUND, `No player in seat ${playerIndex}`);
         }
+        return index;
+    }
 
-        const game = this.games[gameId];
-        const player = game.players.find(p => p.playerId === playerId);
+    /**
+     * @param {Object} game - The game
+     * @returns {Map<string, string>} Each seated player's colors, by playerId
+     * @private
+     */
+    _colorsBySeat(game) {
+        return new Map(game.players.map(p => [p.playerId, p.colors.join('/')]));
+    }
 
-        // Update connection info
-        player.id = socketId;
-        player.disconnected = false;
+    /**
+     * A player who got other colors from the host has to confirm again
+     * @param {Object} game - The game
+     * @param {Map<string, string>} colorsBefore - From _colorsBySeat before the change
+     * @private
+     */
+    _unreadyRecolored(game, colorsBefore) {
+        game.players
+            .filter(p => colorsBefore.get(p.playerId) !== p.colors.join('/'))
+            .forEach(p => { p.ready = false; });
+    }
 
-        if (player.disconnectTimer) {
-            clearTimeout(player.disconnectTimer);
-            player.disconnectTimer = null;
+    /**
+     * Remove a player or bot from the room before the start. A kicked player cannot join again.
+     * @param {string} gameId - The ID of the game
+     * @param {string} hostId - The authenticated ID of the host
+     * @param {number} playerIndex - Seat to free; the seats after it move up
+     * @returns {Object} `{ game, kicked }`, kicked being the removed seat
+     * @throws {GameError} If the player is not the host, the seat is empty or the host's own, or the game has started
+     */
+    kickPlayer(gameId, hostId, playerIndex) {
+        const game = this._hostRoom(gameId, hostId, 'kick players');
+        const index = this._seatIndex(game, playerIndex);
+        const kicked = game.players[index];
+        if (kicked.playerId === hostId) throw new GameError(ERROR_CODES.INVALID_OPTIONS, 'The host cannot kick themselves');
+
+        const colorsBefore = this._colorsBySeat(game);
+        Logic.removeSeat(game, index);
+        this._unreadyRecolored(game, colorsBefore);
+        if (kicked.id !== 'AI') {
+            game.room.kicked.push(kicked.playerId);
+            delete this.playerSockets[kicked.id];
+            if (kicked.disconnectTimer) clearTimeout(kicked.disconnectTimer);
         }
-
-        this.playerSockets[socketId] = gameId;
         game.lastActivity = Date.now();
 
-        console.log(`Player ${playerId} reconnected to game ${gameId}`);
+        this.saveGameState(gameId);
+        return { game, kicked };
+    }
+
+    /**
+     * Lock or unlock the room: a locked room takes no new players, whatever their invite
+     * @param {string} gameId - The ID of the game
+     * @param {string} hostId - The authenticated ID of the host
+     * @param {boolean} [locked=true] - Lock or unlock
+     * @returns {Object} The updated game object
+     * @throws {GameError} If the player is not the host or the game has started
+     */
+    lockRoom(gameId, hostId, locked = true) {
+        const game = this._hostRoom(gameId, hostId, 'lock the room');
+        game.room.locked = !!locked;
+        game.lastActivity = Date.now();
+
+        this.saveGameState(gameId);
+        return game;
+    }
+
+    /**
+     * Exchange two seats, and with them the colors and the turn order
+     * @param {string} gameId - The ID of the game
+     * @param {string} hostId - The authenticated ID of the host
+     * @param {number} a - A seat index
+     * @param {number} b - Another seat index
+     * @returns {Object} The updated game object
+     * @throws {GameError} If the player is not the host, a seat is empty or the game has started
+     */
+    swapSeats(gameId, hostId, a, b) {
+        const game = this._hostRoom(gameId, hostId, 'swap seats');
+        const first = this._seatIndex(game, a);
+        const second = this._seatIndex(game, b);
+        if (first === second) throw new GameError(ERROR_CODES.INVALID_OPTIONS, 'Pick two different seats');
+
+        const colorsBefore = this._colorsBySeat(game);
+        Logic.swapSeats(game, first, second);
+        this._unreadyRecolored(game, colorsBefore);
+        game.lastActivity = Date.now();
+
+        this.saveGameState(gameId);
+        return game;
+    }
+
+    /**
+     * Start the game once the other players are ready (the host's start is their own confirmation).
+     * With a countdown the game moves to STARTING and begins when it runs out; otherwise it begins now.
+     * Seats still open are dropped: the table shrinks to the players seated.
+     * @param {string} gameId - The ID of the game
+     * @param {string} hostId - The authenticated ID of the host
+     * @returns {Object} The game (STARTING, or already started)
+     * @throws {GameError} If the player is not the host, fewer than MIN_PLAYERS are seated, a player
+     *   is not ready or the game has started
+     */
+    startGame(gameId, hostId) {
+        const game = this._hostRoom(gameId, hostId, 'start the game');
+        if (game.players.length < Logic.MIN_PLAYERS) {
+            throw new GameError(ERROR_CODES.NOT_ENOUGH_PLAYERS, `At least ${Logic.MIN_PLAYERS} players are needed to start`);
+        }
+        const notReady = game.settings.readyCheck
+            ? game.players.filter(p => p.id !== 'AI' && p.playerId !== hostId && !p.ready).map(p => p.playerIndex)
+            : [];
+        if (notReady.length) {
+            throw new GameError(ERROR_CODES.PLAYERS_NOT_READY, 'Every player must be ready before the start', { notReady });
+        }
+
+        game.lastActivity = Date.now();
+        const seconds = game.settings.startCountdown || 0;
+        if (!seconds) {
+            this._beginGame(game);
+            return game;
+        }
+
+        Logic.setPhase(game, Logic.GAME_PHASES.STARTING);
+        game.startsAt = Date.now() + seconds * 1000;
+        this.saveGameState(gameId);
+        this._tickCountdown(game);
+        return game;
+    }
+
+    /**
+     * Announce the seconds left before a STARTING game begins, once per second, and begin it at zero
+     * @param {Object} game - The game
+     * @private
+     */
+    _tickCountdown(game) {
+        const msLeft = game.startsAt - Date.now();
+        if (msLeft <= 0) {
+            delete this.countdownTimers[game.id];
+            if (this.games[game.id] !== game || game.phase !== Logic.GAME_PHASES.STARTING) return;
+            this._beginGame(game);
+            this.emit('gameUpdated', game, {});
+            return;
+        }
+
+        const secondsLeft = Math.ceil(msLeft / 1000);
+        this.emit('countdown', game, { secondsLeft, startsAt: game.startsAt });
+        this.countdownTimers[game.id] = setTimeout(() => this._tickCountdown(game), msLeft - (secondsLeft - 1) * 1000);
+    }
+
+    /**
+     * Stop a start countdown and reopen the room
+     * @param {Object} game - A STARTING game
+     * @private
+     */
+    _cancelCountdown(game) {
+        clearTimeout(this.countdownTimers[game.id]);
+        delete this.countdownTimers[game.id];
+        delete game.startsAt;
+        Logic.setPhase(game, Logic.GAME_PHASES.WAITING_FOR_PLAYERS);
+        this.emit('countdown', game, { cancelled: true });
+    }
+
+    /**
+     * Begin play with the players seated
+     * @param {Object} game - A waiting or STARTING game
+     * @private
+     */
+    _beginGame(game) {
+        delete game.startsAt;
+        Logic.startWithSeatedPlayers(game);
+        game.lastActivity = Date.now();
+        this.saveGameState(game.id);
+        this._scheduleNextTurn(game);
+    }
+
+    /**
+     * Mark a player ready (or not) before the start. Withdrawing during the countdown stops it.
+     * @param {string} gameId - The ID of the game
+     * @param {string} playerId - The authenticated ID of the player
+     * @param {boolean} [ready=true] - Ready or not
+     * @returns {Object} The updated game object
+     * @throws {GameError} If the player is not seated or the game has started
+     */
+    setReady(gameId, playerId, ready = true) {
+        const game = this.games[gameId];
+        if (!game) throw new GameError(ERROR_CODES.GAME_NOT_FOUND, 'Game not found');
+        const player = this._findHumanPlayer(game, playerId);
+        this._assertPhase(game, [Logic.GAME_PHASES.WAITING_FOR_PLAYERS, Logic.GAME_PHASES.STARTING], 'change readiness');
+
+        player.ready = !!ready;
+        if (!player.ready && game.phase === Logic.GAME_PHASES.STARTING) this._cancelCountdown(game);
+        game.lastActivity = Date.now();
+
+        this.saveGameState(gameId);
+        return game;
+    }
+
+    /**
+     * Take another of the table's color sets before the start
+     * @param {string} gameId - The ID of the game
+     * @param {string} playerId - The authenticated ID of the player
+     * @param {string} color - Any color of the wanted set (in 2-player games each set has two)
+     * @returns {Object} The updated game object
+     * @throws {GameError} If the player is not seated, the color is unknown or taken, or the game has started
+     */
+    chooseColors(gameId, playerId, color) {
+        const game = this.games[gameId];
+        if (!game) throw new GameError(ERROR_CODES.GAME_NOT_FOUND, 'Game not found');
+        const player = this._findHumanPlayer(game, playerId);
+        this._assertPhase(game, [Logic.GAME_PHASES.WAITING_FOR_PLAYERS], 'choose colors');
+
+        const colors = Logic.getColorSets(game.maxPlayers).find(set => set.includes(color));
+        if (!colors) throw new GameError(ERROR_CODES.INVALID_OPTIONS, `Unknown color: ${color}`);
+        const holder = game.players.find(p => p.colors[0] === colors[0]);
+        if (holder && holder !== player) throw new GameError(ERROR_CODES.INVALID_OPTIONS, `${colors.join('/')} is taken`);
+
+        if (!holder) Logic.setSeatColors(game, player.playerIndex, colors);
+        game.lastActivity = Date.now();
+
+        this.saveGameState(gameId);
+        return game;
+    }
+
+    /**
+     * Create an invite code for a private room. Expired invites are dropped.
+     * @param {string} gameId - The ID of the game
+     * @param {string} hostId - The authenticated ID of the host
+     * @param {number} [ttlMs] - Lifetime of the invite (one minute to seven days, one day by default)
+     * @returns {Object} `{ code, expiresAt }`
+     * @throws {GameError} If the player is not the host, the room is not private or the game has started
+     */
+    createInvite(gameId, hostId, ttlMs) {
+        const game = this._hostRoom(gameId, hostId, 'invite players');
+        if (!game.room.isPrivate) throw new GameError(ERROR_CODES.INVALID_OPTIONS, 'Only private rooms use invites, share the game ID');
+
+        const invite = RoomAccess.createInvite(ttlMs);
+        game.room.invites = game.room.invites.filter(i => i.expiresAt > Date.now()).concat(invite);
+
+        this.saveGameState(gameId);
+        return invite;
+    }
+
+    /**
+     * The room as clients may see it (never the password hash or the invite codes)
+     * @param {Object} game - The game
+     * @returns {Object} `{ hostIndex, isPrivate, locked, hasPassword, readyCheck, startsAt, seats }`,
+     *   seats holding `{ playerIndex, colors, bot, displayName, avatar, ready, disconnected, forfeited }`
+     *   (displayName and avatar are null for guests and bots)
+     */
+    describeRoom(game) {
+        const room = game.room || {};
+        const hostId = game.hostId || (game.players[0] && game.players[0].playerId);
+        const host = game.players.find(p => p.playerId === hostId);
+        return {
+            hostIndex: host ? host.playerIndex : null,
+            isPrivate: !!room.isPrivate,
+            locked: !!room.locked,
+            hasPassword: !!room.passwordHash,
+            readyCheck: !!(game.settings && game.settings.readyCheck),
+            ranked: !!(game.settings && game.settings.ranked),
+            startsAt: game.startsAt || null, // While the start countdown runs
+            seats: game.players.map(p => {
+                const profile = this.accounts.describe(p.playerId);
+                const rating = game.settings && game.settings.ranked && this.accounts.getRating(p.playerId, game.maxPlayers);
+                return {
+                    playerIndex: p.playerIndex,
+                    colors: p.colors,
+                    bot: p.bot,
+                    displayName: profile ? profile.displayName : null,
+                    avatar: profile ? profile.avatar : null,
+                    rating: rating ? Math.round(rating.rating) : null, // Ranked games only
+                    ready: p.id === 'AI' || !!p.ready,
+                    disconnected: !!p.disconnected,
+                    forfeited: p.forfeited || null // Why the seat is out of the game (Logic.FORFEIT_REASONS)
+                };
+            })
+        };
+    }
+
+    /**
+     * Let a bot take an open seat before the game starts. Only the game's host may add bots.
+     * @param {string} gameId - The ID of the game
+     * @param {string} playerId - The authenticated ID of the player adding the bot
+     * @param {string} bot - Name of a registered bot
+     * @returns {Object} The updated game object
+     * @throws {GameError} If the player is not the creator, the bot is unknown, the game is full or has started
+     */
+    addBot(gameId, playerId, bot) {
+        const game = this.games[gameId];
+        if (!game) throw new GameError(ERROR_CODES.GAME_NOT_FOUND, 'Game not found');
+
+        this._assertHost(game, playerId, 'add bots');
+        if (!this.bots.has(bot)) throw new GameError(ERROR_CODES.INVALID_OPTIONS, `Unknown bot: ${bot}`);
+        this._assertPhase(game, [Logic.GAME_PHASES.WAITING_FOR_PLAYERS], 'add a bot');
+
+        this._seatBot(game, bot);
+        this._startWhenFull(game);
+        game.lastActivity = Date.now();
+
+        this.saveGameState(gameId);
+        this._scheduleNextTurn(game);
+        return game;
+    }
+
+    /**
+     * Authorize a state-changing action for the player whose turn it is
+     * @param {Object} game - The game being acted on
+     * @param {string} playerId - The authenticated player ID (never the socket ID)
+     * @returns {Object} The acting player
+     * @throws {GameError} If the player is not seated, is a computer seat, or it's not their turn
+     */
+    _authorizeTurn(game, playerId) {
+        const player = this._findHumanPlayer(game, playerId);
+
+        // Validate it's the player's turn using playerIndex
+        if (player.playerIndex !== game.currentPlayer) {
+            throw new GameError(ERROR_CODES.NOT_YOUR_TURN, `Not your turn. Current player: ${game.currentPlayer}`);
+        }
+        return player;
+    }
+
+    /**
+     * Roll the dice for a player's turn
+     * @param {string} gameId - The ID of the game
+     * @param {string} playerId - The authenticated ID of the player rolling
+     * @returns {Object} The updated game object
+     * @throws {GameError} If it's not the player's turn or the dice were already rolled
+     */
+    rollDice(gameId, playerId) {
+        const game = this.games[gameId];
+        if (!game) throw new GameError(ERROR_CODES.GAME_NOT_FOUND, 'Game not found');
+
+        const player = this._authorizeTurn(game, playerId);
+
+        // Only one roll per phase: unused dice cannot be rerolled
+        this._assertPhase(game, [Logic.GAME_PHASES.AWAITING_ROLL], 'roll the dice');
+        player.timeouts = 0; // Back at the table
+
+        // Roll as many dice as the house rules ask for (1-6 each).
+        // applyRoll ends the turn immediately if no valid moves are possible with the rolled dice.
+        Logic.applyRoll(game, this.dice.roll(game));
+
+        this.saveGameState(gameId)
+        this._scheduleNextTurn(game);
+        return game;
+    }
+    /**
+     * Check that a player may move a token with one of the dice left
+     * @param {Object} game - The game
+     * @param {Object} player - The acting player
+     * @param {string} tokenId - The token to move
+     * @param {number} rolledValue - The die value to use
+     * @returns {Object} The token
+     * @throws {GameError} TOKEN_NOT_FOUND, NOT_YOUR_TOKEN, INVALID_ROLL or INVALID_MOVE
+     * @private
+     */
+    _assertLegalMove(game, player, tokenId, rolledValue) {
+        // Find the token and verify the player owns its color
+        const token = game.tokens.find(t => t.id === tokenId);
+        if (!token) throw new GameError(ERROR_CODES.TOKEN_NOT_FOUND, 'Token not found');
+        if (!player.colors.includes(token.color.toLowerCase())) {
+            throw new GameError(ERROR_CODES.NOT_YOUR_TOKEN, 'Not your token');
+        }
+
+        // Find a matching die face in currentRolls
+        if (!game.currentRolls.includes(rolledValue)) throw new GameError(ERROR_CODES.INVALID_ROLL, 'Invalid roll value');
+
+        // Validate the move against the same list clients and the AI see
+        const legal = Logic.getLegalMoves(game).some(m => m.tokenId === token.id && m.dieValue === rolledValue);
+        if (!legal) throw new GameError(ERROR_CODES.INVALID_MOVE, 'Invalid move');
+        return token;
+    }
+
+    /**
+     * Play a token move using a specific dice roll
+     * @param {string} gameId - The ID of the game
+     * @param {string} playerId - The authenticated ID of the player making the move
+     * @param {string} tokenId - The ID of the token to move
+     * @param {number} rolledValue - The die value to use
+     * @returns {Object} The updated game object
+     * @throws {GameError} If it's not the player's turn or token, the move is invalid or no dice have been rolled
+     */
+    playRoll(gameId, playerId, tokenId, rolledValue) {
+        const game = this.games[gameId];
+        if (!game) throw new GameError(ERROR_CODES.GAME_NOT_FOUND, 'Game not found');
+
+        const player = this._authorizeTurn(game, playerId);
+
+        // A move needs dice: reject playRoll before any roll
+        this._assertPhase(game, [Logic.GAME_PHASES.AWAITING_MOVE], 'move a token');
+
+        const token = this._assertLegalMove(game, player, tokenId, rolledValue);
+        player.timeouts = 0;
+
+        // Use that face to move
+        game.diceValue = rolledValue;
+
+        // Execute the move; playMove spends the die, awards bonus rolls and advances the turn
+        // when no more rolls or no valid moves remain
+        Logic.playMove(game, token, rolledValue);
+
+        this.saveGameState(gameId)
+        this._scheduleNextTurn(game);
+        return game;
+    }
+
+    /**
+     * Show what a move would do without playing it: where the token lands, what it captures
+     * and how many opponent tokens could hit it next turn. The game is not changed.
+     * @param {string} gameId - The ID of the game
+     * @param {string} playerId - The authenticated ID of the player considering the move
+     * @param {string} tokenId - The ID of the token to move
+     * @param {number} rolledValue - The die value to use
+     * @returns {Object} The preview (see Logic.previewMove)
+     * @throws {GameError} Under the same conditions as playRoll
+     */
+    previewMove(gameId, playerId, tokenId, rolledValue) {
+        const game = this.games[gameId];
+        if (!game) throw new GameError(ERROR_CODES.GAME_NOT_FOUND, 'Game not found');
+
+        const player = this._authorizeTurn(game, playerId);
+        this._assertPhase(game, [Logic.GAME_PHASES.AWAITING_MOVE], 'preview a move');
+        this._assertLegalMove(game, player, tokenId, rolledValue);
+
+        return Logic.previewMove(game, tokenId, rolledValue);
+    }
+
+    /**
+     * List the moves the player to act can make with the dice left.
+     * In a private room only its players, its spectators and those who may enter it are answered.
+     * @param {string} gameId - The ID of the game
+     * @param {Object} [access] - `{ playerId, socketId, password, inviteCode }` of the requester
+     * @returns {Promise<Object>} `{ playerIndex, phase, moves }`, moves as returned by Logic.getLegalMoves
+     * @throws {GameError} If the game does not exist, or ROOM_ACCESS_DENIED
+     */
+    async getLegalMoves(gameId, { playerId, socketId, ...credentials } = {}) {
+        const game = this.games[gameId];
+        if (!game) throw new GameError(ERROR_CODES.GAME_NOT_FOUND, 'Game not found');
+        const seated = game.players.some(p => playerId && p.playerId === playerId);
+        if (!seated && !(socketId && this.isSpectating(socketId, gameId))) await this._assertRoomAccess(game, playerId, credentials);
+
+        return { playerIndex: game.currentPlayer, phase: game.phase, moves: Logic.getLegalMoves(game) };
+    }
+
+    /**
+     * Skip the current player's turn
+     * @param {string} gameId - The ID of the game
+     * @param {string} playerId - The authenticated ID of the player skipping
+     * @returns {Object} The updated game object
+     * @throws {GameError} If it's not the player's turn or no dice have been rolled
+     */
+    skipTurn(gameId, playerId) {
+        const game = this.games[gameId];
+        if (!game) throw new GameError(ERROR_CODES.GAME_NOT_FOUND, 'Game not found');
+
+        const player = this._authorizeTurn(game, playerId);
+
+        // Skipping gives up rolled dice, so it only makes sense after a roll
+        this._assertPhase(game, [Logic.GAME_PHASES.AWAITING_MOVE], 'skip the turn');
+        player.timeouts = 0;
+
+        // End the current turn
+        Logic.recordEvent(game, Logic.EVENT_TYPES.SKIP);
+        Logic.nextTurn(game);
+
+        this.saveGameState(gameId)
+        this._scheduleNextTurn(game);
+        return game;
+    }
+
+
+    /**
+     * Check whether a player could take back the last move right now
+     * @param {Object} game - The game
+     * @param {number} playerIndex - The player's seat
+     * @returns {boolean}
+     */
+    canRequestUndo(game, playerIndex) {
+        return !!(game.settings && game.settings.allowUndo) && !this._pendingUndo(game) &&
+            Logic.canUndo(game) && game.lastMove.playerIndex === playerIndex;
+    }
+
+    /**
+     * The game's undo request, dropping it once the move it targets can no longer be undone
+     * (the requester kept playing or the turn moved on)
+     * @param {Object} game - The game
+     * @returns {Object|null} The pending request
+     */
+    _pendingUndo(game) {
+        const pending = game.pendingUndo;
+        if (pending && !(Logic.canUndo(game) && game.lastMove.seq === pending.seq)) game.pendingUndo = null;
+        return game.pendingUndo || null;
+    }
+
+    /**
+     * Ask to take back the player's last move. Games against the computer undo at once;
+     * otherwise every other human player has to approve through respondUndo.
+     * @param {string} gameId - The ID of the game
+     * @param {string} playerId - The authenticated ID of the player asking
+     * @returns {{ game: Object, applied: boolean, playerIndex: number }} Whether the move was already taken back
+     * @throws {GameError} If undo is disabled, already requested, or the last move is not the player's
+     */
+    requestUndo(gameId, playerId) {
+        const game = this.games[gameId];
+        if (!game) throw new GameError(ERROR_CODES.GAME_NOT_FOUND, 'Game not found');
+
+        const player = this._findHumanPlayer(game, playerId);
+        if (!game.settings.allowUndo) throw new GameError(ERROR_CODES.UNDO_DISABLED, 'Undo is disabled in this game');
+        if (this._pendingUndo(game)) throw new GameError(ERROR_CODES.UNDO_PENDING, 'An undo request is already waiting for an answer');
+        if (!this.canRequestUndo(game, player.playerIndex)) {
+            throw new GameError(ERROR_CODES.NOTHING_TO_UNDO, 'Only your own last move can be taken back, before anything else happens');
+        }
+
+        const opponents = game.players.filter(p => p.id !== 'AI' && !p.forfeited && p !== player);
+        if (opponents.length === 0) {
+            Logic.undoLastMove(game);
+            game.lastActivity = Date.now();
+            this.saveGameState(gameId);
+            this._scheduleNextTurn(game);
+            return { game, applied: true, playerIndex: player.playerIndex };
+        }
+
+        game.pendingUndo = { playerIndex: player.playerIndex, seq: game.lastMove.seq, approvals: [] };
+        this.saveGameState(gameId);
+        return { game, applied: false, playerIndex: player.playerIndex };
+    }
+
+    /**
+     * Answer a pending undo request. One refusal cancels it; the move is taken back once
+     * every other human player has approved.
+     * @param {string} gameId - The ID of the game
+     * @param {string} playerId - The authenticated ID of the answering player
+     * @param {boolean} accept - Whether the player approves
+     * @returns {{ game: Object, applied: boolean, declined: boolean, requestedBy: number }}
+     * @throws {GameError} If there is no request for this player to answer or the move can no longer be undone
+     */
+    respondUndo(gameId, playerId, accept) {
+        const game = this.games[gameId];
+        if (!game) throw new GameError(ERROR_CODES.GAME_NOT_FOUND, 'Game not found');
+
+        const player = this._findHumanPlayer(game, playerId);
+        const pending = this._pendingUndo(game);
+        if (!pending || pending.playerIndex === player.playerIndex) {
+            throw new GameError(ERROR_CODES.NO_UNDO_REQUEST, 'No undo request is waiting for your answer');
+        }
+        const requestedBy = pending.playerIndex;
+
+        if (!accept) {
+            game.pendingUndo = null;
+            this.saveGameState(gameId);
+            return { game, applied: false, declined: true, requestedBy };
+        }
+
+        if (!pending.approvals.includes(player.playerIndex)) pending.approvals.push(player.playerIndex);
+        const waitingFor = game.players.filter(p =>
+            p.id !== 'AI' && !p.forfeited && p.playerIndex !== requestedBy && !pending.approvals.includes(p.playerIndex));
+        if (waitingFor.length > 0) return { game, applied: false, declined: false, requestedBy };
+
+        game.pendingUndo = null;
+        Logic.undoLastMove(game);
+        game.lastActivity = Date.now();
+        this.saveGameState(gameId);
+        this._scheduleNextTurn(game);
+        return { game, applied: true, declined: false, requestedBy };
+    }
+
+
+    /**
+     * Check that a player holds a seat in a game
+     * @param {string} gameId - The ID of the game
+     * @param {string} playerId - A playerId verified from the player's signed session token
+     * @returns {boolean} True if the player is seated in the game
+     */
+    async verifyPlayerInGame(gameId, playerId) {
+        // Try to load game if not in memory
+        if (!this.games[gameId]) {
+            await this.initializeGame(gameId);
+        }
+
+        const game = this.games[gameId];
+        if (!game) return false;
+
+        // Check if player was in this game
+        return game.players.some(p => p.playerId === playerId);
+    }
+
+    // Modify rejoinGame to be more secure
+    async rejoinGame(socketId, gameId, playerId) {
+        // First verify player was in this game
+        if (!(await this.verifyPlayerInGame(gameId, playerId))) {
+            throw new GameError(ERROR_CODES.PLAYER_NOT_FOUND, "Player was not part of this game");
+        } else {
+            console.log(`Player ${playerId} verified in game ${gameId}`);
+        }
+
+        const game = this.games[gameId];
+        const player = game.players.find(p => p.playerId === playerId);
+
+        this._reconnectSeat(game, player, socketId);
+
+        console.log(`Player ${playerId} reconnected to game ${gameId}`);
+
+        // A game restored from storage may be waiting on the computer
+        this._scheduleNextTurn(game);
 
         return {
             ...this.buildGameState(gameId),
@@ -430,11 +1586,61 @@ class GameService {
             playerIndex: player.playerIndex,
             colors: player.colors,
             myTurn: game.currentPlayer === player.playerIndex,
+            phase: game.phase,
             gameOver: game.gameOver,
         };
     }
 
 
+    /**
+     * Hand a seat to the player's new socket and stop the abandonment countdown of their disconnect
+     * @param {Object} game - The game
+     * @param {Object} player - The returning player's seat
+     * @param {string} socketId - The new socket ID
+     * @private
+     */
+    _reconnectSeat(game, player, socketId) {
+        player.id = socketId;
+        player.disconnected = false;
+        if (player.disconnectTimer) {
+            clearTimeout(player.disconnectTimer);
+            player.disconnectTimer = null;
+        }
+        this.playerSockets[socketId] = game.id;
+        game.lastActivity = Date.now();
+    }
+
+    /**
+     * Resign from a game in progress. The seat stays in place, is skipped from now on and
+     * takes no part in the final placing.
+     * @param {string} gameId - The ID of the game
+     * @param {string} playerId - The authenticated ID of the player resigning
+     * @returns {Object} The updated game object
+     * @throws {GameError} If the player is not seated, has already left the game, or the game is not in progress
+     */
+    resign(gameId, playerId) {
+        const game = this.games[gameId];
+        if (!game) throw new GameError(ERROR_CODES.GAME_NOT_FOUND, 'Game not found');
+
+        const player = this._findHumanPlayer(game, playerId);
+        this._assertPhase(game, [Logic.GAME_PHASES.AWAITING_ROLL, Logic.GAME_PHASES.AWAITING_MOVE], 'resign');
+        if (player.forfeited || game.winners.includes(player.playerIndex)) {
+            throw new GameError(ERROR_CODES.OUT_OF_PHASE, 'You are no longer playing in this game');
+        }
+
+        this._forfeit(game, player, Logic.FORFEIT_REASONS.RESIGNED);
+        game.lastActivity = Date.now();
+        this.saveGameState(gameId);
+        this._scheduleNextTurn(game);
+        return game;
+    }
+
+    /**
+     * Handle a player disconnecting. The seat is kept; if the game is in progress and the
+     * player has not rejoined within ABANDON_AFTER_MS, the seat is forfeited as abandoned.
+     * @param {string} socketId - The socket ID of the disconnected player
+     * @returns {string|null} The game ID the player was in, if any
+     */
     handleDisconnect(socketId) {
         const gameId = this.playerSockets[socketId];
         const game = this.games[gameId];
@@ -446,37 +1652,267 @@ class GameService {
         const player = game.players.find(p => p.id === socketId);
         if (!player) return gameId; // Not a player (e.g., spectator)
 
-        // Mark as disconnected and set 1-hour reconnection window
         player.disconnected = true;
-        player.disconnectTimer = setTimeout(() => {
-            // Remove player after timeout
-            game.players = game.players.filter(p => p.id !== socketId);
-
-            // Clean up game if no humans left (or only AI remains)
-            const hasHumanPlayers = game.players.some(p => p.id !== 'AI');
-            if (!hasHumanPlayers) {
-                delete this.games[gameId];
-            }
-        }, 60 * 60 * 1000); // 1 hour (was 10 minutes)
+        Logic.recordEvent(game, Logic.EVENT_TYPES.DISCONNECT, { playerIndex: player.playerIndex, playerId: player.playerId });
+        this.saveGameState(gameId);
+
+        clearTimeout(player.disconnectTimer);
+        player.disconnectTimer = setTimeout(() => this._abandonSeat(game, player), ABANDON_AFTER_MS);
+
+        return gameId;
+    }
+
+    /**
+     * A disconnected player did not come back: forfeit their seat if they are still playing
+     * @param {Object} game - The game
+     * @param {Object} player - The disconnected seat
+     * @private
+     */
+    _abandonSeat(game, player) {
+        player.disconnectTimer = null;
+        const inProgress = [Logic.GAME_PHASES.AWAITING_ROLL, Logic.GAME_PHASES.AWAITING_MOVE].includes(game.phase);
+        if (this.games[game.id] !== game || !player.disconnected || !inProgress ||
+            player.forfeited || game.winners.includes(player.playerIndex)) return;
+
+        this._forfeit(game, player, Logic.FORFEIT_REASONS.ABANDONED);
+        this._announceServerAction(game);
+        this._scheduleNextTurn(game);
+    }
+
+
+
+    /**
+     * Post a chat message from a seated player
+     * @param {string} gameId - The ID of the game
+     * @param {string} playerId - The authenticated ID of the sender
+     * @param {string} text - The message
+     * @returns {Object} `{ game, message }`, message as stored in game.chat
+     * @throws {GameError} If the sender is not seated, the message is invalid or sent too fast
+     */
+    sendChat(gameId, playerId, text) {
+        const game = this.games[gameId];
+        if (!game) throw new GameError(ERROR_CODES.GAME_NOT_FOUND, 'Game not found');
+
+        const message = this.chat.postMessage(game, this._findHumanPlayer(game, playerId), text);
+        game.lastActivity = Date.now();
+        this.saveGameState(gameId);
+        return { game, message };
+    }
+
+    /**
+     * Send a quick reaction from a seated player
+     * @param {string} gameId - The ID of the game
+     * @param {string} playerId - The authenticated ID of the sender
+     * @param {string} reaction - One of the fixed reaction emoji
+     * @returns {Object} `{ game, reaction }`
+     * @throws {GameError} If the sender is not seated, the reaction is unknown or sent too fast
+     */
+    sendReaction(gameId, playerId, reaction) {
+        const game = this.games[gameId];
+        if (!game) throw new GameError(ERROR_CODES.GAME_NOT_FOUND, 'Game not found');
+
+        return { game, reaction: this.chat.react(game, this._findHumanPlayer(game, playerId), reaction) };
+    }
+
+    /**
+     * Recent chat messages of a game, for a seated player
+     * @param {string} gameId - The ID of the game
+     * @param {string} playerId - The authenticated ID of the player asking
+     * @returns {Object[]} Messages, oldest first
+     * @throws {GameError} If the player is not seated
+     */
+    getChatHistory(gameId, playerId) {
+        const game = this.games[gameId];
+        if (!game) throw new GameError(ERROR_CODES.GAME_NOT_FOUND, 'Game not found');
+
+        this._findHumanPlayer(game, playerId);
+        return game.chat || [];
+    }
+
+    /**
+     * Let a socket watch a game without taking a seat. A socket watches one game at a time.
+     * @param {string} socketId - The spectator's socket ID
+     * @param {string} gameId - The ID of the game to watch
+     * @param {Object} [access] - `{ playerId, password, inviteCode }`; a private room admits the
+     *   same spectators as players
+     * @returns {Promise<Object>} `{ game, previousGameId }`, previousGameId being the game the
+     *   socket stopped watching (if any)
+     * @throws {GameError} If the game does not exist, the socket plays in it or the room is closed to it
+     */
+    async spectateGame(socketId, gameId, { playerId, ...credentials } = {}) {
+        if (!this.games[gameId]) await this.initializeGame(gameId);
+        const game = this.games[gameId];
+        if (!game) throw new GameError(ERROR_CODES.GAME_NOT_FOUND, 'Game not found');
+        if (game.players.some(p => p.id === socketId)) {
+            throw new GameError(ERROR_CODES.INVALID_OPTIONS, 'You are playing in this game');
+        }
+        await this._assertRoomAccess(game, playerId, credentials);
+
+        const previousGameId = this.stopSpectating(socketId);
+        (this.spectators[gameId] = this.spectators[gameId] || new Set()).add(socketId);
+        this.spectatorSockets[socketId] = gameId;
+        return { game, previousGameId };
+    }
 
+    /**
+     * Stop a socket watching its game
+     * @param {string} socketId - The spectator's socket ID
+     * @returns {string|null} The ID of the game it was watching, if any
+     */
+    stopSpectating(socketId) {
+        const gameId = this.spectatorSockets[socketId];
+        if (!gameId) return null;
+
+        delete this.spectatorSockets[socketId];
+        const viewers = this.spectators[gameId];
+        if (viewers) {
+            viewers.delete(socketId);
+            if (!viewers.size) delete this.spectators[gameId];
+        }
         return gameId;
     }
 
+    /**
+     * @param {string} socketId - A socket ID
+     * @param {string} gameId - A game ID
+     * @returns {boolean} True if the socket is watching that game
+     */
+    isSpectating(socketId, gameId) {
+        return gameId !== undefined && this.spectatorSockets[socketId] === gameId;
+    }
 
+    /**
+     * @param {string} gameId - A game ID
+     * @returns {string[]} Socket IDs of everyone watching the game
+     */
+    getSpectators(gameId) {
+        return [...(this.spectators[gameId] || [])];
+    }
+
+    /**
+     * Get a game's event log, optionally with the state rebuilt as it was after a given event.
+     * The log of a private room is only given to its players and to those who may watch it.
+     * @param {string} gameId - The ID of the game (active or saved)
+     * @param {number} [uptoSeq] - Rebuild the state after this event; omit to only fetch the log
+     * @param {Object} [access] - `{ playerId, password, inviteCode }` of the requester
+     * @returns {Promise<Object>} `{ gameId, events, rng, state }` (state is null without uptoSeq;
+     *   rng carries the dice commitment, and the seed once the game is over)
+     * @throws {GameError} If the game does not exist, uptoSeq is out of range, or ROOM_ACCESS_DENIED
+     */
+    async getReplay(gameId, uptoSeq, { playerId, ...credentials } = {}) {
+        const game = this.games[gameId] || await this.loadGameState(gameId);
+        if (!game) throw new GameError(ERROR_CODES.GAME_NOT_FOUND, 'Game not found');
+        if (!game.players.some(p => playerId && p.playerId === playerId)) await this._assertRoomAccess(game, playerId, credentials);
+
+        const events = game.moveLog || [];
+        const rng = this.dice.audit(game);
+        if (uptoSeq === undefined || uptoSeq === null) return { gameId, events, rng, state: null };
+
+        uptoSeq = Number(uptoSeq);
+        if (!Number.isInteger(uptoSeq) || uptoSeq < 1 || uptoSeq > events.length) {
+            throw new GameError(ERROR_CODES.INVALID_OPTIONS, `seq must be between 1 and ${events.length}`);
+        }
+
+        const replayed = replayEvents(events, uptoSeq);
+        return {
+            gameId,
+            events,
+            rng,
+            state: {
+                seq: uptoSeq,
+                tokens: replayed.tokens.map(t => {
+                    const [x, y] = this._getCoords(t);
+                    return { id: t.id, color: t.color, x, y, position: t.position, index: t.index };
+                }),
+                dice: replayed.rolledValue,
+                currentRolls: replayed.currentRolls,
+                currentPlayer: replayed.currentPlayer,
+                phase: replayed.phase,
+                winners: replayed.winners,
+                gameOver: replayed.gameOver
+            }
+        };
+    }
 
-    cleanupOldGames() {
+
+    /**
+     * Finished games, most recent first (private rooms are never listed)
+     * @param {Object} [options]
+     * @param {number} [options.limit=20] - Games per page (1-100)
+     * @param {number} [options.offset=0] - Games to skip
+     * @returns {Promise<Object[]>} `{ id, maxPlayers, winners, createdAt, finishedAt }`
+     * @throws {GameError} INVALID_OPTIONS, or HISTORY_UNAVAILABLE when the store cannot query games
+     */
+    async listFinishedGames({ limit = 20, offset = 0 } = {}) {
+        this._assertHistoryStore('listFinishedGames');
+        limit = Number(limit);
+        offset = Number(offset);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_HISTORY_PAGE) {
+            throw new GameError(ERROR_CODES.INVALID_OPTIONS, `limit must be between 1 and ${MAX_HISTORY_PAGE}`);
+        }
+        if (!Number.isInteger(offset) || offset < 0) throw new GameError(ERROR_CODES.INVALID_OPTIONS, 'offset must be 0 or more');
+        return this.store.listFinishedGames({ limit, offset });
+    }
+
+    /**
+     * The games a player is seated in that are not over, most recently active first, so they can rejoin them
+     * @param {string} playerId - The authenticated ID of the player
+     * @returns {Promise<Object[]>} `{ id, status, phase, maxPlayers, playerIndex, lastActivity }`
+     * @throws {GameError} HISTORY_UNAVAILABLE when the store cannot query games
+     */
+    async listActiveGames(playerId) {
+        this._assertHistoryStore('listActiveGamesForPlayer');
+        return this.store.listActiveGamesForPlayer(playerId);
+    }
+
+    /**
+     * Game listings read the store's indexes (the sqlite backend); other stores would have to load every save
+     * @param {string} query - Store method the listing needs
+     * @throws {GameError} HISTORY_UNAVAILABLE
+     * @private
+     */
+    _assertHistoryStore(query) {
+        if (typeof this.store[query] !== 'function') {
+            throw new GameError(ERROR_CODES.HISTORY_UNAVAILABLE, 'Game history needs the sqlite store (GAME_STORE=sqlite)');
+        }
+    }
+
+    /**
+     * Evict inactive games from memory (after saving them), and prune saves nobody has
+     * touched for GAME_RETENTION_DAYS when that is configured
+     * @returns {Promise<void>}
+     */
+    async cleanupOldGames() {
         const now = Date.now();
         const staleTime = 42 * 60 * 60 * 1000; // 42 hours (more conservative)
 
-        Object.entries(this.games).forEach(([gameId, game]) => {
-            if (now - game.lastActivity > staleTime) {
+        try {
+            const evictions = Object.entries(this.games)
+                .filter(([, game]) => now - game.lastActivity > staleTime)
                 // Only delete if game is inactive AND has no recent players
-                if (game.players.every(p => p.disconnected)) {
-                    this.saveGameState(gameId); // Optional: save final state
+                .filter(([, game]) => game.players.every(p => p.disconnected))
+                .map(async ([gameId]) => {
+                    await this.saveGameState(gameId); // Save final state before evicting
+                    this._clearTurnTimer(this.games[gameId]);
                     delete this.games[gameId];
+                    this.getSpectators(gameId).forEach(socketId => this.stopSpectating(socketId));
+                    this.chat.forgetGame(gameId);
+                    delete this.passwordFailures[gameId];
+                });
+            await Promise.all(evictions);
+            if (!GAME_RETENTION_DAYS) return;
+
+            const retentionTime = GAME_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+            for (const gameId of await this.store.list()) {
+                if (this.games[gameId]) continue;
+                const saved = await this.store.load(gameId);
+                if (saved && now - (saved.lastActivity || saved.createdAt || 0) > retentionTime) {
+                    await this.store.delete(gameId);
                 }
             }
-        });
+        } catch (error) {
+            console.error("Error cleaning up old games:", error);
+        }
     }
 
 
@@ -487,10 +1923,10 @@ class GameService {
      */
     buildGameState(gameId) {
         const g = this.games[gameId];
-        if (!g) throw new Error('Game not found');
+        if (!g) throw new GameError(ERROR_CODES.GAME_NOT_FOUND, 'Game not found');
 
-        const currentPlayer = g.players[g.currentPlayer]; // current player object
-        const allowedColors = currentPlayer.colors; // e.g. ['red', 'yellow']
+        // Moves the current player may make with the dice left (empty outside AWAITING_MOVE)
+        const legalMoves = Logic.getLegalMoves(g);
 
         // Map tokens to client-friendly format with coordinates
         const tokens = g.tokens.map(t => {
@@ -502,12 +1938,7 @@ class GameService {
                 y: coord[1],
                 position: t.position,
                 index: t.index,
-                isClickable: !g.gameOver &&
-                    allowedColors.includes(t.color.toLowerCase()) &&
-                    g.currentRolls.some(val => {
-                        g.diceValue = val;
-                        return Logic.isValidMove(g, t);
-                    })
+                isClickable: legalMoves.some(m => m.tokenId === t.id)
             };
         });
 
@@ -518,7 +1949,10 @@ class GameService {
             tokens,
             dice: g.rolledValue || [],
             currentPlayer: g.currentPlayer, // Added
-            gameOver: g.gameOver // Added
+            phase: g.phase,
+            gameOver: g.gameOver, // Added
+            legalMoves,
+            standings: Logic.getStandings(g)
         };
     }
 
@@ -0,0 +1,105 @@
+/**
+ * glicko2.js
+ * Glicko-2 rating updates (Glickman, "Example of the Glicko-2 system", 2013).
+ *
+ * A rating is `{ rating, rd, volatility }` on the familiar 1500 scale. Every ranked
+ * game is one rating period: each seat is rated against every other seat at once,
+ * using the ratings everyone had before the game.
+ */
+
+const DEFAULT_RATING = { rating: 1500, rd: 350, volatility: 0.06 };
+
+// Constrains how fast volatility moves; Glickman suggests 0.3 to 1.2
+const TAU = 0.5;
+const CONVERGENCE = 0.000001;
+// Ratio between the Glicko-2 scale and the displayed one
+const SCALE = 173.7178;
+
+const g = (phi) => 1 / Math.sqrt(1 + 3 * phi * phi / (Math.PI * Math.PI));
+const expectedScore = (mu, muJ, phiJ) => 1 / (1 + Math.exp(-g(phiJ) * (mu - muJ)));
+
+/**
+ * The new volatility (step 5 of the paper, Illinois algorithm)
+ * @private
+ */
+const nextVolatility = (phi, sigma, delta, v) => {
+    const a = Math.log(sigma * sigma);
+    const f = (x) => {
+        const ex = Math.exp(x);
+        const d = phi * phi + v + ex;
+        return ex * (delta * delta - d) / (2 * d * d) - (x - a) / (TAU * TAU);
+    };
+
+    let A = a;
+    let B;
+    if (delta * delta > phi * phi + v) {
+        B = Math.log(delta * delta - phi * phi - v);
+    } else {
+        let k = 1;
+        while (f(a - k * TAU) < 0) k++;
+        B = a - k * TAU;
+    }
+
+    let fA = f(A);
+    let fB = f(B);
+    while (Math.abs(B - A) > CONVERGENCE) {
+        const C = A + (A - B) * fA / (fB - fA);
+        const fC = f(C);
+        if (fC * fB <= 0) {
+            A = B;
+            fA = fB;
+        } else {
+            fA /= 2;
+        }
+        B = C;
+        fB = fC;
+    }
+    return Math.exp(A / 2);
+};
+
+/**
+ * Rate a player after one rating period
+ * @param {Object} player - `{ rating, rd, volatility }` before the period
+ * @param {Object[]} results - `{ rating, rd, score }` per opponent, score being 1 for a win,
+ *   0.5 for a draw and 0 for a loss
+ * @returns {Object} The new `{ rating, rd, volatility }`
+ */
+const updateRating = (player, results) => {
+    const mu = (player.rating - DEFAULT_RATING.rating) / SCALE;
+    const phi = player.rd / SCALE;
+    const sigma = player.volatility;
+
+    // A period without games only makes the rating less certain
+    if (!results.length) {
+        return { rating: player.rating, rd: Math.min(Math.sqrt(phi * phi + sigma * sigma) * SCALE, DEFAULT_RATING.rd), volatility: sigma };
+    }
+
+    const opponents = results.map(({ rating, rd, score }) => {
+        const muJ = (rating - DEFAULT_RATING.rating) / SCALE;
+        const phiJ = rd / SCALE;
+        return { g: g(phiJ), e: expectedScore(mu, muJ, phiJ), score };
+    });
+    const v = 1 / opponents.reduce((sum, o) => sum + o.g * o.g * o.e * (1 - o.e), 0);
+    const improvement = opponents.reduce((sum, o) => sum + o.g * (o.score - o.e), 0);
+
+    const volatility = nextVolatility(phi, sigma, v * improvement, v);
+    const phiStar = Math.sqrt(phi * phi + volatility * volatility);
+    const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+    const newMu = mu + newPhi * newPhi * improvement;
+
+    return { rating: newMu * SCALE + DEFAULT_RATING.rating, rd: newPhi * SCALE, volatility };
+};
+
+/**
+ * Rate every seat of a finished game. Each pair of seats counts as a game between them:
+ * the seat placed higher wins, and two seats that both forfeited draw.
+ * @param {Object[]} seats - `{ rating, rd, volatility, forfeited }` in standings order (best first)
+ * @returns {Object[]} The new `{ rating, rd, volatility }` of each seat, in the same order
+ */
+const rateStandings = (seats) => seats.map((seat, i) => updateRating(seat, seats.flatMap((opponent, j) => {
+    if (j === i) return [];
+    const score = seat.forfeited && opponent.forfeited ? 0.5 : i < j ? 1 : 0;
+    return [{ rating: opponent.rating, rd: opponent.rd, score }];
+})));
+
+module.exports = { DEFAULT_RATING, updateRating, rateStandings };
@@ -0,0 +1,153 @@
+/**
+ * matchmakingQueue.js
+ * Players waiting for a game, grouped by the table they asked for (number of
+ * players, rule set, ranked or not). A group is taken out of the queue as soon as it is full.
+ *
+ * Ranked tables match by rating instead of arrival order: a group is only formed from
+ * players whose ratings are within each other's window. The window starts narrow and
+ * widens the longer a player waits, so matchRanked must be called again from time to time.
+ */
+
+// Rating difference a ranked player accepts: INITIAL at first, growing by PER_SECOND while waiting, up to MAX
+const RATING_WINDOW = { INITIAL: 100, PER_SECOND: 5, MAX: 400 };
+
+/**
+ * @param {Object} entry - A waiting ranked entry
+ * @param {number} now - Current time (ms)
+ * @returns {number} Largest rating difference the entry accepts now
+ */
+const ratingWindow = (entry, now) =>
+    Math.min(RATING_WINDOW.INITIAL + RATING_WINDOW.PER_SECOND * (now - entry.queuedAt) / 1000, RATING_WINDOW.MAX);
+
+class MatchmakingQueue {
+    constructor() {
+        // Waiting entries per table, oldest first
+        this.queues = new Map();
+        // The table each waiting socket is queued for
+        this.bySocket = new Map();
+    }
+
+    /**
+     * @param {number} maxPlayers - Players per game
+     * @param {Object} rules - Normalized rule set (from Logic.createRules)
+     * @param {boolean} [ranked=false] - Ranked table
+     * @returns {string} Key of the table
+     */
+    static tableKey(maxPlayers, rules, ranked = false) {
+        return `${ranked ? 'ranked:' : ''}${maxPlayers}:${JSON.stringify(rules)}`;
+    }
+
+    /**
+     * Queue a player. A socket or player already waiting is moved to the new table.
+     * @param {Object} entry - `{ socketId, playerId, maxPlayers, rules, ranked?, rating? }`, rating
+     *   being required for a ranked entry
+     * @returns {Object[]|null} The full group (oldest first) if this entry completed one, otherwise null
+     */
+    add(entry) {
+        this.remove(entry.socketId);
+        [...this.bySocket.keys()]
+            .filter(socketId => this._find(socketId).playerId === entry.playerId)
+            .forEach(socketId => this.remove(socketId)); // Same player in another tab
+
+        const key = MatchmakingQueue.tableKey(entry.maxPlayers, entry.rules, entry.ranked);
+        const queue = this.queues.get(key) || [];
+        queue.push({ ...entry, queuedAt: Date.now() });
+        this.queues.set(key, queue);
+        this.bySocket.set(entry.socketId, key);
+
+        if (queue.length < entry.maxPlayers) return null;
+        if (entry.ranked) return this._takeRankedGroup(key, Date.now());
+
+        return this._take(key, queue.slice(0, entry.maxPlayers));
+    }
+
+    /**
+     * Form every ranked group whose rating windows have grown wide enough since they were queued
+     * @param {number} [now=Date.now()] - Current time (ms)
+     * @returns {Object[][]} The groups taken out of the queue
+     */
+    matchRanked(now = Date.now()) {
+        const groups = [];
+        [...this.queues.keys()].filter(key => key.startsWith('ranked:')).forEach(key => {
+            let group;
+            while (this.queues.has(key) && (group = this._takeRankedGroup(key, now))) groups.push(group);
+        });
+        return groups;
+    }
+
+    /**
+     * @returns {boolean} True if anyone waits for a ranked table
+     */
+    hasRanked() {
+        return [...this.queues.keys()].some(key => key.startsWith('ranked:'));
+    }
+
+    /**
+     * Take a socket out of the queue
+     * @param {string} socketId - The waiting socket
+     * @returns {boolean} True if it was waiting
+     */
+    remove(socketId) {
+        const key = this.bySocket.get(socketId);
+        if (!key) return false;
+
+        const queue = this.queues.get(key).filter(e => e.socketId !== socketId);
+        if (queue.length) this.queues.set(key, queue);
+        else this.queues.delete(key);
+        this.bySocket.delete(socketId);
+        return true;
+    }
+
+    /**
+     * @param {string} socketId - A socket
+     * @returns {Object|null} `{ maxPlayers, rules, ranked, waiting }` for a waiting socket, waiting
+     *   being the number of players queued for the same table
+     */
+    status(socketId) {
+        const entry = this._find(socketId);
+        if (!entry) return null;
+        const { maxPlayers, rules } = entry;
+        return { maxPlayers, rules, ranked: !!entry.ranked, waiting: this.queues.get(this.bySocket.get(socketId)).length };
+    }
+
+    /**
+     * Take the closest-rated group out of a ranked table, if one fits every member's window.
+     * Only players next to each other by rating can be grouped, so each run of consecutive
+     * players is a candidate.
+     * @private
+     */
+    _takeRankedGroup(key, now) {
+        const queue = this.queues.get(key);
+        const size = queue[0].maxPlayers;
+        const byRating = [...queue].sort((a, b) => a.rating - b.rating);
+
+        let best = null;
+        for (let i = 0; i + size <= byRating.length; i++) {
+            const group = byRating.slice(i, i + size);
+            const spread = group[size - 1].rating - group[0].rating;
+            if (group.every(e => spread <= ratingWindow(e, now)) && (!best || spread < best.spread)) {
+                best = { group, spread };
+            }
+        }
+        return best ? this._take(key, best.group.sort((a, b) => a.queuedAt - b.queuedAt)) : null;
+    }
+
+    /**
+     * Take a group of entries out of their table
+     * @private
+     */
+    _take(key, group) {
+        const queue = this.queues.get(key).filter(e => !group.includes(e));
+        if (queue.length) this.queues.set(key, queue);
+        else this.queues.delete(key);
+        group.forEach(e => this.bySocket.delete(e.socketId));
+        return group;
+    }
+
+    _find(socketId) {
+        const key = this.bySocket.get(socketId);
+        return key ? this.queues.get(key).find(e => e.socketId === socketId) : null;
+    }
+}
+
+module.exports = MatchmakingQueue;
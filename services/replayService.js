@@ -0,0 +1,141 @@
+/**
+ * replayService.js
+ * Rebuilds past game states from the append-only event log (game.moveLog).
+ * Events are fed back through gameLogic.js, so a replay follows exactly the
+ * rules the game was played with; the recorded dice stand in for the RNG.
+ */
+
+const Logic = require('../gameLogic.js');
+const { GameError, ERROR_CODES } = require('./gameErrors');
+
+const { EVENT_TYPES, GAME_PHASES } = Logic;
+
+// Logs written before the event log existed only hold untyped move entries
+const typeOf = (event) => event.type || EVENT_TYPES.MOVE;
+
+const replayFailed = (event, reason) => new GameError(
+    ERROR_CODES.REPLAY_UNAVAILABLE,
+    `Cannot replay event ${event.seq} (${typeOf(event)}): ${reason}`
+);
+
+/**
+ * Apply a single event to a game being replayed
+ * @param {Object} game - The game rebuilt so far
+ * @param {Object} event - The next event from the log
+ * @throws {GameError} If the event does not fit the rebuilt state
+ */
+const applyEvent = (game, event) => {
+    switch (typeOf(event)) {
+        case EVENT_TYPES.JOIN:
+            game.players.push({ playerId: event.playerId, playerIndex: event.playerIndex, colors: event.colors });
+            // Games with a ready-check wait for the host's start event instead
+            if (!game.settings.readyCheck && game.players.length === game.maxPlayers && game.phase === GAME_PHASES.WAITING_FOR_PLAYERS) {
+                game.gameStarted = true;
+                Logic.setPhase(game, GAME_PHASES.AWAITING_ROLL);
+            }
+            break;
+
+        case EVENT_TYPES.ROLL:
+            Logic.applyRoll(game, event.dice);
+            break;
+
+        case EVENT_TYPES.MOVE: {
+            const token = game.tokens.find(t => t.id === event.tokenId);
+            if (!token) throw replayFailed(event, 'unknown token');
+            // playMove assumes a legal move by the seat to act, so a corrupt or tampered log is caught here
+            const seat = game.players[game.currentPlayer];
+            if (!seat || !seat.colors.includes(token.color.toLowerCase())) throw replayFailed(event, 'token of another seat');
+            if (!(game.currentRolls || []).includes(event.dieValue)) throw replayFailed(event, 'die not rolled');
+            game.diceValue = event.dieValue;
+            if (!Logic.isValidMove(game, token)) throw replayFailed(event, 'illegal move');
+            Logic.playMove(game, token, event.dieValue);
+            break;
+        }
+
+        case EVENT_TYPES.SKIP:
+            Logic.nextTurn(game);
+            break;
+
+        case EVENT_TYPES.UNDO:
+            if (!Logic.undoLastMove(game)) throw replayFailed(event, 'nothing to undo');
+            break;
+
+        case EVENT_TYPES.KICK:
+            if (!game.players[event.playerIndex]) throw replayFailed(event, 'unknown seat');
+            Logic.removeSeat(game, event.playerIndex);
+            break;
+
+        case EVENT_TYPES.SWAP:
+            if (!game.players[event.playerIndex] || !game.players[event.with]) throw replayFailed(event, 'unknown seat');
+            Logic.swapSeats(game, event.playerIndex, event.with);
+            break;
+
+        case EVENT_TYPES.COLORS:
+            if (!game.players[event.playerIndex]) throw replayFailed(event, 'unknown seat');
+            Logic.setSeatColors(game, event.playerIndex, event.colors);
+            break;
+
+        case EVENT_TYPES.START:
+            Logic.startWithSeatedPlayers(game);
+            break;
+
+        case EVENT_TYPES.FORFEIT:
+            if (!game.players[event.playerIndex]) throw replayFailed(event, 'unknown seat');
+            Logic.forfeitSeat(game, event.playerIndex, event.reason, { endGame: !!event.endGame });
+            break;
+
+        // Captures are a consequence of the preceding move; disconnects do not change the board,
+        // and the rolls and moves the server plays after a timeout are events of their own
+        case EVENT_TYPES.CAPTURE:
+        case EVENT_TYPES.DISCONNECT:
+        case EVENT_TYPES.TIMEOUT:
+            break;
+
+        default:
+            throw replayFailed(event, 'unknown event type');
+    }
+};
+
+/**
+ * Rebuild a game's state as it was right after a given event
+ * @param {Object[]} events - The game's event log, in order
+ * @param {number} [uptoSeq] - Last event to apply (defaults to the whole log)
+ * @returns {Object} The rebuilt game state
+ * @throws {GameError} REPLAY_UNAVAILABLE if the log cannot be replayed
+ */
+exports.replayEvents = (events, uptoSeq = events.length) => {
+    const [created] = events;
+    if (!created || typeOf(created) !== EVENT_TYPES.CREATE) {
+        throw new GameError(ERROR_CODES.REPLAY_UNAVAILABLE, 'This game was recorded before replays were supported');
+    }
+
+    const game = {
+        id: null,
+        players: [],
+        maxPlayers: created.maxPlayers,
+        rules: created.rules,
+        settings: { readyCheck: !!created.readyCheck },
+        currentPlayer: 0,
+        originalRolls: [],
+        currentRolls: [],
+        bonusRolls: 0,
+        sixesThisTurn: 0,
+        rolledValue: [],
+        phase: GAME_PHASES.WAITING_FOR_PLAYERS,
+        gameStarted: false,
+        tokens: Logic.initializeTokens(),
+        winners: [],
+        moveLog: [],
+        gameOver: false,
+        vsComputer: !!created.vsComputer
+    };
+
+    // Keep the rebuilt log in step with the original so undo can match event numbers
+    events.slice(1, uptoSeq).forEach(event => {
+        game.moveLog = events.slice(0, event.seq - 1);
+        applyEvent(game, event);
+    });
+
+    game.moveLog = events.slice(0, uptoSeq);
+    return game;
+};
@@ -0,0 +1,75 @@
+/**
+ * roomAccess.js
+ * Who may take a seat in a private room: holders of a valid invite code, or
+ * anyone who knows the room password. Passwords are stored as scrypt hashes
+ * (`scrypt$<salt>$<hash>`, hex), never in clear, and invite codes expire.
+ *
+ * Room and account passwords share these helpers. Hashing only runs in the thread
+ * pool, so password checks reachable by anyone never block the event loop.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 32;
+const PASSWORD_LENGTH = { min: 4, max: 64 };
+
+const DEFAULT_INVITE_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Hash a password without blocking the event loop (scrypt runs in the thread pool)
+ * @param {string} password - The password
+ * @returns {Promise<string>} `scrypt$<salt>$<hash>`
+ */
+const hashPasswordAsync = async (password) => {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+};
+
+/**
+ * Check a password against a stored hash (constant time) without blocking the event loop
+ * @param {string} password - The password given by the player
+ * @param {string} stored - Hash from hashPasswordAsync
+ * @returns {Promise<boolean>}
+ */
+const verifyPasswordAsync = async (password, stored) => {
+    if (typeof password !== 'string' || typeof stored !== 'string') return false;
+    const [scheme, salt, hash] = stored.split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(password, Buffer.from(salt, 'hex'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+};
+
+/**
+ * @param {*} password - A requested room password
+ * @returns {boolean} Whether it can be used
+ */
+const isValidPassword = (password) => typeof password === 'string' &&
+    password.length >= PASSWORD_LENGTH.min && password.length <= PASSWORD_LENGTH.max;
+
+/**
+ * Create an invite code
+ * @param {number} [ttlMs] - Lifetime (capped at 7 days)
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {Object} `{ code, expiresAt }`
+ */
+const createInvite = (ttlMs = DEFAULT_INVITE_TTL_MS, now = Date.now()) => ({
+    code: crypto.randomBytes(9).toString('base64url'),
+    expiresAt: now + Math.min(Math.max(Number(ttlMs) || DEFAULT_INVITE_TTL_MS, 60 * 1000), MAX_INVITE_TTL_MS)
+});
+
+/**
+ * Find an invite by its code
+ * @param {Object[]} invites - The room's invites
+ * @param {string} code - Code given by the player
+ * @returns {Object|null} The invite, expired or not
+ */
+const findInvite = (invites, code) => (typeof code === 'string' && (invites || []).find(i => i.code === code)) || null;
+
+module.exports = { hashPasswordAsync, verifyPasswordAsync, isValidPassword, createInvite, findInvite, PASSWORD_LENGTH };
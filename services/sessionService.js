@@ -0,0 +1,54 @@
+/**
+ * sessionService.js
+ * Issues and verifies signed player session tokens.
+ * A token binds a playerId to this server: `<payload>.<signature>`, where the
+ * signature is an HMAC-SHA256 of the payload keyed with the server secret.
+ */
+
+const crypto = require('crypto');
+
+// Tokens stay valid for a week so players can rejoin long-running games
+const TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+let secret = process.env.SESSION_SECRET;
+if (!secret) {
+    secret = crypto.randomBytes(32).toString('hex');
+    console.warn('SESSION_SECRET is not set; using a random secret. Session tokens will not survive a restart.');
+}
+
+const sign = (payload) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+/**
+ * Issue a session token for a player
+ * @param {string} playerId - The server-assigned player ID
+ * @returns {string} The signed token
+ */
+exports.issueToken = (playerId) => {
+    const now = Date.now();
+    const payload = Buffer.from(JSON.stringify({ pid: playerId, iat: now, exp: now + TOKEN_TTL_MS })).toString('base64url');
+    return `${payload}.${sign(payload)}`;
+};
+
+/**
+ * Verify a session token
+ * @param {string} token - The token presented by the client
+ * @returns {string|null} The playerId the token was issued for, or null if it is forged, malformed or expired
+ */
+exports.verifyToken = (token) => {
+    if (typeof token !== 'string') return null;
+
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    try {
+        const { pid, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        if (!pid || !exp || exp < Date.now()) return null;
+        return pid;
+    } catch (error) {
+        return null;
+    }
+};
@@ -0,0 +1,110 @@
+/**
+ * fileGameStore.js
+ * Game store that keeps one JSON file per game.
+ * Writes are asynchronous and atomic: data goes to a temp file that is then renamed over the save,
+ * so a crash mid-write never leaves a half-written game behind.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Game IDs are short hex strings and player IDs are UUIDs; anything else could point outside the folder
+const KEY_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+class FileGameStore {
+    /**
+     * @param {string} dir - Folder that holds the `<gameId>.json` saves
+     */
+    constructor(dir) {
+        this.dir = dir;
+        // Per-game write queues so saves of the same game land in order
+        this.pending = {};
+        this.ready = null;
+    }
+
+    // Create the save folder once
+    _ensureDir() {
+        if (!this.ready) {
+            this.ready = fs.mkdir(this.dir, { recursive: true });
+        }
+        return this.ready;
+    }
+
+    _filePath(gameId) {
+        if (!KEY_PATTERN.test(gameId)) throw new Error(`Invalid game ID: ${gameId}`);
+        return path.join(this.dir, `${gameId}.json`);
+    }
+
+    /**
+     * Save a game
+     * @param {string} gameId - The ID of the game
+     * @param {Object} data - Serializable game state
+     * @returns {Promise<void>} Rejects if the ID is not a valid game ID
+     */
+    save(gameId, data) {
+        const json = JSON.stringify(data, null, 2);
+        const previous = this.pending[gameId] || Promise.resolve();
+
+        const write = previous.catch(() => { }).then(async () => {
+            await this._ensureDir();
+            const filePath = this._filePath(gameId);
+            const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+            try {
+                await fs.writeFile(tempPath, json);
+                await fs.rename(tempPath, filePath);
+            } catch (error) {
+                await fs.rm(tempPath, { force: true });
+                throw error;
+            }
+        });
+
+        this.pending[gameId] = write;
+        // Drop the queue entry once it has drained
+        write.finally(() => {
+            if (this.pending[gameId] === write) delete this.pending[gameId];
+        }).catch(() => { });
+        return write;
+    }
+
+    /**
+     * Load a game
+     * @param {string} gameId - The ID of the game
+     * @returns {Promise<Object|null>} The saved state, or null if there is none
+     */
+    async load(gameId) {
+        if (!KEY_PATTERN.test(gameId)) return null; // Nothing can have been saved under it
+        await this.pending[gameId];
+        try {
+            const rawData = await fs.readFile(this._filePath(gameId), 'utf-8');
+            return JSON.parse(rawData);
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * List the IDs of all saved games
+     * @returns {Promise<string[]>}
+     */
+    async list() {
+        await this._ensureDir();
+        const files = await fs.readdir(this.dir);
+        return files.filter(f => f.endsWith('.json'))
+            .map(f => f.slice(0, -'.json'.length))
+            .filter(id => KEY_PATTERN.test(id));
+    }
+
+    /**
+     * Delete a saved game
+     * @param {string} gameId - The ID of the game
+     * @returns {Promise<void>} Rejects if the ID is not a valid game ID
+     */
+    async delete(gameId) {
+        await this.pending[gameId];
+        await fs.rm(this._filePath(gameId), { force: true });
+    }
+}
+
+module.exports = FileGameStore;
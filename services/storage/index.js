@@ -0,0 +1,89 @@
+/**
+ * Game and account storage
+ * Every backend implements the same asynchronous interface:
+ *   save(id, data), load(id) -> data|null, list() -> ids, delete(id)
+ * Games are keyed by game ID, accounts by their player ID.
+ *
+ * The backend is chosen by configuration:
+ *   GAME_STORE      - 'file' (default), 'memory' or 'sqlite'; used for games and accounts alike
+ *   GAME_STATE_DIR  - folder for the file backend (default: services/game_states);
+ *                     the sqlite backend imports JSON saves from here on first start
+ *   ACCOUNT_DIR     - folder for accounts with the file backend (default: data/accounts); it must
+ *                     not be, or be inside, GAME_STATE_DIR, whose every file is read as a game
+ *   GAME_DB_FILE    - database file for the sqlite backend (default: services/boardverse.sqlite)
+ */
+
+const path = require('path');
+const FileGameStore = require('./fileGameStore');
+const MemoryGameStore = require('./memoryGameStore');
+
+const DEFAULT_STATE_DIR = path.join(__dirname, '..', 'game_states');
+const DEFAULT_ACCOUNT_DIR = path.join(__dirname, '..', '..', 'data', 'accounts');
+const DEFAULT_DB_FILE = path.join(__dirname, '..', 'boardverse.sqlite');
+
+/**
+ * Create the configured game store
+ * @param {Object} [config] - Overrides for the environment configuration
+ * @param {string} [config.type] - 'file', 'memory' or 'sqlite'
+ * @param {string} [config.dir] - Save folder for the file backend (and JSON import source for sqlite)
+ * @param {string} [config.dbFile] - Database file for the sqlite backend
+ * @returns {FileGameStore|MemoryGameStore|SqliteGameStore}
+ * @throws {Error} If the backend type is unknown
+ */
+function createGameStore({
+    type = process.env.GAME_STORE || 'file',
+    dir = process.env.GAME_STATE_DIR || DEFAULT_STATE_DIR,
+    dbFile = process.env.GAME_DB_FILE || DEFAULT_DB_FILE
+} = {}) {
+    switch (type) {
+        case 'file':
+            return new FileGameStore(dir);
+        case 'memory':
+            return new MemoryGameStore();
+        case 'sqlite': {
+            // Loaded lazily so the native driver is only needed when SQLite is used
+            const SqliteGameStore = require('./sqliteGameStore');
+            return new SqliteGameStore(dbFile, { legacyDir: dir });
+        }
+        default:
+            throw new Error(`Unknown game store: ${type}`);
+    }
+}
+
+/**
+ * Create the configured account store (same backend as the games)
+ * @param {Object} [config] - Overrides for the environment configuration
+ * @param {string} [config.type] - 'file', 'memory' or 'sqlite'
+ * @param {string} [config.dir] - Folder for the file backend, one `<playerId>.json` per account
+ * @param {string} [config.dbFile] - Database file for the sqlite backend
+ * @param {string} [config.gameDir] - Save folder of the games, which must not hold the accounts
+ * @returns {FileGameStore|MemoryGameStore|SqliteAccountStore}
+ * @throws {Error} If the backend type is unknown, or the account folder is within the game saves
+ */
+function createAccountStore({
+    type = process.env.GAME_STORE || 'file',
+    dir = process.env.ACCOUNT_DIR || DEFAULT_ACCOUNT_DIR,
+    dbFile = process.env.GAME_DB_FILE || DEFAULT_DB_FILE,
+    gameDir = process.env.GAME_STATE_DIR || DEFAULT_STATE_DIR
+} = {}) {
+    switch (type) {
+        case 'file': {
+            // Game cleanup loads every save in its folder, so accounts there would be read (and deleted) as games
+            const fromGames = path.relative(path.resolve(gameDir), path.resolve(dir));
+            if (!fromGames.startsWith('..') && !path.isAbsolute(fromGames)) {
+                throw new Error(`ACCOUNT_DIR must be outside the game saves (${gameDir})`);
+            }
+            return new FileGameStore(dir); // A JSON file per key; nothing in it is specific to games
+        }
+        case 'memory':
+            return new MemoryGameStore();
+        case 'sqlite': {
+            const SqliteAccountStore = require('./sqliteAccountStore');
+            return new SqliteAccountStore(dbFile);
+        }
+        default:
+            throw new Error(`Unknown account store: ${type}`);
+    }
+}
+
+module.exports = { createGameStore, createAccountStore, FileGameStore, MemoryGameStore };
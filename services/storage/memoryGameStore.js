@@ -0,0 +1,49 @@
+/**
+ * memoryGameStore.js
+ * Game store that keeps saves in process memory. Intended for tests and throwaway servers.
+ */
+
+class MemoryGameStore {
+    constructor() {
+        this.saves = new Map();
+    }
+
+    /**
+     * Save a game (stored as a JSON copy, like the file store)
+     * @param {string} gameId - The ID of the game
+     * @param {Object} data - Serializable game state
+     * @returns {Promise<void>}
+     */
+    async save(gameId, data) {
+        this.saves.set(gameId, JSON.stringify(data));
+    }
+
+    /**
+     * Load a game
+     * @param {string} gameId - The ID of the game
+     * @returns {Promise<Object|null>} The saved state, or null if there is none
+     */
+    async load(gameId) {
+        const json = this.saves.get(gameId);
+        return json ? JSON.parse(json) : null;
+    }
+
+    /**
+     * List the IDs of all saved games
+     * @returns {Promise<string[]>}
+     */
+    async list() {
+        return [...this.saves.keys()];
+    }
+
+    /**
+     * Delete a saved game
+     * @param {string} gameId - The ID of the game
+     * @returns {Promise<void>}
+     */
+    async delete(gameId) {
+        this.saves.delete(gameId);
+    }
+}
+
+module.exports = MemoryGameStore;
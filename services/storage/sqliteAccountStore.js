@@ -0,0 +1,94 @@
+/**
+ * sqliteAccountStore.js
+ * Account store backed by SQLite, in the same database file as the games.
+ * Each account is one row: the full record as JSON, plus its username so that
+ * the database itself keeps usernames unique.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS accounts (
+        player_id TEXT PRIMARY KEY,
+        username TEXT NOT NULL UNIQUE,
+        created_at INTEGER,
+        updated_at INTEGER,
+        data TEXT NOT NULL
+    );
+`;
+
+class SqliteAccountStore {
+    /**
+     * @param {string} filename - Path of the database file (':memory:' for a throwaway database)
+     */
+    constructor(filename) {
+        if (filename !== ':memory:') fs.mkdirSync(path.dirname(filename), { recursive: true });
+
+        this.db = new Database(filename);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(SCHEMA);
+
+        this.statements = {
+            upsert: this.db.prepare(`
+                INSERT INTO accounts (player_id, username, created_at, updated_at, data)
+                VALUES (@playerId, @username, @createdAt, @updatedAt, @data)
+                ON CONFLICT (player_id) DO UPDATE SET
+                    username = excluded.username, updated_at = excluded.updated_at, data = excluded.data
+            `),
+            load: this.db.prepare('SELECT data FROM accounts WHERE player_id = ?'),
+            list: this.db.prepare('SELECT player_id AS playerId FROM accounts ORDER BY created_at'),
+            delete: this.db.prepare('DELETE FROM accounts WHERE player_id = ?')
+        };
+    }
+
+    /**
+     * Save an account
+     * @param {string} playerId - The account's player ID
+     * @param {Object} data - The account record (with `username` and `createdAt`)
+     * @returns {Promise<void>}
+     */
+    async save(playerId, data) {
+        this.statements.upsert.run({
+            playerId,
+            username: data.username,
+            createdAt: data.createdAt || Date.now(),
+            updatedAt: Date.now(),
+            data: JSON.stringify(data)
+        });
+    }
+
+    /**
+     * Load an account
+     * @param {string} playerId - The account's player ID
+     * @returns {Promise<Object|null>} The saved record, or null if there is none
+     */
+    async load(playerId) {
+        const row = this.statements.load.get(playerId);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    /**
+     * List the player IDs of all accounts
+     * @returns {Promise<string[]>}
+     */
+    async list() {
+        return this.statements.list.all().map(row => row.playerId);
+    }
+
+    /**
+     * Delete an account
+     * @param {string} playerId - The account's player ID
+     * @returns {Promise<void>}
+     */
+    async delete(playerId) {
+        this.statements.delete.run(playerId);
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+module.exports = SqliteAccountStore;
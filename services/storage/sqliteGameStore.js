@@ -0,0 +1,296 @@
+/**
+ * sqliteGameStore.js
+ * Game store backed by SQLite.
+ * Besides the full snapshot used by load(), every save is broken down into queryable tables:
+ *   games  - one row per game (status, phase, timestamps, winners)
+ *   seats  - who sits where and with which colors
+ *   tokens - the current position of every token
+ *   moves  - the append-only event log (game.moveLog): rolls, moves, captures, joins...
+ * On first start, JSON saves written by the file store are imported.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS meta (
+        key TEXT PRIMARY KEY,
+        value TEXT
+    );
+    CREATE TABLE IF NOT EXISTS games (
+        id TEXT PRIMARY KEY,
+        status TEXT NOT NULL,
+        phase TEXT,
+        max_players INTEGER,
+        vs_computer INTEGER NOT NULL DEFAULT 0,
+        current_player INTEGER,
+        winners TEXT NOT NULL DEFAULT '[]',
+        created_at INTEGER,
+        last_activity INTEGER,
+        finished_at INTEGER,
+        state TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS games_status ON games (status, last_activity);
+    CREATE TABLE IF NOT EXISTS seats (
+        game_id TEXT NOT NULL REFERENCES games (id) ON DELETE CASCADE,
+        player_index INTEGER NOT NULL,
+        player_id TEXT NOT NULL,
+        colors TEXT NOT NULL,
+        is_computer INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (game_id, player_index)
+    );
+    CREATE INDEX IF NOT EXISTS seats_player ON seats (player_id);
+    CREATE TABLE IF NOT EXISTS tokens (
+        game_id TEXT NOT NULL REFERENCES games (id) ON DELETE CASCADE,
+        token_id TEXT NOT NULL,
+        color TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        steps INTEGER NOT NULL,
+        completed INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (game_id, token_id)
+    );
+    CREATE TABLE IF NOT EXISTS moves (
+        game_id TEXT NOT NULL REFERENCES games (id) ON DELETE CASCADE,
+        seq INTEGER NOT NULL,
+        type TEXT NOT NULL DEFAULT 'move',
+        player_index INTEGER,
+        token_id TEXT,
+        die_value INTEGER,
+        from_position INTEGER,
+        to_position INTEGER,
+        captured TEXT,
+        completed INTEGER NOT NULL DEFAULT 0,
+        data TEXT,
+        created_at INTEGER,
+        PRIMARY KEY (game_id, seq)
+    );
+`;
+
+// Map the game phase to a coarse status used by queries
+const statusOf = (data) => {
+    if (data.gameOver || data.phase === 'FINISHED') return 'finished';
+    if (data.phase === 'WAITING_FOR_PLAYERS' || data.phase === 'STARTING') return 'waiting';
+    return 'active';
+};
+
+class SqliteGameStore {
+    /**
+     * @param {string} filename - Path of the database file (':memory:' for a throwaway database)
+     * @param {Object} [options]
+     * @param {string} [options.legacyDir] - Folder with JSON saves to import on first start
+     */
+    constructor(filename, { legacyDir } = {}) {
+        if (filename !== ':memory:') fs.mkdirSync(path.dirname(filename), { recursive: true });
+
+        this.db = new Database(filename);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('foreign_keys = ON');
+        this.db.exec(SCHEMA);
+        this._upgradeSchema();
+        this._prepareStatements();
+
+        if (legacyDir) this._migrateJsonSaves(legacyDir);
+    }
+
+    // Databases created before the event log only stored moves
+    _upgradeSchema() {
+        const columns = this.db.pragma('table_info(moves)').map(c => c.name);
+        if (!columns.includes('type')) this.db.exec("ALTER TABLE moves ADD COLUMN type TEXT NOT NULL DEFAULT 'move'");
+        if (!columns.includes('data')) this.db.exec('ALTER TABLE moves ADD COLUMN data TEXT');
+    }
+
+    _prepareStatements() {
+        const db = this.db;
+        this.statements = {
+            upsertGame: db.prepare(`
+                INSERT INTO games (id, status, phase, max_players, vs_computer, current_player, winners, created_at, last_activity, finished_at, state)
+                VALUES (@id, @status, @phase, @maxPlayers, @vsComputer, @currentPlayer, @winners, @createdAt, @lastActivity, @finishedAt, @state)
+                ON CONFLICT (id) DO UPDATE SET
+                    status = excluded.status, phase = excluded.phase, max_players = excluded.max_players,
+                    vs_computer = excluded.vs_computer, current_player = excluded.current_player,
+                    winners = excluded.winners, last_activity = excluded.last_activity,
+                    finished_at = COALESCE(games.finished_at, excluded.finished_at), state = excluded.state
+            `),
+            deleteSeats: db.prepare('DELETE FROM seats WHERE game_id = ?'),
+            insertSeat: db.prepare(`
+                INSERT INTO seats (game_id, player_index, player_id, colors, is_computer)
+                VALUES (@gameId, @playerIndex, @playerId, @colors, @isComputer)
+            `),
+            upsertToken: db.prepare(`
+                INSERT INTO tokens (game_id, token_id, color, position, steps, completed)
+                VALUES (@gameId, @tokenId, @color, @position, @steps, @completed)
+                ON CONFLICT (game_id, token_id) DO UPDATE SET
+                    position = excluded.position, steps = excluded.steps, completed = excluded.completed
+            `),
+            lastMoveSeq: db.prepare('SELECT COALESCE(MAX(seq), 0) AS seq FROM moves WHERE game_id = ?'),
+            insertMove: db.prepare(`
+                INSERT INTO moves (game_id, seq, type, player_index, token_id, die_value, from_position, to_position, captured, completed, data, created_at)
+                VALUES (@gameId, @seq, @type, @playerIndex, @tokenId, @dieValue, @from, @to, @captured, @completed, @data, @at)
+            `),
+            loadGame: db.prepare('SELECT state FROM games WHERE id = ?'),
+            listGames: db.prepare('SELECT id FROM games ORDER BY created_at'),
+            deleteGame: db.prepare('DELETE FROM games WHERE id = ?'),
+            listFinished: db.prepare(`
+                SELECT id, max_players AS maxPlayers, winners, created_at AS createdAt, finished_at AS finishedAt
+                FROM games WHERE status = 'finished' AND NOT COALESCE(json_extract(state, '$.room.isPrivate'), 0)
+                ORDER BY finished_at DESC LIMIT ? OFFSET ?
+            `),
+            listActiveForPlayer: db.prepare(`
+                SELECT g.id, g.status, g.phase, g.max_players AS maxPlayers, s.player_index AS playerIndex, g.last_activity AS lastActivity
+                FROM seats s JOIN games g ON g.id = s.game_id
+                WHERE s.player_id = ? AND g.status != 'finished'
+                ORDER BY g.last_activity DESC
+            `),
+            getMeta: db.prepare('SELECT value FROM meta WHERE key = ?'),
+            setMeta: db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value')
+        };
+
+        // One transaction per save so the tables never disagree with the snapshot
+        this._writeGame = db.transaction((gameId, data) => {
+            const s = this.statements;
+            const status = statusOf(data);
+
+            s.upsertGame.run({
+                id: gameId,
+                status,
+                phase: data.phase || null,
+                maxPlayers: data.maxPlayers || 2,
+                vsComputer: data.vsComputer ? 1 : 0,
+                currentPlayer: data.currentPlayer,
+                winners: JSON.stringify(data.winners || []),
+                createdAt: data.createdAt || Date.now(),
+                lastActivity: data.lastActivity || Date.now(),
+                finishedAt: status === 'finished' ? (data.lastActivity || Date.now()) : null,
+                state: JSON.stringify(data)
+            });
+
+            s.deleteSeats.run(gameId);
+            (data.players || []).forEach(p => s.insertSeat.run({
+                gameId,
+                playerIndex: p.playerIndex,
+                playerId: p.playerId,
+                colors: JSON.stringify(p.colors || []),
+                isComputer: String(p.playerId).startsWith('AI') ? 1 : 0
+            }));
+
+            (data.tokens || []).forEach(t => s.upsertToken.run({
+                gameId,
+                tokenId: t.id,
+                color: t.color,
+                position: t.position,
+                steps: t.steps,
+                completed: t.completed ? 1 : 0
+            }));
+
+            // The event log is append-only: only write entries we have not stored yet.
+            // Move columns stay queryable; the full event is kept in `data`.
+            const { seq: lastSeq } = s.lastMoveSeq.get(gameId);
+            (data.moveLog || []).filter(m => m.seq > lastSeq).forEach(m => s.insertMove.run({
+                gameId,
+                seq: m.seq,
+                type: m.type || 'move',
+                playerIndex: m.playerIndex ?? null,
+                tokenId: m.tokenId ?? null,
+                dieValue: m.dieValue ?? null,
+                from: m.from ?? null,
+                to: m.to ?? null,
+                captured: typeof m.captured === 'string' ? m.captured : null,
+                completed: m.completed ? 1 : 0,
+                data: JSON.stringify(m),
+                at: m.at || null
+            }));
+        });
+    }
+
+    /**
+     * Import `<gameId>.json` saves from the file store, once per database
+     * @param {string} legacyDir - Folder written by the file store
+     */
+    _migrateJsonSaves(legacyDir) {
+        if (this.statements.getMeta.get('json_migrated')) return;
+
+        let imported = 0;
+        if (fs.existsSync(legacyDir)) {
+            fs.readdirSync(legacyDir).filter(f => f.endsWith('.json')).forEach(file => {
+                const gameId = file.slice(0, -'.json'.length);
+                try {
+                    const data = JSON.parse(fs.readFileSync(path.join(legacyDir, file), 'utf-8'));
+                    if (!this.statements.loadGame.get(gameId)) {
+                        this._writeGame(gameId, data);
+                        imported++;
+                    }
+                } catch (error) {
+                    console.error(`Skipping unreadable save ${file}:`, error.message);
+                }
+            });
+        }
+
+        this.statements.setMeta.run('json_migrated', String(Date.now()));
+        if (imported) console.log(`Imported ${imported} JSON game saves into SQLite`);
+    }
+
+    /**
+     * Save a game
+     * @param {string} gameId - The ID of the game
+     * @param {Object} data - Serializable game state
+     * @returns {Promise<void>}
+     */
+    async save(gameId, data) {
+        this._writeGame(gameId, data);
+    }
+
+    /**
+     * Load a game
+     * @param {string} gameId - The ID of the game
+     * @returns {Promise<Object|null>} The saved state, or null if there is none
+     */
+    async load(gameId) {
+        const row = this.statements.loadGame.get(gameId);
+        return row ? JSON.parse(row.state) : null;
+    }
+
+    /**
+     * List the IDs of all saved games
+     * @returns {Promise<string[]>}
+     */
+    async list() {
+        return this.statements.listGames.all().map(row => row.id);
+    }
+
+    /**
+     * Delete a saved game with its seats, tokens and move log
+     * @param {string} gameId - The ID of the game
+     * @returns {Promise<void>}
+     */
+    async delete(gameId) {
+        this.statements.deleteGame.run(gameId);
+    }
+
+    /**
+     * List finished games, most recent first. Private rooms are left out.
+     * @param {Object} [options]
+     * @param {number} [options.limit=20]
+     * @param {number} [options.offset=0]
+     * @returns {Promise<Object[]>} `{ id, maxPlayers, winners, createdAt, finishedAt }` rows
+     */
+    async listFinishedGames({ limit = 20, offset = 0 } = {}) {
+        return this.statements.listFinished.all(limit, offset)
+            .map(row => ({ ...row, winners: JSON.parse(row.winners) }));
+    }
+
+    /**
+     * List the games a player is seated in that have not finished
+     * @param {string} playerId - The player's ID
+     * @returns {Promise<Object[]>} `{ id, status, phase, maxPlayers, playerIndex, lastActivity }` rows
+     */
+    async listActiveGamesForPlayer(playerId) {
+        return this.statements.listActiveForPlayer.all(playerId);
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+module.exports = SqliteGameStore;
@@ -1,8 +1,41 @@
 const { Server } = require('socket.io');
+const { v4: uuidv4 } = require('uuid');
 const GameController = require('../controllers/gameController');
+const GameService = require('../services/gameService');
+const { AccountService } = require('../services/accountService');
+const { verifyToken } = require('../services/sessionService');
+
+/**
+ * Handshake middleware: establishes who the socket is.
+ * A signed session token (issued by createGame/joinGame or an account login) restores the player's identity;
+ * sockets without one get a fresh server-assigned playerId. Client-supplied playerIds are never trusted.
+ * When the playerId belongs to an account, its profile is attached as `socket.data.account`.
+ */
+const authenticate = async (socket, next) => {
+  const { token } = socket.handshake.auth || {};
+
+  if (token) {
+    const playerId = verifyToken(token);
+    if (!playerId) return next(new Error('Invalid session token'));
+    socket.data.playerId = playerId;
+  } else {
+    socket.data.playerId = uuidv4();
+  }
+
+  try {
+    const accounts = AccountService.getInstance();
+    await accounts.ready;
+    socket.data.account = accounts.describe(socket.data.playerId); // null for guests
+  } catch (error) {
+    console.error('Could not load accounts:', error);
+    socket.data.account = null;
+  }
+  next();
+};
 
 exports.setupSocket = (server) => {
   const io = new Server(server, { cors: { origin: '*' } });
+  io.use(authenticate);
+  GameController.watchService(io, GameService.getInstance());
   io.on('connection', socket => new GameController(io, socket).registerHandlers());
 }
-
@@ -0,0 +1,88 @@
+/**
+ * Player accounts: registering, logging in, editing the public profile, and ratings
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Logic = require('../gameLogic.js');
+const { AccountService } = require('../services/accountService');
+const { MemoryGameStore } = require('../services/storage');
+const { ERROR_CODES } = require('../services/gameErrors');
+
+const createAccounts = (store = new MemoryGameStore()) => new AccountService({ store });
+
+/**
+ * Expect a promise to reject with a GameError code
+ * @param {Promise} promise - The call
+ * @param {string} code - One of ERROR_CODES
+ */
+const rejectsWith = (promise, code) => assert.rejects(promise, error => error.code === code);
+
+test('registering checks the details and claims the username regardless of case', async () => {
+    const accounts = createAccounts();
+
+    await rejectsWith(accounts.register({ username: 'no', password: 'long enough' }), ERROR_CODES.INVALID_ACCOUNT);
+    await rejectsWith(accounts.register({ username: 'alice', password: 'short' }), ERROR_CODES.INVALID_ACCOUNT);
+    await rejectsWith(accounts.register({ username: 'alice', password: 'long enough', avatar: 'x' }), ERROR_CODES.INVALID_ACCOUNT);
+    await rejectsWith(accounts.register(), ERROR_CODES.INVALID_ACCOUNT);
+
+    const alice = await accounts.register({ username: 'alice', password: 'long enough' });
+    assert.equal(alice.username, 'alice');
+    assert.equal(alice.displayName, 'alice');
+    assert.equal(alice.stats.gamesPlayed, 0);
+    assert.equal(alice.passwordHash, undefined);
+
+    await rejectsWith(accounts.register({ username: 'ALICE', password: 'long enough' }), ERROR_CODES.USERNAME_TAKEN);
+});
+
+test('logging in answers the same error for a wrong password and an unknown username', async () => {
+    const store = new MemoryGameStore();
+    const { playerId } = await createAccounts(store).register({ username: 'alice', password: 'long enough' });
+
+    // A restarted service reads the accounts back from the store
+    const accounts = createAccounts(store);
+    assert.equal((await accounts.login({ username: 'Alice', password: 'long enough' })).playerId, playerId);
+
+    await rejectsWith(accounts.login({ username: 'alice', password: 'wrong password' }), ERROR_CODES.INVALID_CREDENTIALS);
+    await rejectsWith(accounts.login({ username: 'bob', password: 'long enough' }), ERROR_CODES.INVALID_CREDENTIALS);
+    await rejectsWith(accounts.login(), ERROR_CODES.INVALID_CREDENTIALS);
+});
+
+test('the profile can be edited and is saved at once', async () => {
+    const store = new MemoryGameStore();
+    const accounts = createAccounts(store);
+    const { playerId } = await accounts.register({ username: 'alice', password: 'long enough' });
+
+    const profile = await accounts.updateProfile(playerId, { displayName: '  Alice A.  ', avatar: '🦊' });
+    assert.deepEqual([profile.displayName, profile.avatar], ['Alice A.', '🦊']);
+    assert.equal((await store.load(playerId)).displayName, 'Alice A.');
+
+    await rejectsWith(accounts.updateProfile(playerId, { displayName: ' ' }), ERROR_CODES.INVALID_ACCOUNT);
+    await rejectsWith(accounts.updateProfile('nobody', { avatar: '🦊' }), ERROR_CODES.ACCOUNT_NOT_FOUND);
+    assert.equal(accounts.describe('nobody'), null);
+});
+
+test('a rated game moves both ratings and puts the accounts on the leaderboard', async () => {
+    const accounts = createAccounts();
+    const alice = await accounts.register({ username: 'alice', password: 'long enough' });
+    const bob = await accounts.register({ username: 'bob', password: 'long enough' });
+    const game = {
+        maxPlayers: 2,
+        players: [alice, bob].map(({ playerId }, i) => ({ playerId, playerIndex: i, colors: Logic.getColorSets(2)[i] })),
+        tokens: Logic.initializeTokens(),
+        winners: [1, 0],
+        moveLog: []
+    };
+
+    await accounts.recordGame(game, { rated: true });
+
+    assert.ok(accounts.getRating(bob.playerId, 2).rating > 1500);
+    assert.ok(accounts.getRating(alice.playerId, 2).rating < 1500);
+    assert.equal(accounts.getRating(alice.playerId, 4).games, 0);
+    assert.equal(accounts.describe(bob.playerId).stats.wins, 1);
+
+    const board = await accounts.leaderboard({ maxPlayers: 2 });
+    assert.deepEqual(board.entries.map(e => [e.rank, e.username, e.games]), [[1, 'bob', 1], [2, 'alice', 1]]);
+    assert.equal((await accounts.leaderboard({ maxPlayers: 4 })).total, 0);
+    await rejectsWith(accounts.leaderboard({ pageSize: 101 }), ERROR_CODES.INVALID_OPTIONS);
+});
@@ -0,0 +1,76 @@
+/**
+ * Bots: the registry's fallbacks, the view bots decide on, and seating bots before the start
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const Logic = require('../gameLogic.js');
+const GameService = require('../services/gameService');
+const { AccountService } = require('../services/accountService');
+const { MemoryGameStore } = require('../services/storage');
+const { BotRegistry, toBotView, parseBotSpec } = require('../services/bots');
+const { ERROR_CODES } = require('../services/gameErrors');
+
+const MOVES = [{ tokenId: 'red-1', dieValue: 6 }, { tokenId: 'yellow-1', dieValue: 6 }];
+
+/**
+ * A registry with one extra bot answering through `chooseMove`
+ * @returns {BotRegistry}
+ */
+const registryWith = (chooseMove, options) => {
+    const registry = new BotRegistry([], options);
+    registry.bots.set('custom', { name: 'custom', chooseMove, close() { } });
+    return registry;
+};
+
+const createService = () => new GameService({
+    store: new MemoryGameStore(),
+    accounts: new AccountService({ store: new MemoryGameStore() })
+});
+
+test('BOTS entries name a module or a worker, resolved from the working directory', () => {
+    assert.deepEqual(parseBotSpec('deep=worker:./bots/deep.js, greedy=./bots/greedy.js'), [
+        { name: 'deep', type: 'worker', modulePath: path.resolve('./bots/deep.js') },
+        { name: 'greedy', type: 'module', modulePath: path.resolve('./bots/greedy.js') }
+    ]);
+    assert.deepEqual(parseBotSpec(''), []);
+    assert.throws(() => parseBotSpec('nameless'), /Invalid BOTS entry/);
+    assert.throws(() => new BotRegistry([{ name: 'easy', type: 'module', modulePath: 'x' }]), /already taken/);
+});
+
+test('a bot gets the legal move it chose, or the first one when it fails', async () => {
+    const game = await createService().createGame('socket-a', false, 'player-a', { turnTimer: false });
+    assert.deepEqual(await registryWith((view, moves) => moves[1]).decide('custom', game, MOVES), MOVES[1]);
+    assert.deepEqual(await registryWith(() => ({ tokenId: 'red-1', dieValue: 3 })).decide('custom', game, MOVES), MOVES[0]);
+    assert.deepEqual(await registryWith(() => { throw new Error('broken'); }).decide('custom', game, MOVES), MOVES[0]);
+    assert.deepEqual(await registryWith(() => new Promise(() => { }), { timeoutMs: 10 }).decide('custom', game, MOVES), MOVES[0]);
+});
+
+test('bots decide on a copy without player IDs or the dice seed', async () => {
+    const service = createService();
+    const game = await service.createGame('socket-a', true, 'player-a', { turnTimer: false });
+
+    const view = toBotView(game);
+    assert.equal(JSON.stringify(view).includes('player-a'), false);
+    assert.equal(view.rng, undefined);
+    assert.equal(view.moveLog, undefined);
+
+    view.tokens[0].position = 7;
+    assert.equal(game.tokens[0].position, -1);
+});
+
+test('only the host seats bots, by a known name, while the room is waiting', async () => {
+    const service = createService();
+    const game = await service.createGame('socket-a', false, 'player-a', { maxPlayers: 3, readyCheck: false, turnTimer: false });
+    await service.joinGame('socket-b', game.id, 'player-b');
+
+    assert.throws(() => service.addBot(game.id, 'player-b', 'easy'), { code: ERROR_CODES.NOT_HOST });
+    assert.throws(() => service.addBot(game.id, 'player-a', 'nobody'), { code: ERROR_CODES.INVALID_OPTIONS });
+
+    service.addBot(game.id, 'player-a', 'easy');
+    assert.deepEqual(game.players.map(p => p.bot || null), [null, null, 'easy']);
+    assert.equal(game.phase, Logic.GAME_PHASES.AWAITING_ROLL);
+
+    assert.throws(() => service.addBot(game.id, 'player-a', 'easy'), { code: ERROR_CODES.OUT_OF_PHASE });
+});
@@ -0,0 +1,68 @@
+/**
+ * Chat: message checks, the profanity filter and the per-player rate limits
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ChatService, createWordListFilter, REACTIONS, MAX_MESSAGE_LENGTH } = require('../services/chatService');
+const { ERROR_CODES } = require('../services/gameErrors');
+
+const GAME = { id: 'game01' };
+const ALICE = { playerId: 'player-a', playerIndex: 0 };
+const BOB = { playerId: 'player-b', playerIndex: 1 };
+
+/**
+ * A chat service on a clock the test moves by hand
+ * @returns {Object} `{ chat, clock }`; set `clock.now` to move time
+ */
+const createChat = () => {
+    const clock = { now: 1000 };
+    return { chat: new ChatService({ now: () => clock.now }), clock };
+};
+
+test('messages are trimmed, filtered, numbered and checked for length', () => {
+    const { chat } = createChat();
+    const game = { ...GAME };
+
+    assert.deepEqual(chat.postMessage(game, ALICE, '  good game  '), { id: 1, playerIndex: 0, text: 'good game', at: 1000 });
+    assert.equal(chat.postMessage(game, BOB, 'shitty dice').text, '****** dice');
+    assert.deepEqual(game.chat.map(m => m.id), [1, 2]);
+
+    assert.throws(() => chat.postMessage(game, ALICE, '   '), { code: ERROR_CODES.INVALID_MESSAGE });
+    assert.throws(() => chat.postMessage(game, ALICE, 'x'.repeat(MAX_MESSAGE_LENGTH + 1)), { code: ERROR_CODES.INVALID_MESSAGE });
+    assert.throws(() => chat.react(game, ALICE, '🙂'), { code: ERROR_CODES.INVALID_MESSAGE });
+    assert.equal(chat.react(game, ALICE, REACTIONS[0]).reaction, REACTIONS[0]);
+});
+
+test('the word list filter leaves longer words alone', () => {
+    const filter = createWordListFilter();
+    assert.equal(filter.clean('Reading Dickens'), 'Reading Dickens');
+    assert.equal(filter.clean('Shit happens'), '**** happens');
+});
+
+test('each player may send five messages per ten seconds', () => {
+    const { chat, clock } = createChat();
+    const game = { ...GAME };
+
+    for (let i = 0; i < 5; i++) chat.postMessage(game, ALICE, `message ${i}`);
+    clock.now += 4000;
+    assert.throws(() => chat.postMessage(game, ALICE, 'one more'), {
+        code: ERROR_CODES.CHAT_RATE_LIMITED,
+        details: { retryInMs: 6000 }
+    });
+
+    chat.postMessage(game, BOB, 'not limited by Alice');
+    chat.react(game, ALICE, REACTIONS[1]);
+
+    clock.now += 6000;
+    chat.postMessage(game, ALICE, 'back again');
+});
+
+test('forgetting a game clears its rate limits', () => {
+    const { chat } = createChat();
+    const game = { ...GAME };
+
+    for (let i = 0; i < 5; i++) chat.postMessage(game, ALICE, `message ${i}`);
+    chat.forgetGame(GAME.id);
+    chat.postMessage(game, ALICE, 'fresh start');
+});
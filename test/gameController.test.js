@@ -0,0 +1,207 @@
+/**
+ * Socket handlers: answers, broadcasts and the rejections sent as `game_error`
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const GameController = require('../controllers/gameController');
+const GameService = require('../services/gameService');
+const { AccountService } = require('../services/accountService');
+const { MemoryGameStore } = require('../services/storage');
+const { DiceProvider } = require('../services/diceProvider');
+const { ERROR_CODES } = require('../services/gameErrors');
+
+/**
+ * A Socket.IO server stand-in that records what is sent to each room
+ * @returns {Object} The fake server; `sent` holds `{ room, event, payload }`
+ */
+const createIo = () => {
+    const sent = [];
+    const room = (name) => ({
+        emit: (event, payload) => sent.push({ room: name, event, payload }),
+        except: () => room(name),
+        socketsJoin() { },
+        socketsLeave() { }
+    });
+    return { sent, to: room, in: room };
+};
+
+/**
+ * A socket stand-in for an authenticated player
+ * @returns {Object} The fake socket; `emitted` holds `{ event, payload }` sent to it alone
+ */
+const createSocket = (id, playerId) => {
+    const emitted = [];
+    return {
+        id,
+        data: { playerId },
+        emitted,
+        on() { },
+        emit: (event, payload) => emitted.push({ event, payload }),
+        join() { },
+        leave() { }
+    };
+};
+
+/**
+ * A fresh service, shared by the controllers of the test through GameService.getInstance
+ * @returns {Object} `{ service, io, connect }`, connect(socketId, playerId) returning `{ controller, socket }`
+ */
+const setup = () => {
+    const service = new GameService({
+        store: new MemoryGameStore(),
+        dice: new DiceProvider({ seed: 'controller-test' }),
+        accounts: new AccountService({ store: new MemoryGameStore() })
+    });
+    GameService.instance = service;
+    const io = createIo();
+    const connect = (socketId, playerId) => {
+        const socket = createSocket(socketId, playerId);
+        return { controller: new GameController(io, socket), socket };
+    };
+    return { service, io, connect };
+};
+
+test('an action out of phase is answered with game_error and the phase', async () => {
+    const { service, connect } = setup();
+    const host = connect('socket-a', 'player-a');
+    const { id: gameId } = await service.createGame('socket-a', false, 'player-a', { readyCheck: false, turnTimer: false });
+    await service.joinGame('socket-b', gameId, 'player-b');
+
+    host.controller.skipTurn({ gameId });
+    const [rejection] = host.socket.emitted.filter(e => e.event === 'game_error');
+    assert.equal(rejection.payload.action, 'skip_turn');
+    assert.equal(rejection.payload.code, ERROR_CODES.OUT_OF_PHASE);
+    assert.equal(rejection.payload.phase, 'AWAITING_ROLL');
+    assert.equal(rejection.payload.isTurnError, false);
+});
+
+test('a turn error is flagged, and an empty emit is rejected instead of throwing', async () => {
+    const { service, connect } = setup();
+    const guest = connect('socket-b', 'player-b');
+    const { id: gameId } = await service.createGame('socket-a', false, 'player-a', { readyCheck: false, turnTimer: false });
+    await service.joinGame('socket-b', gameId, 'player-b');
+
+    guest.controller.rollDice({ gameId });
+    guest.controller.rollDice();
+    guest.controller.playRoll();
+    guest.controller.skipTurn();
+
+    const rejections = guest.socket.emitted.filter(e => e.event === 'game_error').map(e => e.payload);
+    assert.deepEqual(rejections.map(r => r.action), ['roll_dice', 'roll_dice', 'play_roll', 'skip_turn']);
+    assert.equal(rejections[0].code, ERROR_CODES.NOT_YOUR_TURN);
+    assert.equal(rejections[0].isTurnError, true);
+    assert.ok(rejections.slice(1).every(r => r.code === ERROR_CODES.GAME_NOT_FOUND));
+});
+
+test('joinGame works without an acknowledgement and answers an empty emit', async () => {
+    const { service, connect } = setup();
+    const guest = connect('socket-b', 'player-b');
+    const { id: gameId } = await service.createGame('socket-a', false, 'player-a');
+
+    await guest.controller.joinGame({ gameId });
+    assert.equal(service.games[gameId].players.length, 2);
+
+    const answer = await new Promise(resolve => guest.controller.joinGame(undefined, resolve));
+    assert.ok(answer.error);
+});
+
+test('actions from a socket without a verified player are refused', async () => {
+    const { service, connect } = setup();
+    const anonymous = connect('socket-x', undefined);
+    const { id: gameId } = await service.createGame('socket-a', false, 'player-a', { readyCheck: false, turnTimer: false });
+
+    anonymous.controller.rollDice({ gameId });
+    const [rejection] = anonymous.socket.emitted.filter(e => e.event === 'game_error');
+    assert.equal(rejection.payload.code, ERROR_CODES.UNAUTHENTICATED);
+});
+
+test('createGame and rejoinGame answer an empty emit and work without an acknowledgement', async () => {
+    const { service, connect } = setup();
+    const host = connect('socket-a', 'player-a');
+
+    const created = await new Promise(resolve => host.controller.createGame(undefined, resolve));
+    assert.equal(service.games[created.gameId].players[0].playerId, 'player-a');
+
+    const answer = await new Promise(resolve => host.controller.rejoinGame(undefined, resolve));
+    assert.equal(answer.success, false);
+
+    await host.controller.rejoinGame({ gameId: created.gameId });
+    await host.controller.rejoinGame();
+    assert.equal(service.games[created.gameId].players[0].id, 'socket-a');
+});
+
+test('getReplay without an acknowledgement is ignored', async () => {
+    const { connect } = setup();
+    const viewer = connect('socket-x', 'player-x');
+    await viewer.controller.getReplay({ gameId: 'nope00' });
+    await viewer.controller.getReplay();
+
+    const answer = await new Promise(resolve => viewer.controller.getReplay({ gameId: 'nope00' }, resolve));
+    assert.equal(answer.code, ERROR_CODES.GAME_NOT_FOUND);
+});
+
+test('addBot works without an acknowledgement and answers its seat', async () => {
+    const { service, connect } = setup();
+    const host = connect('socket-a', 'player-a');
+    const { id: gameId } = await service.createGame('socket-a', false, 'player-a', { maxPlayers: 4, readyCheck: false, turnTimer: false });
+
+    host.controller.addBot({ gameId, bot: 'easy' });
+    host.controller.addBot({ gameId, bot: 'nobody' });
+    host.controller.addBot();
+    assert.equal(service.games[gameId].players.length, 2);
+
+    const answer = await new Promise(resolve => host.controller.addBot({ gameId, bot: 'hard' }, resolve));
+    assert.deepEqual(answer, { success: true, playerIndex: 2, colors: ['yellow'], bot: 'hard' });
+});
+
+test('spectators watch read-only, one game at a time, and are counted in the room', async () => {
+    const { service, io, connect } = setup();
+    const host = connect('socket-a', 'player-a');
+    const viewer = connect('socket-x', 'player-x');
+    const first = await service.createGame('socket-a', false, 'player-a', { readyCheck: false, turnTimer: false });
+    await service.joinGame('socket-b', first.id, 'player-b');
+    const second = await service.createGame('socket-c', false, 'player-c');
+
+    const answer = await new Promise(resolve => viewer.controller.spectateGame({ gameId: first.id }, resolve));
+    assert.equal(answer.success, true);
+    assert.equal(answer.spectator, true);
+    assert.ok(answer.tokens.every(t => !t.isClickable));
+    assert.deepEqual(answer.players.map(p => p.playerIndex), [0, 1]);
+
+    const refused = await new Promise(resolve => host.controller.spectateGame({ gameId: first.id }, resolve));
+    assert.equal(refused.code, ERROR_CODES.INVALID_OPTIONS);
+
+    viewer.controller.rollDice({ gameId: first.id });
+    const rejections = viewer.socket.emitted.filter(e => e.event === 'game_error').map(e => e.payload.code);
+    assert.equal(rejections[0], ERROR_CODES.SPECTATOR_READ_ONLY);
+
+    service.rollDice(first.id, 'player-a');
+    host.controller.broadcastState(first);
+    const update = io.sent.find(e => e.room === 'socket-x' && e.event === 'gameStateUpdated');
+    assert.equal(update.payload.spectator, true);
+
+    await viewer.controller.spectateGame({ gameId: second.id });
+    assert.deepEqual(service.getSpectators(first.id), []);
+    assert.deepEqual(service.getSpectators(second.id), ['socket-x']);
+    const counts = io.sent.filter(e => e.event === 'viewersChanged').map(e => [e.room, e.payload.viewers]);
+    assert.deepEqual(counts, [[first.id, 1], [first.id, 0], [second.id, 1]]);
+
+    const stopped = await new Promise(resolve => viewer.controller.stopSpectating(resolve));
+    assert.equal(stopped.success, true);
+    assert.equal(service.isSpectating('socket-x', second.id), false);
+});
+
+test('createInvite without an acknowledgement is ignored', async () => {
+    const { service, connect } = setup();
+    const host = connect('socket-a', 'player-a');
+    const game = await service.createGame('socket-a', false, 'player-a', { privateRoom: true });
+
+    host.controller.createInvite({ gameId: game.id });
+    host.controller.createInvite();
+    assert.equal(game.room.invites.length, 1);
+
+    const answer = await new Promise(resolve => host.controller.createInvite({ gameId: game.id }, resolve));
+    assert.equal(answer.success, true);
+    assert.equal(game.room.invites[1].code, answer.code);
+});
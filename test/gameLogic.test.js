@@ -0,0 +1,238 @@
+/**
+ * Rules engine
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Logic = require('../gameLogic.js');
+
+/**
+ * A started game with every seat taken, as the service builds it
+ * @param {string|Object} [rules] - A preset name or `{ preset, ...overrides }`
+ * @param {number} [maxPlayers=2] - Number of seats
+ * @returns {Object} The game
+ */
+const createGame = (rules, maxPlayers = 2) => ({
+    players: Logic.getColorSets(maxPlayers).map((colors, i) => ({ playerId: `p${i}`, playerIndex: i, colors })),
+    maxPlayers,
+    tokens: Logic.initializeTokens(),
+    rules: Logic.createRules(rules),
+    currentPlayer: 0,
+    currentRolls: [],
+    bonusRolls: 0,
+    sixesThisTurn: 0,
+    winners: [],
+    phase: Logic.GAME_PHASES.AWAITING_ROLL,
+    moveLog: []
+});
+
+test('two-player seats play two opposite colors, larger tables one color each', () => {
+    assert.deepEqual(Logic.getColorSets(2), [['red', 'yellow'], ['green', 'blue']]);
+    assert.deepEqual(Logic.getColorSets(3), [['red'], ['green'], ['yellow']]);
+    assert.deepEqual(Logic.getColorSets(4), [['red'], ['green'], ['yellow'], ['blue']]);
+});
+
+test('turns go around every seat of a three-player table', () => {
+    const game = createGame('classic', 3);
+    const order = [];
+    for (let i = 0; i < 4; i++) {
+        Logic.nextTurn(game);
+        order.push(game.currentPlayer);
+    }
+    assert.deepEqual(order, [1, 2, 0, 1]);
+});
+
+test('a color nobody plays at a three-player table cannot be moved', () => {
+    const game = createGame('classic', 3);
+    Object.assign(game, { phase: Logic.GAME_PHASES.AWAITING_MOVE, currentRolls: [6, 6] });
+
+    const moves = Logic.getLegalMoves(game);
+    assert.ok(moves.length > 0);
+    assert.ok(moves.every(m => m.tokenId.startsWith('RED-')));
+    assert.equal(Logic.checkForValidMoves(game, 2, [6]), true);
+    assert.ok(!game.players.some(p => p.colors.includes('blue')));
+});
+
+test('createRules builds presets with overrides and rejects invalid rules', () => {
+    const rules = Logic.createRules({ preset: 'traditional', mandatoryCapture: 1 });
+    assert.equal(rules.preset, 'traditional');
+    assert.equal(rules.diceCount, 1);
+    assert.equal(rules.mandatoryCapture, true);
+
+    assert.throws(() => Logic.createRules('nonsense'), /Unknown rule preset/);
+    assert.throws(() => Logic.createRules({ diceCount: 3 }), /diceCount/);
+    assert.throws(() => Logic.createRules({ exitValues: [7] }), /exitValues/);
+    assert.throws(() => Logic.createRules({ endCondition: 'never' }), /endCondition/);
+});
+
+test('a six earns a bonus roll only where the house rules say so', () => {
+    const classic = createGame('classic');
+    Logic.applyRoll(classic, [6, 3]);
+    assert.equal(classic.bonusRolls, 0);
+
+    const traditional = createGame('traditional');
+    Logic.applyRoll(traditional, [6]);
+    assert.equal(traditional.bonusRolls, 1);
+});
+
+test('a third six in one turn forfeits the turn under threeSixesForfeit', () => {
+    const game = createGame('traditional');
+    game.sixesThisTurn = 2;
+    assert.equal(Logic.applyRoll(game, [6]), Logic.TURN_OUTCOMES.TURN_OVER);
+    assert.equal(game.currentPlayer, 1);
+});
+
+test('exitValues decide which faces bring a token out of its base', () => {
+    const quick = createGame('quick');
+    Object.assign(quick, { phase: Logic.GAME_PHASES.AWAITING_MOVE, currentRolls: [1, 2] });
+    assert.ok(Logic.getLegalMoves(quick).some(m => m.dieValue === 1));
+
+    const classic = createGame('classic');
+    assert.equal(Logic.checkForValidMoves(classic, 0, [1, 2]), false);
+});
+
+test('setPhase only allows the transitions of the turn state machine', () => {
+    const game = createGame();
+    game.phase = Logic.GAME_PHASES.WAITING_FOR_PLAYERS;
+    assert.throws(() => Logic.setPhase(game, Logic.GAME_PHASES.AWAITING_MOVE), /Illegal phase transition/);
+
+    Logic.setPhase(game, Logic.GAME_PHASES.AWAITING_ROLL);
+    Logic.setPhase(game, Logic.GAME_PHASES.AWAITING_MOVE);
+    assert.throws(() => Logic.setPhase(game, Logic.GAME_PHASES.WAITING_FOR_PLAYERS), /Illegal phase transition/);
+});
+
+test('derivePhase gives games saved before the phase machine a phase from their flags', () => {
+    assert.equal(Logic.derivePhase({ gameStarted: false }), Logic.GAME_PHASES.WAITING_FOR_PLAYERS);
+    assert.equal(Logic.derivePhase({ gameStarted: true, currentRolls: [] }), Logic.GAME_PHASES.AWAITING_ROLL);
+    assert.equal(Logic.derivePhase({ gameStarted: true, currentRolls: [4] }), Logic.GAME_PHASES.AWAITING_MOVE);
+    assert.equal(Logic.derivePhase({ gameStarted: true, gameOver: true }), Logic.GAME_PHASES.FINISHED);
+});
+
+/**
+ * Put a token of seat 0 on `position` and, unless `distance` is null, a token of seat 1
+ * `distance` squares behind it
+ * @returns {Object} The seat 0 token
+ */
+const placeTokens = (game, position, distance) => {
+    const [target, chaser] = [0, 1].map(seat =>
+        game.tokens.find(t => game.players[seat].colors.includes(t.color.toLowerCase())));
+    Object.assign(target, { position, steps: 10 });
+    if (distance !== null) Object.assign(chaser, { position: (position + distance) % Logic.TRACK_LENGTH, steps: 5 });
+    return target;
+};
+
+test('countThreats sees opponents one die away', () => {
+    for (const preset of ['classic', 'traditional']) {
+        const game = createGame(preset);
+        assert.equal(Logic.countThreats(game, placeTokens(game, 40, 4)), 1, preset);
+    }
+});
+
+test('countThreats sees opponents that need both dice under two-dice rules', () => {
+    const twoDice = createGame('classic');
+    assert.equal(Logic.countThreats(twoDice, placeTokens(twoDice, 40, 10)), 1);
+    assert.equal(Logic.countThreats(twoDice, placeTokens(twoDice, 40, 12)), 1);
+    assert.equal(Logic.countThreats(twoDice, placeTokens(twoDice, 40, 13)), 0);
+
+    const oneDie = createGame('traditional');
+    assert.equal(Logic.countThreats(oneDie, placeTokens(oneDie, 40, 10)), 0);
+});
+
+test('countThreats leaves tokens on safe squares alone', () => {
+    const game = createGame('classic');
+    assert.equal(Logic.countThreats(game, placeTokens(game, Logic.SAFE_SQUARE_INDICES[1], 3)), 0);
+});
+
+test('countThreats counts base tokens that one die brings out and the other carries on', () => {
+    // Four squares past green's start square: a six and a four reach it from green's base
+    const square = Logic.PLAYER_START_OFFSETS.GREEN - 4;
+
+    const twoDice = createGame('classic');
+    assert.equal(Logic.countThreats(twoDice, placeTokens(twoDice, square, null)), Logic.TOKENS_PER_PLAYER);
+
+    const oneDie = createGame('traditional');
+    assert.equal(Logic.countThreats(oneDie, placeTokens(oneDie, square, null)), 0);
+});
+
+test('removing a seat moves the later seats up with the colors they chose', () => {
+    const game = createGame('classic', 4);
+    game.phase = Logic.GAME_PHASES.WAITING_FOR_PLAYERS;
+    Logic.setSeatColors(game, 0, ['blue']);
+    Logic.setSeatColors(game, 3, ['red']);
+    Logic.removeSeat(game, 1);
+
+    assert.deepEqual(game.players.map(p => [p.playerId, p.playerIndex, p.colors]), [
+        ['p0', 0, ['blue']],
+        ['p2', 1, ['yellow']],
+        ['p3', 2, ['red']]
+    ]);
+});
+
+test('starting early keeps the set of the smaller table holding each player\'s colors', () => {
+    const game = createGame('classic', 4);
+    game.phase = Logic.GAME_PHASES.WAITING_FOR_PLAYERS;
+    game.players.splice(2);
+    Logic.setSeatColors(game, 0, ['blue']);
+    Logic.setSeatColors(game, 1, ['yellow']);
+    Logic.startWithSeatedPlayers(game);
+
+    assert.equal(game.maxPlayers, 2);
+    assert.deepEqual(game.players.map(p => p.colors), [['green', 'blue'], ['red', 'yellow']]);
+});
+
+/**
+ * Brings three of a color's tokens home and leaves the last one a 1 away from the center
+ * @param {Object} game - The game
+ * @param {string} color - The color, e.g. 'RED'
+ * @returns {Object} The token left to move
+ */
+const oneAwayFromHome = (game, color) => {
+    const tokens = game.tokens.filter(t => t.color === color);
+    tokens.slice(0, 3).forEach(t => Object.assign(t, { position: 99, steps: Logic.TRACK_LENGTH + Logic.HOME_COLUMN_LENGTH, completed: true }));
+    const last = tokens[3];
+    Object.assign(last, { position: 100 + last.playerIndex * 10 + Logic.HOME_COLUMN_LENGTH - 1, steps: Logic.TRACK_LENGTH + Logic.HOME_COLUMN_LENGTH - 1 });
+    return last;
+};
+
+test('standings list placed seats, then the others by progress, then forfeited seats', () => {
+    const game = createGame('classic', 3);
+    game.tokens.find(t => t.id === 'YELLOW-0').steps = 20;
+    game.tokens.find(t => t.id === 'GREEN-0').steps = 30;
+    Logic.forfeitSeat(game, 1, Logic.FORFEIT_REASONS.RESIGNED);
+
+    assert.ok(!game.gameOver);
+    assert.deepEqual(Logic.getStandings(game).map(s => [s.playerIndex, s.place, s.forfeited]),
+        [[2, null, null], [0, null, null], [1, null, Logic.FORFEIT_REASONS.RESIGNED]]);
+});
+
+test('under lastPlace the game goes on after the first seat finishes', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 5000 });
+    const game = createGame('classic', 3);
+    Object.assign(game, { phase: Logic.GAME_PHASES.AWAITING_MOVE, currentRolls: [1] });
+
+    const result = Logic.playMove(game, oneAwayFromHome(game, 'RED'), 1);
+    assert.equal(result.completed, true);
+    assert.deepEqual(game.winners, [0]);
+    assert.ok(!game.gameOver);
+
+    game.tokens.find(t => t.id === 'YELLOW-0').steps = 20;
+    Logic.forfeitSeat(game, 1, Logic.FORFEIT_REASONS.RESIGNED);
+    assert.equal(game.gameOver, true);
+    assert.deepEqual(Logic.getStandings(game).map(s => [s.playerIndex, s.place, s.tokensHome, s.finishedAt]),
+        [[0, 1, 4, 5000], [2, 2, 0, null], [1, null, 0, null]]);
+});
+
+test('under firstFinish the others are placed by progress as soon as one seat finishes', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 5000 });
+    const game = createGame({ preset: 'classic', endCondition: Logic.END_CONDITIONS.FIRST_FINISH }, 3);
+    Object.assign(game, { phase: Logic.GAME_PHASES.AWAITING_MOVE, currentRolls: [1] });
+    Object.assign(game.tokens.find(t => t.id === 'GREEN-0'), { position: 99, steps: 58, completed: true });
+    game.tokens.find(t => t.id === 'YELLOW-0').steps = 40;
+
+    Logic.playMove(game, oneAwayFromHome(game, 'RED'), 1);
+
+    assert.equal(game.gameOver, true);
+    assert.equal(game.endReason, Logic.GAME_END_REASONS.COMPLETED);
+    assert.deepEqual(Logic.getStandings(game).map(s => [s.playerIndex, s.place, s.tokensHome, s.finishedAt]),
+        [[0, 1, 4, 5000], [1, 2, 1, null], [2, 3, 0, null]]);
+});
@@ -0,0 +1,442 @@
+/**
+ * Game service: seating, turns and the timers of multiplayer games
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Logic = require('../gameLogic.js');
+const GameService = require('../services/gameService');
+const { AccountService } = require('../services/accountService');
+const { MemoryGameStore } = require('../services/storage');
+const { DiceProvider } = require('../services/diceProvider');
+const { ERROR_CODES } = require('../services/gameErrors');
+
+// Time a disconnected player has to come back (see GameService)
+const ABANDON_AFTER_MS = 5 * 60 * 1000;
+
+/**
+ * Commit-reveal dice that roll the given values in order, then random ones
+ * @param {number[][]} rolls - One entry per roll
+ * @returns {DiceProvider}
+ */
+const fixedDice = (rolls = []) => {
+    const dice = new DiceProvider();
+    const roll = dice.roll.bind(dice);
+    dice.roll = (game) => (rolls.length ? rolls.shift() : roll(game));
+    return dice;
+};
+
+const createService = (rolls) => new GameService({
+    store: new MemoryGameStore(),
+    dice: fixedDice(rolls),
+    accounts: new AccountService({ store: new MemoryGameStore() })
+});
+
+/**
+ * A started two-player game without ready-check or turn clocks
+ * @returns {Object} `{ service, game }`
+ */
+const startTwoPlayerGame = async (rolls, options = {}) => {
+    const service = createService(rolls);
+    const game = await service.createGame('socket-a', false, 'player-a', { readyCheck: false, turnTimer: false, ...options });
+    await service.joinGame('socket-b', game.id, 'player-b');
+    return { service, game };
+};
+
+test('a four-player table gives every newcomer the next single color', async () => {
+    const service = createService();
+    const game = await service.createGame('socket-a', false, 'player-a', { maxPlayers: 4 });
+    for (const n of ['b', 'c', 'd']) await service.joinGame(`socket-${n}`, game.id, `player-${n}`);
+
+    assert.deepEqual(game.players.map(p => p.colors), [['red'], ['green'], ['yellow'], ['blue']]);
+    await assert.rejects(service.joinGame('socket-e', game.id, 'player-e'), { code: ERROR_CODES.GAME_FULL });
+});
+
+test('a three-player game against the computer fills the other seats with bots', async () => {
+    const service = createService();
+    const game = await service.createGame('socket-a', true, 'player-a', { maxPlayers: 3 });
+
+    assert.equal(game.players.length, 3);
+    assert.deepEqual(game.players.slice(1).map(p => p.id), ['AI', 'AI']);
+    assert.equal(game.phase, Logic.GAME_PHASES.AWAITING_ROLL);
+});
+
+test('createGame stores the chosen house rules and rejects unknown ones', async () => {
+    const service = createService();
+    const game = await service.createGame('socket-a', false, 'player-a', { rules: { preset: 'quick', mandatoryCapture: true } });
+    assert.equal(game.rules.preset, 'quick');
+    assert.equal(game.rules.mandatoryCapture, true);
+
+    await assert.rejects(service.createGame('socket-b', false, 'player-b', { rules: 'nonsense' }), { code: ERROR_CODES.INVALID_OPTIONS });
+});
+
+test('every action is refused outside the phase it belongs to', async () => {
+    const { service, game } = await startTwoPlayerGame([[6, 1]]);
+    assert.throws(() => service.playRoll(game.id, 'player-a', 'RED-0', 6), { code: ERROR_CODES.OUT_OF_PHASE });
+    assert.throws(() => service.skipTurn(game.id, 'player-a'), { code: ERROR_CODES.OUT_OF_PHASE });
+
+    service.rollDice(game.id, 'player-a');
+    assert.equal(game.phase, Logic.GAME_PHASES.AWAITING_MOVE);
+    assert.throws(() => service.rollDice(game.id, 'player-a'), {
+        code: ERROR_CODES.OUT_OF_PHASE,
+        details: { phase: Logic.GAME_PHASES.AWAITING_MOVE, allowedPhases: [Logic.GAME_PHASES.AWAITING_ROLL] }
+    });
+    await assert.rejects(service.joinGame('socket-c', game.id, 'player-c'), { code: ERROR_CODES.OUT_OF_PHASE });
+});
+
+test('unplayable dice end the turn without waiting for a move', async () => {
+    const { service, game } = await startTwoPlayerGame([[2, 3]]);
+    service.rollDice(game.id, 'player-a');
+    assert.equal(game.phase, Logic.GAME_PHASES.AWAITING_ROLL);
+    assert.equal(game.currentPlayer, 1);
+});
+
+test('only the player to act may roll, and only their own tokens move', async () => {
+    const { service, game } = await startTwoPlayerGame([[6, 6]]);
+    assert.throws(() => service.rollDice(game.id, 'player-b'), { code: ERROR_CODES.NOT_YOUR_TURN });
+    assert.throws(() => service.rollDice(game.id, 'player-x'), { code: ERROR_CODES.PLAYER_NOT_FOUND });
+
+    service.rollDice(game.id, 'player-a');
+    assert.throws(() => service.playRoll(game.id, 'player-a', 'GREEN-0', 6), { code: ERROR_CODES.NOT_YOUR_TOKEN });
+    assert.throws(() => service.playRoll(game.id, 'player-a', 'PURPLE-0', 6), { code: ERROR_CODES.TOKEN_NOT_FOUND });
+    assert.throws(() => service.playRoll(game.id, 'player-a', 'RED-0', 5), { code: ERROR_CODES.INVALID_ROLL });
+
+    service.playRoll(game.id, 'player-a', 'RED-0', 6);
+    assert.equal(game.tokens.find(t => t.id === 'RED-0').position, Logic.PLAYER_START_OFFSETS.RED);
+});
+
+test('a move the board does not allow is refused as INVALID_MOVE', async () => {
+    const { service, game } = await startTwoPlayerGame([[6, 1]]);
+    service.rollDice(game.id, 'player-a');
+    assert.throws(() => service.playRoll(game.id, 'player-a', 'RED-0', 1), { code: ERROR_CODES.INVALID_MOVE });
+});
+
+test('a game restored from the store can be rejoined by its players', async () => {
+    const { service, game } = await startTwoPlayerGame([[6, 6]]);
+    service.rollDice(game.id, 'player-a');
+    await service.saveGameState(game.id);
+
+    const restarted = new GameService({ store: service.store, dice: fixedDice(), accounts: service.accounts });
+    const state = await restarted.rejoinGame('socket-c', game.id, 'player-a');
+    assert.equal(state.playerIndex, 0);
+    assert.equal(state.phase, Logic.GAME_PHASES.AWAITING_MOVE);
+    assert.deepEqual(restarted.games[game.id].currentRolls, [6, 6]);
+    await assert.rejects(restarted.rejoinGame('socket-d', game.id, 'player-x'), { code: ERROR_CODES.PLAYER_NOT_FOUND });
+});
+
+test('cleanup evicts idle games from memory and keeps their saves', async () => {
+    const { service, game } = await startTwoPlayerGame();
+    service.handleDisconnect('socket-a');
+    service.handleDisconnect('socket-b');
+    game.players.forEach(p => clearTimeout(p.disconnectTimer));
+    game.lastActivity = Date.now() - 43 * 60 * 60 * 1000;
+
+    await service.cleanupOldGames();
+    assert.equal(service.games[game.id], undefined);
+    assert.deepEqual(await service.store.list(), [game.id]);
+});
+
+test('an undo waits for the opponent\'s consent, and a refusal keeps the move', async () => {
+    const { service, game } = await startTwoPlayerGame([[6, 6]]);
+    service.rollDice(game.id, 'player-a');
+    service.playRoll(game.id, 'player-a', 'RED-0', 6);
+    const token = game.tokens.find(t => t.id === 'RED-0');
+
+    assert.throws(() => service.requestUndo(game.id, 'player-b'), { code: ERROR_CODES.NOTHING_TO_UNDO });
+    assert.throws(() => service.respondUndo(game.id, 'player-b', true), { code: ERROR_CODES.NO_UNDO_REQUEST });
+
+    assert.equal(service.requestUndo(game.id, 'player-a').applied, false);
+    assert.throws(() => service.requestUndo(game.id, 'player-a'), { code: ERROR_CODES.UNDO_PENDING });
+    assert.throws(() => service.respondUndo(game.id, 'player-a', true), { code: ERROR_CODES.NO_UNDO_REQUEST });
+    assert.equal(service.respondUndo(game.id, 'player-b', false).declined, true);
+    assert.equal(token.position, Logic.PLAYER_START_OFFSETS.RED);
+
+    service.requestUndo(game.id, 'player-a');
+    const answer = service.respondUndo(game.id, 'player-b', true);
+    assert.equal(answer.applied, true);
+    assert.equal(game.tokens.find(t => t.id === 'RED-0').position, -1);
+    assert.deepEqual(game.currentRolls, [6, 6]);
+    assert.equal(game.moveLog.at(-1).type, Logic.EVENT_TYPES.UNDO);
+});
+
+test('games against the computer undo at once', async () => {
+    const service = createService([[6, 6]]);
+    const game = await service.createGame('socket-a', true, 'player-a');
+    service.rollDice(game.id, 'player-a');
+    service.playRoll(game.id, 'player-a', 'RED-0', 6);
+
+    assert.equal(service.requestUndo(game.id, 'player-a').applied, true);
+    assert.equal(game.tokens.find(t => t.id === 'RED-0').position, -1);
+});
+
+test('ranked games and games created without undo refuse takebacks', async () => {
+    for (const options of [{ ranked: true }, { allowUndo: false }]) {
+        const { service, game } = await startTwoPlayerGame([[6, 6]], options);
+        service.rollDice(game.id, 'player-a');
+        service.playRoll(game.id, 'player-a', 'RED-0', 6);
+
+        assert.equal(service.canRequestUndo(game, 0), false);
+        assert.throws(() => service.requestUndo(game.id, 'player-a'), { code: ERROR_CODES.UNDO_DISABLED });
+    }
+});
+
+test('the legal moves of a private room are only listed to those who may enter it', async () => {
+    const service = createService([[6, 6]]);
+    const game = await service.createGame('socket-a', false, 'player-a', { password: 'secret', readyCheck: false, turnTimer: false });
+    await service.joinGame('socket-b', game.id, 'player-b', { password: 'secret' });
+    service.rollDice(game.id, 'player-a');
+
+    await assert.rejects(service.getLegalMoves(game.id, { playerId: 'player-x' }), { code: ERROR_CODES.ROOM_ACCESS_DENIED });
+    await assert.rejects(service.getLegalMoves(game.id, { playerId: 'player-x', password: 'guess' }), { code: ERROR_CODES.ROOM_ACCESS_DENIED });
+
+    const { moves } = await service.getLegalMoves(game.id, { playerId: 'player-b' });
+    assert.ok(moves.length);
+    assert.deepEqual((await service.getLegalMoves(game.id, { playerId: 'player-x', password: 'secret' })).moves, moves);
+
+    await service.spectateGame('socket-x', game.id, { playerId: 'player-x', password: 'secret' });
+    assert.deepEqual((await service.getLegalMoves(game.id, { playerId: 'player-x', socketId: 'socket-x' })).moves, moves);
+});
+
+test('a preview shows where the move lands without playing it', async () => {
+    const { service, game } = await startTwoPlayerGame([[6, 3]]);
+    service.rollDice(game.id, 'player-a');
+    const before = structuredClone(game.tokens);
+    const token = game.tokens.find(t => t.color === 'RED');
+
+    const preview = service.previewMove(game.id, 'player-a', token.id, 6);
+    assert.equal(preview.position, Logic.PLAYER_START_OFFSETS.RED);
+    assert.equal(preview.captured, null);
+    assert.deepEqual(game.tokens, before);
+    assert.deepEqual(game.currentRolls, [6, 3]);
+
+    assert.throws(() => service.previewMove(game.id, 'player-b', token.id, 6), { code: ERROR_CODES.NOT_YOUR_TURN });
+    assert.throws(() => service.previewMove(game.id, 'player-a', token.id, 3), { code: ERROR_CODES.INVALID_MOVE });
+});
+
+test('a private room admits invite holders and its password, until the invite expires', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const service = createService();
+    const game = await service.createGame('socket-a', false, 'player-a', { maxPlayers: 4, password: 'secret' });
+    const [invite] = game.room.invites;
+    assert.equal(service.describeRoom(game).hasPassword, true);
+    assert.equal(JSON.stringify(service.describeRoom(game)).includes(invite.code), false);
+
+    await assert.rejects(service.joinGame('socket-b', game.id, 'player-b'), { code: ERROR_CODES.ROOM_ACCESS_DENIED });
+    await assert.rejects(service.joinGame('socket-b', game.id, 'player-b', { inviteCode: 'made-up' }), { code: ERROR_CODES.ROOM_ACCESS_DENIED });
+    await service.joinGame('socket-b', game.id, 'player-b', { inviteCode: invite.code });
+    await service.joinGame('socket-c', game.id, 'player-c', { password: 'secret' });
+
+    const shortInvite = service.createInvite(game.id, 'player-a', 60 * 1000);
+    assert.throws(() => service.createInvite(game.id, 'player-b'), { code: ERROR_CODES.NOT_HOST });
+    t.mock.timers.tick(60 * 1000);
+    await assert.rejects(service.joinGame('socket-d', game.id, 'player-d', { inviteCode: shortInvite.code }), {
+        code: ERROR_CODES.INVITE_EXPIRED,
+        details: { expiresAt: 60 * 1000 }
+    });
+    await service.joinGame('socket-d', game.id, 'player-d', { inviteCode: invite.code });
+    assert.equal(game.players.length, 4);
+});
+
+test('a room stops checking passwords for a while after too many wrong ones', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const service = createService();
+    const game = await service.createGame('socket-a', false, 'player-a', { maxPlayers: 3, password: 'secret' });
+    const other = await service.createGame('socket-z', false, 'player-z', { password: 'secret' });
+
+    for (let i = 0; i < 5; i++) {
+        await assert.rejects(service.joinGame('socket-b', game.id, 'player-b', { password: `guess ${i}` }), { code: ERROR_CODES.ROOM_ACCESS_DENIED });
+    }
+    t.mock.timers.tick(20 * 1000);
+    await assert.rejects(service.joinGame('socket-b', game.id, 'player-b', { password: 'secret' }), {
+        code: ERROR_CODES.TOO_MANY_ATTEMPTS,
+        details: { retryInMs: 40 * 1000 }
+    });
+    await assert.rejects(service.getReplay(game.id, undefined, { playerId: 'player-b', password: 'secret' }), { code: ERROR_CODES.TOO_MANY_ATTEMPTS });
+
+    // Guesses sent together count before they are checked
+    const burst = Array.from({ length: 6 }, (_, i) => service.joinGame(`socket-${i}`, other.id, `guesser-${i}`, { password: `wrong ${i}` }));
+    const codes = (await Promise.allSettled(burst)).map(r => r.reason.code);
+    assert.equal(codes.filter(c => c === ERROR_CODES.TOO_MANY_ATTEMPTS).length, 1);
+
+    // Invites and other rooms are not affected
+    await service.joinGame('socket-c', game.id, 'player-c', { inviteCode: game.room.invites[0].code });
+    const third = await service.createGame('socket-x', false, 'player-x', { password: 'secret' });
+    await service.joinGame('socket-y', third.id, 'player-y', { password: 'secret' });
+
+    t.mock.timers.tick(40 * 1000);
+    await service.joinGame('socket-b', game.id, 'player-b', { password: 'secret' });
+    assert.equal(game.players.length, 3);
+});
+
+test('the host can kick a player, who stays out, and the later seats keep their colors', async () => {
+    const service = createService();
+    const game = await service.createGame('socket-a', false, 'player-a', { maxPlayers: 4 });
+    for (const n of ['b', 'c']) await service.joinGame(`socket-${n}`, game.id, `player-${n}`);
+    service.chooseColors(game.id, 'player-c', 'blue');
+    const colors = game.players.map(p => p.colors);
+
+    assert.throws(() => service.kickPlayer(game.id, 'player-b', 2), { code: ERROR_CODES.NOT_HOST });
+    assert.throws(() => service.kickPlayer(game.id, 'player-a', 0), { code: ERROR_CODES.INVALID_OPTIONS });
+    const { kicked } = service.kickPlayer(game.id, 'player-a', 1);
+    assert.equal(kicked.playerId, 'player-b');
+    assert.deepEqual(game.players.map(p => [p.playerId, p.playerIndex, p.colors]), [
+        ['player-a', 0, colors[0]],
+        ['player-c', 1, colors[2]]
+    ]);
+
+    await assert.rejects(service.joinGame('socket-b', game.id, 'player-b'), { code: ERROR_CODES.ROOM_ACCESS_DENIED });
+    service.lockRoom(game.id, 'player-a', true);
+    await assert.rejects(service.joinGame('socket-d', game.id, 'player-d'), { code: ERROR_CODES.ROOM_LOCKED });
+});
+
+test('a ready-check game waits for every player to be ready and for the host to start', async () => {
+    const service = createService();
+    const game = await service.createGame('socket-a', false, 'player-a', { startCountdown: 0, turnTimer: false });
+    await service.joinGame('socket-b', game.id, 'player-b');
+    assert.equal(game.phase, Logic.GAME_PHASES.WAITING_FOR_PLAYERS);
+
+    assert.throws(() => service.startGame(game.id, 'player-b'), { code: ERROR_CODES.NOT_HOST });
+    assert.throws(() => service.startGame(game.id, 'player-a'), {
+        code: ERROR_CODES.PLAYERS_NOT_READY,
+        details: { notReady: [1] }
+    });
+
+    service.setReady(game.id, 'player-b');
+    service.startGame(game.id, 'player-a');
+    assert.equal(game.phase, Logic.GAME_PHASES.AWAITING_ROLL);
+    assert.throws(() => service.setReady(game.id, 'player-b', false), { code: ERROR_CODES.OUT_OF_PHASE });
+});
+
+test('the start countdown ticks every second, and a player withdrawing stops it', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+    const service = createService();
+    const ticks = [];
+    service.on('countdown', (game, tick) => ticks.push(tick.cancelled ? 'cancelled' : tick.secondsLeft));
+    const game = await service.createGame('socket-a', false, 'player-a', { startCountdown: 3, turnTimer: false });
+    await service.joinGame('socket-b', game.id, 'player-b');
+    service.setReady(game.id, 'player-b');
+
+    service.startGame(game.id, 'player-a');
+    assert.equal(game.phase, Logic.GAME_PHASES.STARTING);
+    assert.equal(service.describeRoom(game).startsAt, 3000);
+    t.mock.timers.tick(1000);
+    service.setReady(game.id, 'player-b', false);
+    assert.equal(game.phase, Logic.GAME_PHASES.WAITING_FOR_PLAYERS);
+    t.mock.timers.tick(5000);
+    assert.deepEqual(ticks, [3, 2, 'cancelled']);
+
+    service.setReady(game.id, 'player-b');
+    service.startGame(game.id, 'player-a');
+    for (let i = 0; i < 3; i++) t.mock.timers.tick(1000);
+    assert.deepEqual(ticks.slice(3), [3, 2, 1]);
+    assert.equal(game.phase, Logic.GAME_PHASES.AWAITING_ROLL);
+});
+
+test('starting early shrinks the table to the players seated', async () => {
+    const service = createService();
+    const game = await service.createGame('socket-a', false, 'player-a', { maxPlayers: 4, startCountdown: 0, turnTimer: false });
+    assert.throws(() => service.startGame(game.id, 'player-a'), { code: ERROR_CODES.NOT_ENOUGH_PLAYERS });
+    await service.joinGame('socket-b', game.id, 'player-b');
+    service.setReady(game.id, 'player-b');
+
+    service.startGame(game.id, 'player-a');
+    assert.equal(game.maxPlayers, 2);
+    assert.deepEqual(game.players.map(p => p.colors), Logic.getColorSets(2));
+    assert.equal(game.phase, Logic.GAME_PHASES.AWAITING_ROLL);
+});
+
+test('the first turn clock runs as soon as a game starts, matchmade or not', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+    const service = createService();
+    const game = await service.createGame('socket-a', false, 'player-a', { readyCheck: false, turnTimer: { rollSeconds: 10 } });
+    assert.equal(service.turnTimers[game.id], undefined);
+    await service.joinGame('socket-b', game.id, 'player-b');
+    assert.deepEqual(service.describeTurnClock(game), {
+        playerIndex: 0, phase: Logic.GAME_PHASES.AWAITING_ROLL, deadline: 10000, remainingMs: 10000, timeouts: 0, maxTimeouts: 3
+    });
+
+    service.findMatch('socket-c', 'player-c');
+    const { game: matched } = service.findMatch('socket-d', 'player-d');
+    assert.equal(service.describeTurnClock(matched).playerIndex, 0);
+    assert.ok(service.turnTimers[matched.id]);
+
+    await assert.rejects(service.createGame('socket-e', false, 'player-e', { turnTimer: { rollSeconds: 1 } }), { code: ERROR_CODES.INVALID_OPTIONS });
+});
+
+test('when the clock runs out the server rolls and plays for the seat', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+    const { service, game } = await startTwoPlayerGame([[2, 3], [6, 1]], { turnTimer: { rollSeconds: 5, moveSeconds: 5 } });
+    const updates = [];
+    service.on('gameUpdated', (updated, info) => updates.push(info));
+
+    t.mock.timers.tick(5000);
+    const [timeout, roll] = game.moveLog.slice(-2);
+    assert.deepEqual([timeout.type, timeout.playerIndex, timeout.timeouts], [Logic.EVENT_TYPES.TIMEOUT, 0, 1]);
+    assert.deepEqual(roll.dice, [2, 3]);
+    assert.equal(game.currentPlayer, 1);
+    assert.deepEqual(updates, [{ rolled: true }]);
+
+    // The next seat's clock starts afresh
+    assert.equal(service.describeTurnClock(game).deadline, 10000);
+    service.rollDice(game.id, 'player-b');
+    assert.equal(service.describeTurnClock(game).phase, Logic.GAME_PHASES.AWAITING_MOVE);
+});
+
+test('a seat that runs out of time too often in a row forfeits', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+    const { service, game } = await startTwoPlayerGame([], { turnTimer: { rollSeconds: 5, maxTimeouts: 1 } });
+
+    t.mock.timers.tick(5000);
+    assert.equal(game.players[0].forfeited, Logic.FORFEIT_REASONS.TIMED_OUT);
+    assert.equal(game.gameOver, true);
+    assert.equal(game.result.winner, 1);
+    assert.deepEqual(game.result.forfeited, [{ playerIndex: 0, reason: Logic.FORFEIT_REASONS.TIMED_OUT }]);
+    assert.equal(service.turnTimers[game.id], undefined);
+});
+
+test('a resigning player leaves the others playing, and the last opponent wins', async () => {
+    const service = createService();
+    const ended = [];
+    service.on('gameEnded', (game, result) => ended.push(result));
+    const game = await service.createGame('socket-a', false, 'player-a', { maxPlayers: 3, readyCheck: false, turnTimer: false });
+    for (const n of ['b', 'c']) await service.joinGame(`socket-${n}`, game.id, `player-${n}`);
+
+    service.resign(game.id, 'player-b');
+    assert.equal(game.players[1].forfeited, Logic.FORFEIT_REASONS.RESIGNED);
+    assert.equal(game.gameOver, false);
+    assert.throws(() => service.resign(game.id, 'player-b'), { code: ERROR_CODES.OUT_OF_PHASE });
+
+    service.resign(game.id, 'player-a');
+    assert.equal(game.gameOver, true);
+    assert.equal(game.endReason, Logic.GAME_END_REASONS.RESIGNED);
+    assert.equal(ended.length, 1);
+    assert.equal(ended[0].winner, 2);
+    assert.throws(() => service.resign(game.id, 'player-c'), { code: ERROR_CODES.OUT_OF_PHASE });
+});
+
+test('a player who stays away is forfeited as abandoned', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const { service, game } = await startTwoPlayerGame();
+
+    service.handleDisconnect('socket-b');
+    assert.equal(game.players[1].disconnected, true);
+    t.mock.timers.tick(ABANDON_AFTER_MS);
+    assert.equal(game.players[1].forfeited, Logic.FORFEIT_REASONS.ABANDONED);
+    assert.equal(game.result.reason, Logic.GAME_END_REASONS.ABANDONED);
+    assert.equal(game.result.winner, 0);
+});
+
+test('coming back through joinGame in time keeps the seat', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const { service, game } = await startTwoPlayerGame();
+
+    service.handleDisconnect('socket-b');
+    await service.joinGame('socket-c', game.id, 'player-b');
+    t.mock.timers.tick(ABANDON_AFTER_MS);
+
+    const seat = game.players[1];
+    assert.equal(seat.forfeited, undefined);
+    assert.equal(seat.disconnected, false);
+    assert.equal(seat.id, 'socket-c');
+    assert.equal(game.gameOver, false);
+});
@@ -0,0 +1,27 @@
+/**
+ * Glicko-2 ratings
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_RATING, updateRating, rateStandings } = require('../services/glicko2');
+
+test('updateRating reproduces the example of the Glicko-2 paper', () => {
+    const rated = updateRating({ rating: 1500, rd: 200, volatility: 0.06 }, [
+        { rating: 1400, rd: 30, score: 1 },
+        { rating: 1550, rd: 100, score: 0 },
+        { rating: 1700, rd: 300, score: 0 }
+    ]);
+    assert.ok(Math.abs(rated.rating - 1464.06) < 0.05);
+    assert.ok(Math.abs(rated.rd - 151.52) < 0.05);
+    assert.ok(Math.abs(rated.volatility - 0.05999) < 0.0001);
+});
+
+test('rateStandings orders new ratings by place and lets two forfeits draw', () => {
+    const seats = [{}, {}, { forfeited: true }, { forfeited: true }].map(seat => ({ ...DEFAULT_RATING, ...seat }));
+    const [first, second, third, fourth] = rateStandings(seats);
+
+    assert.ok(first.rating > second.rating && second.rating > 1500);
+    assert.ok(third.rating < 1500);
+    assert.equal(third.rating, fourth.rating);
+});
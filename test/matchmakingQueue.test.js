@@ -0,0 +1,80 @@
+/**
+ * Matchmaking: arrival order per table, rating windows for ranked tables, leaving the queue, and the public lobby
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MatchmakingQueue = require('../services/matchmakingQueue');
+const GameService = require('../services/gameService');
+const { AccountService } = require('../services/accountService');
+const { MemoryGameStore } = require('../services/storage');
+
+const rules = { preset: 'classic' };
+
+const createService = () => new GameService({
+    store: new MemoryGameStore(),
+    accounts: new AccountService({ store: new MemoryGameStore() })
+});
+
+test('casual players are matched in arrival order', () => {
+    const queue = new MatchmakingQueue();
+    assert.equal(queue.add({ socketId: 's1', playerId: 'a', maxPlayers: 2, rules }), null);
+    const group = queue.add({ socketId: 's2', playerId: 'b', maxPlayers: 2, rules });
+    assert.deepEqual(group.map(e => e.playerId), ['a', 'b']);
+    assert.equal(queue.status('s1'), null);
+});
+
+test('ranked players wait for a close rating, and the window widens with time', () => {
+    const queue = new MatchmakingQueue();
+    queue.add({ socketId: 's1', playerId: 'a', maxPlayers: 2, rules, ranked: true, rating: 1500 });
+    assert.equal(queue.add({ socketId: 's2', playerId: 'b', maxPlayers: 2, rules, ranked: true, rating: 1700 }), null);
+
+    const group = queue.add({ socketId: 's3', playerId: 'c', maxPlayers: 2, rules, ranked: true, rating: 1650 });
+    assert.deepEqual(group.map(e => e.playerId).sort(), ['b', 'c']);
+
+    queue.add({ socketId: 's4', playerId: 'd', maxPlayers: 2, rules, ranked: true, rating: 1800 });
+    assert.deepEqual(queue.matchRanked(Date.now()), []);
+    assert.deepEqual(queue.matchRanked(Date.now() + 60 * 1000).map(g => g.map(e => e.playerId)), [['a', 'd']]);
+    assert.equal(queue.hasRanked(), false);
+});
+
+test('players only meet others asking for the same table', () => {
+    const queue = new MatchmakingQueue();
+    queue.add({ socketId: 's1', playerId: 'a', maxPlayers: 2, rules });
+    assert.equal(queue.add({ socketId: 's2', playerId: 'b', maxPlayers: 3, rules }), null);
+    assert.equal(queue.add({ socketId: 's3', playerId: 'c', maxPlayers: 2, rules: { preset: 'traditional' } }), null);
+    assert.deepEqual(queue.status('s1'), { maxPlayers: 2, rules, ranked: false, waiting: 1 });
+});
+
+test('a player queued again, from any socket, only waits once', () => {
+    const queue = new MatchmakingQueue();
+    queue.add({ socketId: 's1', playerId: 'a', maxPlayers: 3, rules });
+    queue.add({ socketId: 's1', playerId: 'a', maxPlayers: 3, rules });
+    queue.add({ socketId: 's2', playerId: 'a', maxPlayers: 3, rules });
+    assert.equal(queue.status('s1'), null);
+    assert.equal(queue.status('s2').waiting, 1);
+
+    assert.equal(queue.remove('s2'), true);
+    assert.equal(queue.remove('s2'), false);
+    assert.equal(queue.queues.size, 0);
+});
+
+test('findMatch seats a full group in queue order, and the lobby lists open public games', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] }); // Matched games start with their turn clock running
+    const service = createService();
+    const waiting = service.findMatch('s1', 'a', { rules: 'classic' });
+    assert.equal(waiting.matched, false);
+    assert.equal(waiting.waiting, 1);
+
+    const { matched, game, seats } = service.findMatch('s2', 'b', { rules: 'classic' });
+    assert.equal(matched, true);
+    assert.deepEqual(seats.map(s => [s.socketId, s.playerIndex]), [['s1', 0], ['s2', 1]]);
+    assert.equal(game.settings.readyCheck, false);
+    assert.equal(game.gameStarted, true);
+
+    const open = await service.createGame('s3', false, 'c', { isPublic: true, maxPlayers: 3 });
+    await service.createGame('s4', false, 'd');
+    const locked = await service.createGame('s5', false, 'e', { isPublic: true });
+    service.lockRoom(locked.id, 'e', true);
+    assert.deepEqual(service.listOpenGames().map(g => [g.gameId, g.players, g.maxPlayers]), [[open.id, 1, 3]]);
+});
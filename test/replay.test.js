@@ -0,0 +1,137 @@
+/**
+ * Replays must rebuild exactly the state the live game reached, and refuse logs
+ * that no legal game could have produced. The dice audit must hold for every
+ * roll the server made.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Logic = require('../gameLogic.js');
+const GameService = require('../services/gameService');
+const { AccountService } = require('../services/accountService');
+const { MemoryGameStore } = require('../services/storage');
+const { DiceProvider, verifyRolls } = require('../services/diceProvider');
+const { replayEvents } = require('../services/replayService');
+const { ERROR_CODES } = require('../services/gameErrors');
+
+const createService = (dice) => new GameService({
+    store: new MemoryGameStore(),
+    dice,
+    accounts: new AccountService({ store: new MemoryGameStore() })
+});
+
+const boardOf = (game) => game.tokens.map(({ id, position, steps, completed }) => ({ id, position, steps, completed }));
+
+const startGame = async (service) => {
+    const game = await service.createGame('socket-a', false, 'player-a', { readyCheck: false, turnTimer: false });
+    await service.joinGame('socket-b', game.id, 'player-b');
+    return game;
+};
+
+/**
+ * Play a two-player game through the service, always taking the first legal move
+ * @param {GameService} service - The service
+ * @param {Object} [options]
+ * @param {number} [options.stopAfter] - Stop once this many actions were taken
+ * @param {Object} [options.game] - Carry on with this game instead of starting a new one
+ * @returns {Object} The game
+ */
+const playGame = async (service, { stopAfter = Infinity, game } = {}) => {
+    game = game || await startGame(service);
+    for (let actions = 0; !game.gameOver && actions < stopAfter; actions++) {
+        const playerId = game.players[game.currentPlayer].playerId;
+        if (game.phase === Logic.GAME_PHASES.AWAITING_ROLL) {
+            service.rollDice(game.id, playerId);
+            continue;
+        }
+        const [move] = Logic.getLegalMoves(game);
+        if (move) service.playRoll(game.id, playerId, move.tokenId, move.dieValue);
+        else service.skipTurn(game.id, playerId);
+    }
+    return game;
+};
+
+test('replaying the whole log rebuilds the finished game', async () => {
+    const game = await playGame(createService(new DiceProvider({ seed: 'replay-test' })));
+    assert.equal(game.gameOver, true);
+
+    const replayed = replayEvents(game.moveLog);
+    assert.deepEqual(boardOf(replayed), boardOf(game));
+    assert.deepEqual(replayed.winners, game.winners);
+    assert.equal(replayed.gameOver, true);
+});
+
+test('replaying part of the log rebuilds the game as it was at that event', async () => {
+    const game = await playGame(createService(new DiceProvider({ seed: 'partial-replay' })), { stopAfter: 150 });
+    assert.equal(game.gameOver, false);
+
+    const replayed = replayEvents(game.moveLog, game.moveLog.length);
+    assert.deepEqual(boardOf(replayed), boardOf(game));
+    assert.equal(replayed.currentPlayer, game.currentPlayer);
+    assert.equal(replayed.phase, game.phase);
+    assert.deepEqual(replayed.currentRolls, game.currentRolls);
+});
+
+test('a move with another seat\'s token is reported as REPLAY_UNAVAILABLE, even when the board allows it', async () => {
+    const game = await playGame(createService(new DiceProvider({ seed: 'tampered' })), { stopAfter: 200 });
+    const events = structuredClone(game.moveLog);
+
+    // A recorded move that an opponent's token could also have made with the same die
+    let forged = null;
+    for (const move of events.filter(e => e.type === Logic.EVENT_TYPES.MOVE)) {
+        const before = replayEvents(events, move.seq - 1);
+        before.diceValue = move.dieValue;
+        const seat = before.players[before.currentPlayer];
+        const foreign = before.tokens.find(t => !seat.colors.includes(t.color.toLowerCase()) && Logic.isValidMove(before, t));
+        if (foreign) {
+            forged = { move, foreign };
+            break;
+        }
+    }
+    assert.ok(forged, 'the game has a move an opponent token could copy');
+    forged.move.tokenId = forged.foreign.id;
+
+    assert.throws(() => replayEvents(events), { code: ERROR_CODES.REPLAY_UNAVAILABLE, message: /another seat/ });
+});
+
+test('a move with a die that was not rolled is reported as REPLAY_UNAVAILABLE', async () => {
+    const game = await playGame(createService(new DiceProvider({ seed: 'tampered' })), { stopAfter: 200 });
+    const events = structuredClone(game.moveLog);
+    const move = events.find(e => e.type === Logic.EVENT_TYPES.MOVE);
+    const roll = events.filter(e => e.type === Logic.EVENT_TYPES.ROLL && e.seq < move.seq).pop();
+    move.dieValue = [1, 2, 3, 4, 5, 6].find(v => !roll.dice.includes(v));
+
+    assert.throws(() => replayEvents(events), { code: ERROR_CODES.REPLAY_UNAVAILABLE, message: /not rolled/ });
+});
+
+test('the replay of a private room needs a seat, an invite or the password', async () => {
+    const service = createService(new DiceProvider({ seed: 'private-replay' }));
+    const game = await service.createGame('socket-a', false, 'player-a', { password: 'open sesame' });
+    const [invite] = game.room.invites;
+
+    await assert.rejects(service.getReplay(game.id), { code: ERROR_CODES.ROOM_ACCESS_DENIED });
+    await assert.rejects(service.getReplay(game.id, undefined, { password: 'wrong' }), { code: ERROR_CODES.ROOM_ACCESS_DENIED });
+    assert.ok((await service.getReplay(game.id, undefined, { password: 'open sesame' })).events.length);
+    assert.ok((await service.getReplay(game.id, undefined, { inviteCode: invite.code })).events.length);
+    assert.ok((await service.getReplay(game.id, 1, { playerId: 'player-a' })).state);
+});
+
+test('the seed stays secret until the game is over, then reproduces every roll', async () => {
+    const service = createService(new DiceProvider());
+    const game = await playGame(service, { stopAfter: 20 });
+
+    const running = service.dice.audit(game);
+    assert.equal(running.seed, undefined);
+    assert.equal(running.verified, undefined);
+
+    await playGame(service, { game });
+    const audit = service.dice.audit(game);
+    assert.equal(audit.verified, true);
+    assert.equal(audit.commitment, running.commitment);
+
+    const events = structuredClone(game.moveLog);
+    const roll = events.find(e => e.type === Logic.EVENT_TYPES.ROLL);
+    roll.dice[0] = (roll.dice[0] % 6) + 1;
+    assert.equal(verifyRolls(audit.seed, audit.commitment, events), false);
+    assert.equal(verifyRolls('another seed', audit.commitment, game.moveLog), false);
+});
@@ -0,0 +1,33 @@
+/**
+ * Signed session tokens
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { issueToken, verifyToken } = require('../services/sessionService');
+
+test('a token issued for a player verifies to that player', () => {
+    assert.equal(verifyToken(issueToken('player-a')), 'player-a');
+});
+
+test('forged, altered and malformed tokens are rejected', () => {
+    const [payload, signature] = issueToken('player-a').split('.');
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    const altered = Buffer.from(JSON.stringify({ ...claims, pid: 'player-b' })).toString('base64url');
+
+    assert.equal(verifyToken(`${altered}.${signature}`), null);
+    assert.equal(verifyToken(`${payload}.${signature.slice(0, -2)}xx`), null);
+    assert.equal(verifyToken(payload), null);
+    assert.equal(verifyToken(undefined), null);
+    assert.equal(verifyToken({ pid: 'player-a' }), null);
+});
+
+test('tokens expire after a week', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    const token = issueToken('player-a');
+
+    t.mock.timers.tick(6 * 24 * 60 * 60 * 1000);
+    assert.equal(verifyToken(token), 'player-a');
+    t.mock.timers.tick(2 * 24 * 60 * 60 * 1000);
+    assert.equal(verifyToken(token), null);
+});
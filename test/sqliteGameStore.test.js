@@ -0,0 +1,94 @@
+/**
+ * SQLite game store: the snapshot contract, and the listings read from its tables
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SqliteGameStore = require('../services/storage/sqliteGameStore');
+const GameService = require('../services/gameService');
+const { AccountService } = require('../services/accountService');
+const { MemoryGameStore } = require('../services/storage');
+const { ERROR_CODES } = require('../services/gameErrors');
+
+/**
+ * A saved game as GameService writes it
+ */
+const savedGame = (id, { phase = 'AWAITING_ROLL', gameOver = false, isPrivate = false, lastActivity = Date.now(), players = ['player-a', 'player-b'] } = {}) => ({
+    id,
+    phase,
+    gameOver,
+    maxPlayers: players.length,
+    currentPlayer: 0,
+    winners: gameOver ? [1, 0] : [],
+    room: { isPrivate },
+    players: players.map((playerId, playerIndex) => ({ playerId, playerIndex, colors: [['red', 'yellow'], ['green', 'blue']][playerIndex] })),
+    tokens: [{ id: 'RED-0', color: 'RED', position: 3, steps: 3, completed: false }],
+    moveLog: [
+        { seq: 1, type: 'create', playerIndex: null },
+        { seq: 2, type: 'move', playerIndex: 0, tokenId: 'RED-0', dieValue: 3, from: 0, to: 3, completed: false }
+    ],
+    createdAt: lastActivity - 1000,
+    lastActivity
+});
+
+const createStore = (t) => {
+    const store = new SqliteGameStore(':memory:');
+    t.after(() => store.close());
+    return store;
+};
+
+test('sqlite store saves, lists, loads and deletes games', async (t) => {
+    const store = createStore(t);
+    const data = savedGame('abc123');
+    await store.save('abc123', data);
+    await store.save('abc123', { ...data, currentPlayer: 1 });
+
+    assert.deepEqual(await store.load('abc123'), { ...data, currentPlayer: 1 });
+    assert.deepEqual(await store.list(), ['abc123']);
+    assert.equal(store.db.prepare('SELECT COUNT(*) AS n FROM moves WHERE game_id = ?').get('abc123').n, 2);
+
+    await store.delete('abc123');
+    assert.equal(await store.load('abc123'), null);
+    assert.equal(store.db.prepare('SELECT COUNT(*) AS n FROM moves').get().n, 0);
+});
+
+test('finished games are listed most recent first, without private rooms', async (t) => {
+    const store = createStore(t);
+    await store.save('old', savedGame('old', { phase: 'FINISHED', gameOver: true, lastActivity: 1000 }));
+    await store.save('new', savedGame('new', { phase: 'FINISHED', gameOver: true, lastActivity: 2000 }));
+    await store.save('secret', savedGame('secret', { phase: 'FINISHED', gameOver: true, isPrivate: true }));
+    await store.save('live', savedGame('live'));
+
+    const games = await store.listFinishedGames();
+    assert.deepEqual(games.map(g => g.id), ['new', 'old']);
+    assert.deepEqual(games[0].winners, [1, 0]);
+    assert.deepEqual((await store.listFinishedGames({ limit: 1, offset: 1 })).map(g => g.id), ['old']);
+});
+
+test('a player\'s active games leave out finished games and other players\' games', async (t) => {
+    const store = createStore(t);
+    await store.save('waiting', savedGame('waiting', { phase: 'WAITING_FOR_PLAYERS', lastActivity: 1000 }));
+    await store.save('playing', savedGame('playing', { lastActivity: 2000 }));
+    await store.save('done', savedGame('done', { phase: 'FINISHED', gameOver: true }));
+    await store.save('other', savedGame('other', { players: ['player-c', 'player-d'] }));
+
+    const games = await store.listActiveGamesForPlayer('player-b');
+    assert.deepEqual(games.map(g => [g.id, g.status, g.playerIndex]), [['playing', 'active', 1], ['waiting', 'waiting', 1]]);
+});
+
+test('GameService lists history from the sqlite store and refuses it on other stores', async (t) => {
+    const accounts = new AccountService({ store: new MemoryGameStore() });
+    const store = createStore(t);
+    await store.save('done', savedGame('done', { phase: 'FINISHED', gameOver: true }));
+    await store.save('playing', savedGame('playing'));
+
+    const service = new GameService({ store, accounts });
+    assert.deepEqual((await service.listFinishedGames({ limit: '5' })).map(g => g.id), ['done']);
+    assert.deepEqual((await service.listActiveGames('player-a')).map(g => g.id), ['playing']);
+    await assert.rejects(service.listFinishedGames({ limit: 500 }), { code: ERROR_CODES.INVALID_OPTIONS });
+    await assert.rejects(service.listFinishedGames({ offset: -1 }), { code: ERROR_CODES.INVALID_OPTIONS });
+
+    const memory = new GameService({ store: new MemoryGameStore(), accounts });
+    await assert.rejects(memory.listFinishedGames(), { code: ERROR_CODES.HISTORY_UNAVAILABLE });
+    await assert.rejects(memory.listActiveGames('player-a'), { code: ERROR_CODES.HISTORY_UNAVAILABLE });
+});
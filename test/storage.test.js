@@ -0,0 +1,73 @@
+/**
+ * Game store backends: every backend keeps the same save/load/list/delete contract
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createGameStore, createAccountStore, FileGameStore, MemoryGameStore } = require('../services/storage');
+
+const backends = {
+    memory: () => new MemoryGameStore(),
+    file: (t) => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'boardverse-store-'));
+        t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+        return new FileGameStore(dir);
+    }
+};
+
+for (const [name, createStore] of Object.entries(backends)) {
+    test(`${name} store saves, lists, loads and deletes games`, async (t) => {
+        const store = createStore(t);
+        assert.equal(await store.load('abc123'), null);
+
+        await store.save('abc123', { id: 'abc123', currentPlayer: 1 });
+        await store.save('def456', { id: 'def456' });
+        assert.deepEqual(await store.load('abc123'), { id: 'abc123', currentPlayer: 1 });
+        assert.deepEqual((await store.list()).sort(), ['abc123', 'def456']);
+
+        await store.delete('abc123');
+        assert.equal(await store.load('abc123'), null);
+        assert.deepEqual(await store.list(), ['def456']);
+    });
+}
+
+test('file store writes saves of one game in order', async (t) => {
+    const store = backends.file(t);
+    const writes = Array.from({ length: 20 }, (_, n) => store.save('abc123', { n }));
+    assert.deepEqual(await store.load('abc123'), { n: 19 });
+    await Promise.all(writes);
+    assert.deepEqual(fs.readdirSync(store.dir), ['abc123.json']);
+});
+
+test('createGameStore picks the configured backend', () => {
+    assert.ok(createGameStore({ type: 'memory' }) instanceof MemoryGameStore);
+    assert.ok(createGameStore({ type: 'file', dir: os.tmpdir() }) instanceof FileGameStore);
+    assert.throws(() => createGameStore({ type: 'floppy' }), /Unknown game store/);
+});
+
+test('file store refuses IDs that are not game or player IDs', async (t) => {
+    const store = backends.file(t);
+    const outside = `${store.dir}-outside`;
+    fs.writeFileSync(`${outside}.json`, '{}');
+    t.after(() => fs.rmSync(`${outside}.json`, { force: true }));
+    const escape = `../${path.basename(outside)}`;
+
+    assert.equal(await store.load(escape), null);
+    await assert.rejects(store.save(escape, {}), /Invalid game ID/);
+    await assert.rejects(store.delete(escape), /Invalid game ID/);
+    assert.ok(fs.existsSync(`${outside}.json`));
+
+    await store.save('3f2b8c1e-0d4a-4b6e-9c7d-5a1e2f3b4c5d', {});
+    fs.writeFileSync(path.join(store.dir, 'not a game.json'), '{}');
+    assert.deepEqual(await store.list(), ['3f2b8c1e-0d4a-4b6e-9c7d-5a1e2f3b4c5d']);
+});
+
+test('createAccountStore keeps the account folder out of the game saves', () => {
+    const gameDir = path.join(os.tmpdir(), 'games');
+    assert.throws(() => createAccountStore({ type: 'file', dir: gameDir, gameDir }), /outside the game saves/);
+    assert.throws(() => createAccountStore({ type: 'file', dir: path.join(gameDir, 'accounts'), gameDir }), /outside the game saves/);
+    assert.ok(createAccountStore({ type: 'file', dir: path.join(os.tmpdir(), 'accounts'), gameDir }) instanceof FileGameStore);
+});